@@ -0,0 +1,103 @@
+const path = require('path');
+const fs = require('fs');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const { loadConfig } = require('./config');
+const { seedDatabase } = require('./lib/seed');
+const { createOdoo } = require('./lib/odoo');
+const { createAuth } = require('./lib/auth');
+const { createCampaigns } = require('./lib/campaigns');
+const { createAudit } = require('./lib/audit');
+const { createIdempotency } = require('./lib/idempotency');
+const { createCoupons } = require('./lib/coupons');
+const { createTwilioClient, createMessaging } = require('./lib/messaging');
+const { createMessageQueue } = require('./lib/messageQueue');
+
+// Route modules, mounted in this order
+const routeModules = [
+  require('./routes/auth'),
+  require('./routes/staff'),
+  require('./routes/campaigns'),
+  require('./routes/coupons'),
+  require('./routes/stats'),
+  require('./routes/contacts'),
+  require('./routes/messages'),
+  require('./routes/audit'),
+  require('./routes/public')
+];
+
+// Build the API (and, with FRONTEND_DIR, the web app) on a migrated database.
+// Returns the Express app and its context: config, db and every helper the
+// routes use, e.g. startMessageWorker.
+const createApp = ({ db, config = loadConfig(), twilioClient = createTwilioClient(config) }) => {
+  seedDatabase(db, config);
+
+  // Each service reads what it needs from the ones created before it
+  const ctx = { db, config, twilioClient };
+  [
+    createOdoo, createAuth, createCampaigns, createAudit, createIdempotency, createCoupons,
+    createMessaging, createMessageQueue
+  ].forEach(createService => Object.assign(ctx, createService(ctx)));
+
+  const app = express();
+  // Behind Railway's or Render's proxy req.ip is the proxy unless it is trusted
+  app.set('trust proxy', config.TRUST_PROXY);
+
+  // Middleware
+  app.use(helmet({
+    // The web app's scripts are served from here too; its API calls stay same-origin
+    contentSecurityPolicy: !config.FRONTEND_DIR
+  }));
+  app.use(cors({
+    origin: config.FRONTEND_URL,
+    credentials: true
+  }));
+  app.use(express.json());
+
+  // Rate limiting. Every tablet at an expo reaches the server from the venue's one
+  // address, so signed-in users are counted each on their own; anyone else by IP
+  const limiterUserId = (req) => ctx.accessTokenClaims(req)?.id;
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: (req) => (limiterUserId(req) ? config.API_USER_RATE_LIMIT : config.API_RATE_LIMIT),
+    keyGenerator: (req) => (limiterUserId(req) ? `user:${limiterUserId(req)}` : req.ip),
+    message: { error: 'Too many requests, please try again later.' },
+    // Twilio sends several callbacks per message from shared addresses
+    skip: (req) => req.path.startsWith('/webhooks/')
+  });
+  app.use('/api/', limiter);
+
+  routeModules.forEach(createRouter => app.use(createRouter(ctx)));
+
+  // Health check
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  // Built frontend (frontend/dist), relative to this directory; unknown paths get
+  // index.html so the app's own routes such as /verify/<code> load on refresh
+  if (config.FRONTEND_DIR) {
+    const frontendDir = path.resolve(__dirname, config.FRONTEND_DIR);
+    const indexPath = path.join(frontendDir, 'index.html');
+    if (!fs.existsSync(indexPath)) {
+      throw new Error(`FRONTEND_DIR has no index.html: ${frontendDir}`);
+    }
+
+    app.use(express.static(frontendDir));
+    app.get(/^(?!\/api\/)/, (req, res) => {
+      res.sendFile(indexPath);
+    });
+  }
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Server error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return { app, ctx };
+};
+
+module.exports = { createApp };
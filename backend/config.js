@@ -0,0 +1,102 @@
+const path = require('path');
+
+const trimSlashes = (url) => (url ? url.replace(/\/+$/, '') : null);
+
+// Express 'trust proxy': a hop count, true/false, or addresses and subnets
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(address => address.trim());
+};
+
+// Every setting the server reads from the environment (see .env.example), so the
+// app can be built with other settings, e.g. in tests
+const loadConfig = (env = process.env) => {
+  const PUBLIC_URL = trimSlashes(env.PUBLIC_URL);
+
+  return {
+    PORT: env.PORT || 3001,
+    // CORS origin of the web app
+    FRONTEND_URL: env.FRONTEND_URL || '*',
+    // Built frontend to serve from this server (Docker, Railway, Render); unset serves only the API
+    FRONTEND_DIR: env.FRONTEND_DIR || null,
+    DATABASE_PATH: env.DATABASE_PATH || (
+      env.RAILWAY_VOLUME_MOUNT_PATH
+        ? path.join(env.RAILWAY_VOLUME_MOUNT_PATH, 'coupon.db')
+        : './data/coupon.db'
+    ),
+    // Proxies in front of the server (1 on Railway and Render) whose X-Forwarded-For
+    // gives the client address for rate limits, login history and the activity log
+    TRUST_PROXY: parseTrustProxy(env.TRUST_PROXY),
+
+    JWT_SECRET: env.JWT_SECRET || 'your-super-secret-key-change-in-production',
+    // Access tokens are short-lived; the app renews them with a refresh token
+    ACCESS_TOKEN_EXPIRES_IN: env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    REFRESH_TOKEN_DAYS: parseInt(env.REFRESH_TOKEN_DAYS, 10) || 30,
+    LOGIN_MAX_ATTEMPTS: parseInt(env.LOGIN_MAX_ATTEMPTS, 10) || 10,
+    LOGIN_LOCKOUT_MINUTES: parseInt(env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    // /api requests per 15 minutes for each IP address, and for each signed-in user
+    API_RATE_LIMIT: parseInt(env.API_RATE_LIMIT, 10) || 100,
+    API_USER_RATE_LIMIT: parseInt(env.API_USER_RATE_LIMIT, 10) || 600,
+
+    // How long a stored response is replayed for a repeated Idempotency-Key
+    IDEMPOTENCY_WINDOW_HOURS: parseInt(env.IDEMPOTENCY_WINDOW_HOURS, 10) || 24,
+
+    // Outbound message queue
+    MESSAGE_MAX_ATTEMPTS: parseInt(env.MESSAGE_MAX_ATTEMPTS, 10) || 5,
+    MESSAGE_RETRY_BASE_SECONDS: parseInt(env.MESSAGE_RETRY_BASE_SECONDS, 10) || 30,
+    MESSAGE_WORKER_INTERVAL_MS: parseInt(env.MESSAGE_WORKER_INTERVAL_MS, 10) || 5000,
+
+    // Coupon validity of the default campaign
+    COUPON_VALIDITY_MONTHS: parseInt(env.COUPON_VALIDITY_MONTHS, 10) || 4,
+    // Random characters in a coupon code, before the check character
+    COUPON_CODE_LENGTH: Math.min(Math.max(parseInt(env.COUPON_CODE_LENGTH, 10) || 8, 6), 20),
+    // Ed25519 private key (PEM) for coupon tokens; generated next to the database when unset
+    COUPON_SIGNING_KEY: env.COUPON_SIGNING_KEY ? env.COUPON_SIGNING_KEY.replace(/\\n/g, '\n') : null,
+    // Public URL of this server; providers fetch coupon images from it
+    PUBLIC_URL,
+    // Public URL of the web app, for coupon verification links
+    APP_URL: trimSlashes(env.APP_URL) || PUBLIC_URL,
+
+    // Fallback branch list when Odoo is unavailable
+    BRANCHES: env.BRANCHES ? env.BRANCHES.split(',').map(name => name.trim()) : [],
+
+    // Unset: twilio when configured, else odoo when configured, else console
+    WHATSAPP_PROVIDER: env.WHATSAPP_PROVIDER || null,
+    WHATSAPP_TEMPLATE_NAME: env.WHATSAPP_TEMPLATE_NAME || 'idf_2026',
+    WHATSAPP_CONSOLE_FILE: env.WHATSAPP_CONSOLE_FILE || null,
+
+    TWILIO_ACCOUNT_SID: env.TWILIO_ACCOUNT_SID || null,
+    TWILIO_AUTH_TOKEN: env.TWILIO_AUTH_TOKEN || null,
+    TWILIO_WHATSAPP_NUMBER: env.TWILIO_WHATSAPP_NUMBER || null,
+    TWILIO_SMS_NUMBER: env.TWILIO_SMS_NUMBER || null,
+    // Public URL of POST /api/webhooks/twilio/status; Twilio reports delivery and
+    // read receipts there and signs each request against this exact URL
+    TWILIO_STATUS_CALLBACK_URL: env.TWILIO_STATUS_CALLBACK_URL || null,
+
+    ODOO_URL: env.ODOO_URL || 'https://test.bellastore.in',
+    ODOO_DB: env.ODOO_DATABASE || null,
+    ODOO_USERNAME: env.ODOO_USERNAME || null,
+    ODOO_API_KEY: env.ODOO_API_KEY || null,
+    // Per-request timeout, and retries (doubling from ODOO_RETRY_DELAY_MS) after network
+    // errors and 5xx answers; writes are only retried when Odoo cannot have received them
+    ODOO_TIMEOUT_MS: parseInt(env.ODOO_TIMEOUT_MS, 10) || 15000,
+    ODOO_RETRIES: env.ODOO_RETRIES ? parseInt(env.ODOO_RETRIES, 10) : 2,
+    ODOO_RETRY_DELAY_MS: parseInt(env.ODOO_RETRY_DELAY_MS, 10) || 500,
+
+    META_GRAPH_URL: env.META_GRAPH_URL || 'https://graph.facebook.com/v20.0',
+    META_PHONE_NUMBER_ID: env.META_WHATSAPP_PHONE_NUMBER_ID || null,
+    META_ACCESS_TOKEN: env.META_WHATSAPP_TOKEN || null,
+    META_TEMPLATE_LANGUAGE: env.META_TEMPLATE_LANGUAGE || 'en',
+
+    SMTP_HOST: env.SMTP_HOST || null,
+    SMTP_PORT: parseInt(env.SMTP_PORT, 10) || 587,
+    SMTP_SECURE: env.SMTP_SECURE === 'true',
+    SMTP_USER: env.SMTP_USER || null,
+    SMTP_PASS: env.SMTP_PASS || null,
+    EMAIL_FROM: env.EMAIL_FROM || env.SMTP_USER || null
+  };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,88 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// dbPath is config.DATABASE_PATH (see config.js)
+const openDatabase = (dbPath) => {
+  const dbDir = path.dirname(dbPath);
+  if (!fs.existsSync(dbDir)) {
+    fs.mkdirSync(dbDir, { recursive: true });
+  }
+  return new Database(dbPath);
+};
+
+// Migration files are named NNN_description.js and export up(db); they run in order
+// of NNN and are never edited once released, only followed by new ones
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+_\w+\.js$/.test(file))
+  .map(file => ({
+    version: parseInt(file, 10),
+    name: path.basename(file, '.js'),
+    up: require(path.join(MIGRATIONS_DIR, file)).up
+  }))
+  .sort((a, b) => a.version - b.version);
+
+const appliedMigrations = (db) => {
+  const tracked = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  return tracked ? db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all() : [];
+};
+
+// Every known migration with when it was applied (null while pending)
+const migrationStatus = (db) => {
+  const applied = new Map(appliedMigrations(db).map(row => [row.version, row.applied_at]));
+  return loadMigrations().map(({ version, name }) => ({ version, name, applied_at: applied.get(version) || null }));
+};
+
+class DryRunRollback extends Error {}
+
+const applyMigration = (db, migration) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  migration.up(db);
+
+  // Foreign keys are off while a migration rebuilds tables, so check them before committing
+  const violation = db.pragma('foreign_key_check')[0];
+  if (violation) {
+    throw new Error(`${migration.name} breaks a foreign key in ${violation.table} (row ${violation.rowid})`);
+  }
+  db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+};
+
+// Apply pending migrations, each in its own transaction, and return their names.
+// A dry run applies them all in one transaction and rolls it back, so it shows
+// whether they would succeed without changing the database.
+const runMigrations = (db, { dryRun = false } = {}) => {
+  const applied = new Set(appliedMigrations(db).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+  if (pending.length === 0) {
+    return [];
+  }
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    if (dryRun) {
+      try {
+        db.transaction(() => {
+          pending.forEach(migration => applyMigration(db, migration));
+          throw new DryRunRollback();
+        })();
+      } catch (error) {
+        if (!(error instanceof DryRunRollback)) throw error;
+      }
+    } else {
+      pending.forEach(migration => db.transaction(() => applyMigration(db, migration))());
+    }
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  return pending.map(migration => migration.name);
+};
+
+module.exports = { openDatabase, migrationStatus, runMigrations };
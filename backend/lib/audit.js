@@ -0,0 +1,101 @@
+// Append-only record of staff and admin actions (audit_events)
+const createAudit = (ctx) => {
+  const { db, loadMessageTemplate } = ctx;
+
+  // Current state of an audited record, by target type; only fields worth comparing,
+  // never password or PIN hashes
+  const auditSnapshots = {
+    user: (id) => {
+      const user = db.prepare(`
+        SELECT id, username, name, role, active, must_change_password, pin_hash IS NOT NULL as has_pin,
+          (SELECT json_group_array(branch) FROM (
+            SELECT branch FROM user_branches WHERE user_id = users.id ORDER BY branch
+          )) as branches
+        FROM users
+        WHERE id = ?
+      `).get(id);
+      return user && { ...user, branches: JSON.parse(user.branches) };
+    },
+    device: (id) => db.prepare('SELECT id, name, revoked_at FROM devices WHERE id = ?').get(id),
+    campaign: (id) => db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id),
+    template: (id) => {
+      const template = loadMessageTemplate(id);
+      if (!template) return null;
+      const { campaign_count, ...rest } = template;
+      return rest;
+    },
+    coupon: (id) => db.prepare(`
+      SELECT id, coupon_code, expires_at, whatsapp_status, delivery_channel FROM coupons WHERE id = ?
+    `).get(id),
+    job: (id) => db.prepare(`
+      SELECT id, kind, coupon_id, status, attempts, next_attempt_at FROM message_jobs WHERE id = ?
+    `).get(id)
+  };
+
+  // Fields that differ between two snapshots, as { field: { before, after } }; a created
+  // record has no before and a deleted one no after
+  const auditChanges = (before, after) => {
+    const changes = {};
+    new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(field => {
+      const previous = before?.[field] ?? null;
+      const current = after?.[field] ?? null;
+      if (JSON.stringify(previous) !== JSON.stringify(current)) {
+        changes[field] = { before: previous, after: current };
+      }
+    });
+    return Object.keys(changes).length > 0 ? changes : null;
+  };
+
+  // Writes one audit event for the request's user
+  const recordAuditEvent = (req, action, { targetType = null, targetId = null, changes = null, details = null } = {}) => {
+    db.prepare(`
+      INSERT INTO audit_events (actor_id, action, target_type, target_id, ip, user_agent, changes, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      req.user.id,
+      action,
+      targetType,
+      targetId,
+      req.ip,
+      req.get('User-Agent') || null,
+      changes ? JSON.stringify(changes) : null,
+      details ? JSON.stringify(details) : null
+    );
+  };
+
+  // Middleware recording a successful request as an audit event. With a target type the
+  // record's fields are compared before and after the handler; routes that create the
+  // record set res.locals.auditTargetId, and res.locals.auditDetails adds context such as
+  // export filters. The event is written before the response goes out, so a client that
+  // saw the success can already find it.
+  const audit = (action, targetType = null, targetId = (req) => req.params.id) => (req, res, next) => {
+    const snapshot = targetType && auditSnapshots[targetType];
+    const id = snapshot ? targetId(req) : null;
+    const before = id ? snapshot(id) || null : null;
+
+    const end = res.end;
+    res.end = function (...args) {
+      res.end = end;
+      if (res.statusCode < 400) {
+        try {
+          const recordId = res.locals.auditTargetId ?? id ?? null;
+          const after = snapshot && recordId ? snapshot(recordId) || null : null;
+          recordAuditEvent(req, action, {
+            targetType,
+            targetId: recordId,
+            changes: snapshot ? auditChanges(before, after) : null,
+            details: res.locals.auditDetails
+          });
+        } catch (error) {
+          console.error('Audit log error:', error.message);
+        }
+      }
+      return end.apply(this, args);
+    };
+    next();
+  };
+
+  return { audit, recordAuditEvent };
+};
+
+module.exports = { createAudit };
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Sessions and refresh tokens, login throttling, roles and permissions
+const createAuth = (ctx) => {
+  const { db, config } = ctx;
+  const {
+    JWT_SECRET, ACCESS_TOKEN_EXPIRES_IN, REFRESH_TOKEN_DAYS, LOGIN_MAX_ATTEMPTS, LOGIN_LOCKOUT_MINUTES
+  } = config;
+
+  // A refresh token used again within this window lost a race with another tab, not a thief
+  const REFRESH_REUSE_GRACE_SECONDS = 60;
+
+  // Login throttling per username: free attempts, then a doubling wait, then a lockout
+  const LOGIN_FREE_ATTEMPTS = 3;
+
+  // What each role may do. Routes check permissions rather than role names.
+  const ROLE_PERMISSIONS = {
+    admin: [
+      'dashboard:view', 'stats:view', 'coupons:create', 'coupons:view', 'coupons:resend', 'coupons:redeem',
+      'coupons:manage', 'data:export', 'campaigns:manage', 'messages:manage', 'staff:manage', 'audit:view'
+    ],
+    supervisor: ['stats:view', 'coupons:create', 'coupons:view', 'coupons:resend', 'coupons:redeem'],
+    staff: ['stats:view', 'coupons:create', 'coupons:view', 'coupons:resend', 'coupons:redeem'],
+    cashier: ['coupons:redeem'],
+    viewer: ['dashboard:view', 'stats:view', 'coupons:view']
+  };
+  const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+  // Which coupons a role sees in lists: all of them, its assigned branches' (plus its own), or only its own entries
+  const ROLE_COUPON_SCOPE = { admin: 'all', viewer: 'all', supervisor: 'branch', staff: 'own' };
+
+  // Quick-login PINs, only accepted from a registered device. Only for stall and showroom
+  // roles: a PIN watched over a shoulder must not open the admin panel or every customer
+  const PIN_PATTERN = /^\d{4,6}$/;
+  const PIN_ROLES = ['supervisor', 'staff', 'cashier'];
+
+  const hashRefreshSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+  const signAccessToken = (user, sessionId) => jwt.sign(
+    { id: user.id, username: user.username, name: user.name, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+  // Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+  const createSession = (user, userAgent, deviceId = null) => {
+    db.prepare(`
+      DELETE FROM sessions
+      WHERE expires_at < CURRENT_TIMESTAMP OR revoked_at < datetime('now', '-30 days')
+    `).run();
+
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    db.prepare(`
+      INSERT INTO sessions (id, user_id, refresh_token_hash, expires_at, user_agent, device_id)
+      VALUES (?, ?, ?, datetime('now', ?), ?, ?)
+    `).run(sessionId, user.id, hashRefreshSecret(secret), `+${REFRESH_TOKEN_DAYS} days`, userAgent || null, deviceId);
+
+    return { token: signAccessToken(user, sessionId), refresh_token: `${sessionId}.${secret}` };
+  };
+
+  const revokeUserSessions = (userId, exceptSessionId = null) => db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `).run(userId, exceptSessionId).changes;
+
+  // Answers 429 and returns true while a username has to wait before trying again
+  const rejectThrottledLogin = (req, res, username, userId = null) => {
+    const failures = recentLoginFailures(username);
+    const waitSeconds = failures.count > 0
+      ? Math.ceil(loginDelaySeconds(failures.count) - (Date.now() - Date.parse(`${failures.last_at.replace(' ', 'T')}Z`)) / 1000)
+      : 0;
+    if (waitSeconds <= 0) return false;
+
+    recordLoginAttempt(req, username, 'locked', userId);
+    res.set('Retry-After', String(waitSeconds));
+    res.status(429).json({
+      error: failures.count >= LOGIN_MAX_ATTEMPTS
+        ? `Too many failed attempts. Account locked, try again in ${Math.ceil(waitSeconds / 60)} minutes`
+        : `Too many failed attempts. Try again in ${waitSeconds} seconds`,
+      retry_after: waitSeconds
+    });
+    return true;
+  };
+
+  // Device tokens are long random secrets, so a plain hash is enough to look them up
+  const findDevice = (deviceToken) => typeof deviceToken === 'string' && deviceToken
+    ? db.prepare('SELECT * FROM devices WHERE token_hash = ? AND revoked_at IS NULL').get(hashRefreshSecret(deviceToken))
+    : null;
+
+  // All a user who must change their password can do until they have
+  const PASSWORD_CHANGE_ALLOWED_PATHS = ['/api/auth/me', '/api/auth/password', '/api/auth/logout', '/api/auth/logout-all'];
+
+  // Failed attempts for a username since its last success, within the lockout window
+  const recentLoginFailures = (username) => db.prepare(`
+    SELECT COUNT(*) as count, MAX(created_at) as last_at
+    FROM login_attempts
+    WHERE username = ? AND result = 'failed'
+      AND created_at > datetime('now', ?)
+      AND id > COALESCE((SELECT MAX(id) FROM login_attempts WHERE username = ? AND result = 'success'), 0)
+  `).get(username, `-${LOGIN_LOCKOUT_MINUTES} minutes`, username);
+
+  // Seconds to wait after the last failure: none for the first few, then 2, 4, 8...,
+  // then the full lockout once LOGIN_MAX_ATTEMPTS have failed
+  const loginDelaySeconds = (failures) => {
+    if (failures >= LOGIN_MAX_ATTEMPTS) return LOGIN_LOCKOUT_MINUTES * 60;
+    if (failures < LOGIN_FREE_ATTEMPTS) return 0;
+    return 2 ** (failures - LOGIN_FREE_ATTEMPTS + 1);
+  };
+
+  const recordLoginAttempt = (req, username, result, userId = null) => db.prepare(`
+    INSERT INTO login_attempts (username, user_id, result, ip, user_agent) VALUES (?, ?, ?, ?, ?)
+  `).run(username, userId, result, req.ip, req.get('User-Agent') || null);
+
+  // Auth middleware: a valid signature is not enough, the session must still be
+  // open and the user active, so logouts and deactivation apply at once
+  const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    jwt.verify(token, JWT_SECRET, (err, claims) => {
+      if (err) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+
+      const session = claims.sid && db.prepare(`
+        SELECT u.id, u.username, u.name, u.role, u.must_change_password, u.pin_hash IS NOT NULL as has_pin
+        FROM sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP AND u.active = 1
+      `).get(claims.sid);
+      if (!session) {
+        return res.status(401).json({ error: 'Session ended, please log in again' });
+      }
+
+      req.user = { ...session, sid: claims.sid };
+
+      if (session.must_change_password && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(`${req.baseUrl}${req.path}`)) {
+        return res.status(403).json({ error: 'Please change your password first', password_change_required: true });
+      }
+      next();
+    });
+  };
+
+  // Claims of a valid access token on the request, or null; the session itself is not checked
+  const accessTokenClaims = (req) => {
+    const token = req.headers['authorization']?.split(' ')[1];
+    if (!token) return null;
+    try {
+      return jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const hasPermission = (user, permission) => (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+
+  // SQL condition (on coupons aliased as c) limiting a query to the coupons the user may see
+  const couponScope = (user) => {
+    switch (ROLE_COUPON_SCOPE[user.role]) {
+      case 'all':
+        return { clause: '1=1', params: [] };
+      case 'branch':
+        return {
+          clause: '(c.branch IN (SELECT branch FROM user_branches WHERE user_id = ?) OR c.staff_id = ?)',
+          params: [user.id, user.id]
+        };
+      default:
+        return { clause: 'c.staff_id = ?', params: [user.id] };
+    }
+  };
+
+  // Branch names a user may create and redeem coupons for; null means any branch
+  // (admins, and staff nobody has assigned yet)
+  const assignedBranches = (user) => {
+    if (user.role === 'admin') return null;
+    const branches = db.prepare('SELECT branch FROM user_branches WHERE user_id = ? ORDER BY branch').all(user.id);
+    return branches.length > 0 ? branches.map(row => row.branch) : null;
+  };
+
+  const canActForBranch = (user, branch) => {
+    const branches = assignedBranches(user);
+    return !branches || branches.includes(branch);
+  };
+
+  // The user as the app sees it after login
+  const sessionUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    branches: assignedBranches(user),
+    must_change_password: user.must_change_password,
+    has_pin: user.pin_hash ? 1 : 0,
+    can_use_pin: PIN_ROLES.includes(user.role),
+    permissions: ROLE_PERMISSIONS[user.role]
+  });
+
+  return {
+    REFRESH_REUSE_GRACE_SECONDS, ROLE_PERMISSIONS, USER_ROLES, PIN_PATTERN, PIN_ROLES, hashRefreshSecret,
+    signAccessToken, createSession, revokeUserSessions, rejectThrottledLogin, findDevice, recentLoginFailures,
+    recordLoginAttempt, accessTokenClaims, authenticateToken, hasPermission, requirePermission, couponScope, assignedBranches,
+    canActForBranch, sessionUser
+  };
+};
+
+module.exports = { createAuth };
@@ -0,0 +1,144 @@
+// Campaigns and their message templates
+const createCampaigns = (ctx) => {
+  const { db } = ctx;
+
+  // The campaign new coupons and contacts are issued under: the most recently
+  // started active campaign whose date window includes today
+  const getActiveCampaign = () => db.prepare(`
+    SELECT * FROM campaigns
+    WHERE active = 1
+      AND (starts_at IS NULL OR starts_at <= DATE('now'))
+      AND (ends_at IS NULL OR ends_at >= DATE('now'))
+    ORDER BY starts_at DESC, id DESC
+    LIMIT 1
+  `).get();
+
+  // Campaign from a campaign_id query parameter, falling back to the active one
+  const resolveCampaign = (campaignId) => (
+    campaignId
+      ? db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId)
+      : getActiveCampaign()
+  );
+
+  const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+  // Message templates: per-language coupon text with {{placeholders}}
+  const MESSAGE_LANGUAGES = ['en', 'ar'];
+  const TEMPLATE_PLACEHOLDERS = ['name', 'code', 'discount', 'expiry', 'branch', 'link'];
+
+  // Replace {{placeholder}} with its value; unknown placeholders are left as written
+  const renderMessageTemplate = (body, values) =>
+    body.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : match));
+
+  // Returns an error message for an invalid { name, variants: { en, ar } }, or null
+  const validateMessageTemplate = ({ name, variants }) => {
+    if (!name?.trim()) {
+      return 'Template name required';
+    }
+    if (!variants || typeof variants !== 'object' || !variants.en?.trim()) {
+      return 'English text required';
+    }
+    for (const [language, body] of Object.entries(variants)) {
+      if (!MESSAGE_LANGUAGES.includes(language)) {
+        return `Unsupported language: ${language}`;
+      }
+      if (typeof body !== 'string' || body.length > 1000) {
+        return 'Message text must be at most 1000 characters';
+      }
+      const unknown = [...body.matchAll(/{{\s*(\w+)\s*}}/g)]
+        .map(match => match[1])
+        .find(key => !TEMPLATE_PLACEHOLDERS.includes(key));
+      if (unknown) {
+        return `Unknown placeholder {{${unknown}}} (use ${TEMPLATE_PLACEHOLDERS.map(key => `{{${key}}}`).join(', ')})`;
+      }
+    }
+    return null;
+  };
+
+  // Channels a coupon can be delivered on, tried in the campaign's channel_order
+  const DELIVERY_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+  // "WhatsApp, SMS" or ['whatsapp', 'sms'] -> "whatsapp,sms"
+  const normalizeChannelOrder = (value) => {
+    const channels = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return channels.map(channel => String(channel).trim().toLowerCase()).filter(Boolean).join(',');
+  };
+
+  const validateCampaign = (campaign) => {
+    const {
+      name, tag, code_prefix, discount_percent, validity_months, coupons_per_mobile, channel_order,
+      message_template_id, starts_at, ends_at
+    } = campaign;
+
+    if (!name?.trim() || !tag?.trim() || !code_prefix?.trim()) {
+      return 'Name, tag, and code prefix required';
+    }
+    if (!/^#[A-Za-z0-9_]+$/.test(tag.trim())) {
+      return 'Tag must start with # and contain only letters, numbers, or underscores';
+    }
+    if (!/^[A-Z0-9]{2,10}$/.test(code_prefix.trim().toUpperCase())) {
+      return 'Code prefix must be 2-10 letters or numbers';
+    }
+    const discount = Number(discount_percent);
+    if (!Number.isInteger(discount) || discount < 1 || discount > 100) {
+      return 'Discount must be a whole percentage between 1 and 100';
+    }
+    const validity = Number(validity_months);
+    if (!Number.isInteger(validity) || validity < 1 || validity > 36) {
+      return 'Validity must be between 1 and 36 months';
+    }
+    const perMobile = Number(coupons_per_mobile ?? 1);
+    if (!Number.isInteger(perMobile) || perMobile < 0 || perMobile > 100) {
+      return 'Coupons per mobile must be between 0 (unlimited) and 100';
+    }
+    if (channel_order !== undefined && channel_order !== null) {
+      const channels = normalizeChannelOrder(channel_order).split(',').filter(Boolean);
+      if (channels.length === 0 || channels.some(c => !DELIVERY_CHANNELS.includes(c)) || new Set(channels).size !== channels.length) {
+        return `Delivery order must list channels from ${DELIVERY_CHANNELS.join(', ')} without repeats`;
+      }
+    }
+    if (message_template_id && !db.prepare('SELECT id FROM message_templates WHERE id = ?').get(message_template_id)) {
+      return 'Message template not found';
+    }
+    if ((starts_at && !isValidDate(starts_at)) || (ends_at && !isValidDate(ends_at))) {
+      return 'Dates must be in YYYY-MM-DD format';
+    }
+    if (starts_at && ends_at && starts_at > ends_at) {
+      return 'End date must be on or after start date';
+    }
+    return null;
+  };
+
+  // Template with its language variants as { en: '...', ar: '...' }
+  const loadMessageTemplate = (id) => {
+    const template = db.prepare(`
+      SELECT t.*, (SELECT COUNT(*) FROM campaigns k WHERE k.message_template_id = t.id) as campaign_count
+      FROM message_templates t
+      WHERE t.id = ?
+    `).get(id);
+    if (!template) {
+      return null;
+    }
+
+    const variants = db.prepare('SELECT language, body FROM message_template_variants WHERE template_id = ?').all(id);
+    return { ...template, variants: Object.fromEntries(variants.map(v => [v.language, v.body])) };
+  };
+
+  const saveMessageTemplateVariants = (templateId, variants) => {
+    db.prepare('DELETE FROM message_template_variants WHERE template_id = ?').run(templateId);
+    const addVariant = db.prepare('INSERT INTO message_template_variants (template_id, language, body) VALUES (?, ?, ?)');
+    Object.entries(variants).forEach(([language, body]) => {
+      if (body.trim()) {
+        addVariant.run(templateId, language, body.trim());
+      }
+    });
+  };
+
+  return {
+    getActiveCampaign, resolveCampaign, MESSAGE_LANGUAGES, TEMPLATE_PLACEHOLDERS, renderMessageTemplate,
+    validateMessageTemplate, normalizeChannelOrder, validateCampaign, loadMessageTemplate,
+    saveMessageTemplateVariants
+  };
+};
+
+module.exports = { createCampaigns };
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const bwipjs = require('bwip-js');
+const { PNG } = require('pngjs');
+
+// Coupon codes, signed coupon tokens, coupon images and coupon lookups
+const createCoupons = (ctx) => {
+  const { db, config } = ctx;
+  const { JWT_SECRET, COUPON_CODE_LENGTH, COUPON_SIGNING_KEY, APP_URL } = config;
+
+  // Coupon code characters: digits and capitals without the look-alikes 0/O, 1/I/L
+  const COUPON_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+  // Luhn mod N check character; catches any single mistyped character and most swapped pairs
+  const couponCheckCharacter = (body) => {
+    const n = COUPON_CODE_ALPHABET.length;
+    let sum = 0;
+    for (let i = body.length - 1, factor = 2; i >= 0; i--, factor = 3 - factor) {
+      const addend = factor * COUPON_CODE_ALPHABET.indexOf(body[i]);
+      sum += Math.floor(addend / n) + (addend % n);
+    }
+    return COUPON_CODE_ALPHABET[(n - (sum % n)) % n];
+  };
+
+  // Generate a coupon code: PREFIX-<random characters><check character>
+  const generateCouponCode = (prefix) => {
+    let body = '';
+    for (let i = 0; i < COUPON_CODE_LENGTH; i++) {
+      body += COUPON_CODE_ALPHABET[crypto.randomInt(COUPON_CODE_ALPHABET.length)];
+    }
+    return `${prefix}-${body}${couponCheckCharacter(body)}`;
+  };
+
+  // Codes from before check characters have two dashes (PREFIX-TIMESTAMP-RANDOM) and are
+  // only checked against the database; current codes must carry a valid check character
+  const isPlausibleCouponCode = (code) => {
+    const parts = code.split('-');
+    if (parts.length !== 2) return true;
+    const [, body] = parts;
+    if (body.length < 7 || [...body].some(char => !COUPON_CODE_ALPHABET.includes(char))) return false;
+    return couponCheckCharacter(body.slice(0, -1)) === body.slice(-1);
+  };
+
+  // Coupon codes are shown in upper case; accept whatever the cashier typed or scanned
+  const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+  // Generated codes can collide with an existing one (UNIQUE on coupon_code); creation retries
+  const COUPON_CODE_ATTEMPTS = 5;
+  const isCouponCodeCollision = (error) =>
+    error.code === 'SQLITE_CONSTRAINT_UNIQUE' && error.message.includes('coupons.coupon_code');
+
+  // Coupon images: a QR code and a Code128 barcode of the coupon code, alone or
+  // stacked on one card (the card is what customers receive)
+  const COUPON_IMAGE_TYPES = ['card', 'qr', 'barcode'];
+
+  const couponVerifyUrl = (code) => (APP_URL ? `${APP_URL}/verify/${encodeURIComponent(code)}` : null);
+
+  // Coupon tokens: an Ed25519 signature over the code, campaign, discount and expiry,
+  // carried in the QR code so branch devices holding the public key can check a
+  // coupon while offline. The private key comes from COUPON_SIGNING_KEY (PEM) or is
+  // generated once and kept next to the database (or, for an in-memory database,
+  // kept only as long as it is).
+  const loadCouponSigningKey = () => {
+    if (COUPON_SIGNING_KEY) {
+      return crypto.createPrivateKey(COUPON_SIGNING_KEY);
+    }
+    if (db.memory) {
+      return crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+    const keyPath = path.join(path.dirname(db.name), 'coupon-signing-key.pem');
+    if (!fs.existsSync(keyPath)) {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      console.log(`Coupon signing key created: ${keyPath}`);
+    }
+    return crypto.createPrivateKey(fs.readFileSync(keyPath));
+  };
+
+  const couponSigningKey = loadCouponSigningKey();
+  // Raw 32-byte public key, base64url (the JWK "x" value)
+  const COUPON_PUBLIC_KEY = crypto.createPublicKey(couponSigningKey).export({ format: 'jwk' }).x;
+
+  // <base64url JSON payload>.<base64url signature of the payload text>
+  // coupon needs coupon_code, campaign_id, discount_percent and expires_at
+  const signCouponToken = (coupon) => {
+    const payload = Buffer.from(JSON.stringify({
+      c: coupon.coupon_code,
+      k: coupon.campaign_id,
+      d: coupon.discount_percent,
+      e: Math.floor(Date.parse(`${coupon.expires_at.replace(' ', 'T')}Z`) / 1000)
+    })).toString('base64url');
+    const signature = crypto.sign(null, Buffer.from(payload), couponSigningKey).toString('base64url');
+    return `${payload}.${signature}`;
+  };
+
+  // Returns the token's { c, k, d, e } payload, or null if it was not signed by us
+  const verifyCouponToken = (token) => {
+    const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature) return null;
+    try {
+      if (!crypto.verify(null, Buffer.from(payload), couponSigningKey, Buffer.from(signature, 'base64url'))) return null;
+      return JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Image links carry an HMAC of the code so providers can fetch them without logging in
+  const couponImageSignature = (code) => crypto
+    .createHmac('sha256', JWT_SECRET)
+    .update(`coupon-image:${code}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  const couponImagePath = (code, type = 'card') =>
+    `/api/coupons/${encodeURIComponent(code)}/image?type=${type}&sig=${couponImageSignature(code)}`;
+
+  // The QR code holds the signed token, after the verification page link when
+  // APP_URL is known (as the #fragment, so it never reaches server logs). The
+  // in-app scanner reads the code and token back out of either form.
+  // coupon is as for signCouponToken.
+  const couponQrText = (coupon) => {
+    const token = signCouponToken(coupon);
+    const verifyUrl = couponVerifyUrl(coupon.coupon_code);
+    return verifyUrl ? `${verifyUrl}#${token}` : token;
+  };
+
+  const renderCouponQr = (coupon) => bwipjs.toBuffer({
+    bcid: 'qrcode', text: couponQrText(coupon), scale: 5, backgroundcolor: 'FFFFFF', paddingwidth: 4, paddingheight: 4
+  });
+
+  const renderCouponBarcode = (coupon) => bwipjs.toBuffer({
+    bcid: 'code128', text: coupon.coupon_code, scale: 3, height: 12, includetext: true, textxalign: 'center',
+    backgroundcolor: 'FFFFFF', paddingwidth: 8, paddingheight: 4
+  });
+
+  const renderCouponCard = async (coupon) => {
+    const [qr, barcode] = (await Promise.all([renderCouponQr(coupon), renderCouponBarcode(coupon)]))
+      .map(buffer => PNG.sync.read(buffer));
+    const margin = 24;
+    const width = Math.max(qr.width, barcode.width) + margin * 2;
+    const card = new PNG({ width, height: qr.height + barcode.height + margin * 3 });
+    card.data.fill(255);
+    PNG.bitblt(qr, card, 0, 0, qr.width, qr.height, Math.floor((width - qr.width) / 2), margin);
+    PNG.bitblt(barcode, card, 0, 0, barcode.width, barcode.height, Math.floor((width - barcode.width) / 2), qr.height + margin * 2);
+    return PNG.sync.write(card);
+  };
+
+  const renderCouponImage = { card: renderCouponCard, qr: renderCouponQr, barcode: renderCouponBarcode };
+
+  // Redeemed wins over expired so a redeemed coupon never shows as expired later
+  const COUPON_STATUS_SQL = `
+    CASE
+      WHEN c.redeemed_at IS NOT NULL THEN 'redeemed'
+      WHEN c.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+      ELSE 'active'
+    END`;
+
+  // SQLite stores CURRENT_TIMESTAMP as UTC "YYYY-MM-DD HH:MM:SS"
+  const formatCouponExpiry = (expiresAt, language = 'en') => new Date(`${expiresAt.replace(' ', 'T')}Z`)
+    .toLocaleDateString(language === 'ar' ? 'ar-OM' : 'en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Muscat' });
+
+  // Status of the coupon's most recent WhatsApp job (null for coupons sent before the queue)
+  const WHATSAPP_JOB_STATUS_SQL = `(
+    SELECT m.status FROM message_jobs m
+    WHERE m.coupon_id = c.id
+    ORDER BY m.id DESC LIMIT 1
+  )`;
+
+  // Look up a coupon with its issuing and redeeming staff names
+  const findCouponByCode = (code) => {
+    return db.prepare(`
+      SELECT
+        c.id, c.customer_name, c.mobile_number, c.branch, c.coupon_code,
+        c.customer_email, c.language, c.whatsapp_sent, c.whatsapp_error, ${WHATSAPP_JOB_STATUS_SQL} as whatsapp_job_status,
+        c.whatsapp_status, c.delivery_channel, c.created_at, c.expires_at,
+        c.redeemed_at, c.redeemed_branch, c.invoice_amount,
+        c.campaign_id, k.name as campaign_name, k.discount_percent,
+        u.name as staff_name, r.name as redeemed_by_name,
+        ${COUPON_STATUS_SQL} as status
+      FROM coupons c
+      JOIN users u ON c.staff_id = u.id
+      LEFT JOIN users r ON c.redeemed_by = r.id
+      LEFT JOIN campaigns k ON c.campaign_id = k.id
+      WHERE c.coupon_code = ?
+    `).get(code);
+  };
+
+  return {
+    generateCouponCode, isPlausibleCouponCode, normalizeCouponCode, COUPON_CODE_ATTEMPTS,
+    isCouponCodeCollision, COUPON_IMAGE_TYPES, couponVerifyUrl, COUPON_PUBLIC_KEY, signCouponToken,
+    verifyCouponToken, couponImageSignature, couponImagePath, renderCouponCard, renderCouponImage,
+    COUPON_STATUS_SQL, formatCouponExpiry, WHATSAPP_JOB_STATUS_SQL, findCouponByCode
+  };
+};
+
+module.exports = { createCoupons };
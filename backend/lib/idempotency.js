@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for requests that create something
+const createIdempotency = (ctx) => {
+  const { db, config } = ctx;
+  const { IDEMPOTENCY_WINDOW_HOURS } = config;
+
+  // Requests still running, by idempotency record, so a retry can wait for the
+  // first attempt (and its WhatsApp/Odoo calls) instead of starting another one
+  const inFlightRequests = new Map();
+
+  const replayStoredResponse = (res, record) => {
+    res.set('Idempotent-Replayed', 'true');
+    res.status(record.response_status).json(JSON.parse(record.response_body));
+  };
+
+  // Replays the first response for a repeated Idempotency-Key (per user and route).
+  // Server errors are not stored, so a retry after a 5xx runs the request again,
+  // unless the route sets res.locals.keepIdempotencyRecord because the failed
+  // request may still have changed something (e.g. an Odoo write that timed out).
+  const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > 100) {
+      return res.status(400).json({ error: 'Idempotency-Key too long' });
+    }
+
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    const recordId = `${req.user.id}:${route}:${key}`;
+    const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+    db.prepare('DELETE FROM idempotency_keys WHERE created_at < datetime(\'now\', ?)').run(`-${IDEMPOTENCY_WINDOW_HOURS} hours`);
+
+    const findRecord = db.prepare('SELECT * FROM idempotency_keys WHERE user_id = ? AND route = ? AND idempotency_key = ?');
+    let record = findRecord.get(req.user.id, route, key);
+
+    if (record) {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+      }
+
+      if (record.response_status === null && inFlightRequests.has(recordId)) {
+        await inFlightRequests.get(recordId);
+        record = findRecord.get(req.user.id, route, key);
+      }
+
+      if (record && record.response_status !== null) {
+        return replayStoredResponse(res, record);
+      }
+
+      // Pending without a live request: the first attempt died with the process
+      if (record) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+    }
+
+    db.prepare('INSERT INTO idempotency_keys (user_id, route, idempotency_key, request_hash) VALUES (?, ?, ?, ?)')
+      .run(req.user.id, route, key, requestHash);
+
+    let finish;
+    inFlightRequests.set(recordId, new Promise(resolve => { finish = resolve; }));
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500 && !res.locals.keepIdempotencyRecord) {
+        db.prepare('DELETE FROM idempotency_keys WHERE user_id = ? AND route = ? AND idempotency_key = ?')
+          .run(req.user.id, route, key);
+      } else {
+        db.prepare(`
+          UPDATE idempotency_keys SET response_status = ?, response_body = ?
+          WHERE user_id = ? AND route = ? AND idempotency_key = ?
+        `).run(res.statusCode, JSON.stringify(body), req.user.id, route, key);
+      }
+      inFlightRequests.delete(recordId);
+      finish();
+      return originalJson(body);
+    };
+
+    next();
+  };
+
+  return { idempotent };
+};
+
+module.exports = { createIdempotency };
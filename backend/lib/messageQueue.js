@@ -0,0 +1,180 @@
+// Outbound WhatsApp messages are written to message_jobs and delivered by a
+// background worker, so a slow or failing provider never holds up the request
+// that issued the coupon. Failed sends are retried with exponential backoff and
+// dead-lettered after MESSAGE_MAX_ATTEMPTS.
+const createMessageQueue = (ctx) => {
+  const { db, config, sendWhatsApp, deliverCoupon, recordMessageEvent } = ctx;
+  const { MESSAGE_MAX_ATTEMPTS, MESSAGE_RETRY_BASE_SECONDS, MESSAGE_WORKER_INTERVAL_MS } = config;
+
+  // Each handler resolves to a sendWhatsApp result; permanent errors skip the retries
+  const messageJobHandlers = {
+    // Coupon is read at send time so a resend carries any extended expiry
+    // Falls back to SMS and email when WhatsApp fails (see deliverCoupon)
+    coupon_whatsapp: async (job) => {
+      const coupon = db.prepare(`
+        SELECT c.*, k.discount_percent, k.whatsapp_template, k.channel_order, k.message_template_id
+        FROM coupons c
+        JOIN campaigns k ON c.campaign_id = k.id
+        WHERE c.id = ?
+      `).get(job.coupon_id);
+      if (!coupon) {
+        return { success: false, error: 'Coupon not found', permanent: true };
+      }
+      const { channels } = JSON.parse(job.payload || '{}');
+      return deliverCoupon(coupon, channels);
+    },
+    // Welcome message for a contact created in Odoo
+    odoo_whatsapp: (job) => {
+      const { partner_id, phone, template, name } = JSON.parse(job.payload);
+      return sendWhatsApp({
+        phone,
+        text: `Welcome${name ? ` ${name}` : ''}! 🎉 Thank you for visiting our expo stall.`,
+        template,
+        partnerId: partner_id
+      });
+    }
+  };
+
+  const retryDelaySeconds = (attempts) => Math.min(MESSAGE_RETRY_BASE_SECONDS * 2 ** (attempts - 1), 3600);
+
+  const runMessageJob = async (job) => {
+    const attempts = job.attempts + 1;
+    let result;
+    try {
+      result = await messageJobHandlers[job.kind](job);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      db.prepare(`
+        UPDATE message_jobs SET status = 'sent', attempts = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(attempts, job.id);
+    } else if (result.permanent || attempts >= job.max_attempts) {
+      db.prepare(`
+        UPDATE message_jobs SET status = 'dead', attempts = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(attempts, result.error || 'Unknown error', job.id);
+      console.error(`Message job ${job.id} dead-lettered after ${attempts} attempt(s): ${result.error}`);
+    } else {
+      db.prepare(`
+        UPDATE message_jobs
+        SET status = 'pending', attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(attempts, result.error || 'Unknown error', `+${retryDelaySeconds(attempts)} seconds`, job.id);
+    }
+
+    if (job.coupon_id) {
+      db.prepare('UPDATE coupons SET whatsapp_sent = ?, whatsapp_error = ? WHERE id = ?').run(
+        result.success ? 1 : 0,
+        result.error || null,
+        job.coupon_id
+      );
+
+      if (result.success) {
+        db.prepare('UPDATE coupons SET delivery_channel = ? WHERE id = ?').run(result.channel, job.coupon_id);
+      }
+
+      // Later status callbacks for this message are tracked against the coupon
+      if (result.messageId) {
+        db.prepare('UPDATE coupons SET whatsapp_sid = ?, whatsapp_status = NULL WHERE id = ?').run(result.messageId, job.coupon_id);
+        recordMessageEvent(result.messageId, result.status || 'queued', { couponId: job.coupon_id });
+      }
+    }
+  };
+
+  // Sends due jobs one at a time until none are left
+  let messageWorkerBusy = false;
+  const processMessageJobs = async () => {
+    if (messageWorkerBusy) {
+      return;
+    }
+    messageWorkerBusy = true;
+
+    try {
+      const findDueJobs = db.prepare(`
+        SELECT * FROM message_jobs
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at, id
+        LIMIT 20
+      `);
+      const claimJob = db.prepare(`
+        UPDATE message_jobs SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `);
+
+      let dueJobs = findDueJobs.all();
+      while (dueJobs.length > 0) {
+        for (const job of dueJobs) {
+          // Skip jobs cancelled since the batch was read
+          if (claimJob.run(job.id).changes === 0) {
+            continue;
+          }
+          await runMessageJob(job);
+        }
+        dueJobs = findDueJobs.all();
+      }
+    } catch (error) {
+      console.error('Message worker error:', error);
+    } finally {
+      messageWorkerBusy = false;
+    }
+  };
+
+  const enqueueMessageJob = (kind, { couponId = null, payload = null, createdBy = null } = {}) => {
+    const result = db.prepare(`
+      INSERT INTO message_jobs (kind, coupon_id, payload, max_attempts, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(kind, couponId, payload ? JSON.stringify(payload) : null, MESSAGE_MAX_ATTEMPTS, createdBy);
+
+    setImmediate(processMessageJobs);
+    return result.lastInsertRowid;
+  };
+
+  // A message the provider accepted but could not deliver (a number without WhatsApp, a
+  // sandbox the customer never joined) is only reported later by status callback. The
+  // coupon then goes out on the channels after that one in the campaign's channel_order.
+  // Returns the job id, or null when no channel is left.
+  const queueCouponFallback = (couponId, failedChannel) => {
+    const coupon = db.prepare(`
+      SELECT k.channel_order FROM coupons c JOIN campaigns k ON c.campaign_id = k.id WHERE c.id = ?
+    `).get(couponId);
+    const channels = (coupon?.channel_order || 'whatsapp').split(',');
+    const failedAt = channels.indexOf(failedChannel);
+    if (failedAt === -1 || failedAt === channels.length - 1) {
+      return null;
+    }
+
+    // A resend already on its way covers every channel
+    const activeJob = db.prepare(`
+      SELECT id FROM message_jobs WHERE coupon_id = ? AND status IN ('pending', 'sending')
+    `).get(couponId);
+    if (activeJob) {
+      return activeJob.id;
+    }
+
+    console.log(`Coupon ${couponId} not delivered by ${failedChannel}, trying ${channels.slice(failedAt + 1).join(', ')}`);
+    return enqueueMessageJob('coupon_whatsapp', { couponId, payload: { channels: channels.slice(failedAt + 1) } });
+  };
+
+  // Poll for due jobs (retries come due later) until stopped; the server starts this,
+  // apps built for tests send only what their requests enqueue
+  let workerTimer = null;
+  const startMessageWorker = () => {
+    // A job left 'sending' was interrupted by a restart; send it again
+    db.prepare(`UPDATE message_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'sending'`).run();
+
+    workerTimer = setInterval(processMessageJobs, MESSAGE_WORKER_INTERVAL_MS);
+    processMessageJobs();
+  };
+
+  const stopMessageWorker = () => {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  };
+
+  return { processMessageJobs, enqueueMessageJob, queueCouponFallback, startMessageWorker, stopMessageWorker };
+};
+
+module.exports = { createMessageQueue };
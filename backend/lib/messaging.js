@@ -0,0 +1,344 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const twilio = require('twilio');
+const { formatPhoneNumber } = require('./phone');
+
+// Twilio client from TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN, or null when they are not set
+const createTwilioClient = ({ TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN }) => {
+  if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_ACCOUNT_SID.startsWith('AC')) {
+    console.log('Twilio client initialized');
+    return twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+  }
+  console.log('Twilio not configured - WhatsApp messages will be simulated');
+  return null;
+};
+
+// WhatsApp providers, with SMS and email as fallback channels. twilioClient comes
+// from createApp, so tests can pass a fake one.
+const createMessaging = (ctx) => {
+  const {
+    db, twilioClient, config, couponVerifyUrl, formatCouponExpiry, renderCouponCard, couponImagePath,
+    renderMessageTemplate, findOdooPartnerByPhone, sendOdooWhatsApp
+  } = ctx;
+  const {
+    PUBLIC_URL, WHATSAPP_CONSOLE_FILE, TWILIO_WHATSAPP_NUMBER, TWILIO_SMS_NUMBER, TWILIO_STATUS_CALLBACK_URL,
+    ODOO_DB, META_GRAPH_URL, META_PHONE_NUMBER_ID, META_ACCESS_TOKEN, META_TEMPLATE_LANGUAGE, SMTP_HOST,
+    SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, EMAIL_FROM
+  } = config;
+
+  // ============== MESSAGING PROVIDERS ==============
+  // WHATSAPP_PROVIDER picks how WhatsApp messages go out. Every provider takes a
+  // message { phone, text, mediaUrl, template, templateParams, language, partnerId } and resolves to
+  // { success, provider, messageId, status, error, permanent }; callers never see
+  // provider-specific errors. Providers use the parts of the message they support:
+  // Twilio sends the text with mediaUrl attached, Odoo sends the template, Meta
+  // sends the template when one is set and the text (as the image caption when
+  // there is a mediaUrl) otherwise.
+
+  // Coupon text from the campaign's message template in the customer's language
+  // (English when there is no variant for it). coupon needs customer_name,
+  // coupon_code, expires_at, branch, language, and discount_percent and
+  // message_template_id from its campaign.
+  const couponMessageText = (coupon) => {
+    const language = coupon.language || 'en';
+    const variant = db.prepare(`
+      SELECT body FROM message_template_variants
+      WHERE template_id = COALESCE(?, (SELECT MIN(id) FROM message_templates)) AND language IN (?, 'en')
+      ORDER BY language = ? DESC
+      LIMIT 1
+    `).get(coupon.message_template_id ?? null, language, language);
+
+    const body = variant
+      ? variant.body
+      : 'Welcome! 🎉 Here is your {{discount}}% discount coupon code: *{{code}}*. Valid until {{expiry}} at our showroom.';
+    return renderMessageTemplate(body, {
+      name: coupon.customer_name,
+      code: coupon.coupon_code,
+      discount: coupon.discount_percent,
+      expiry: formatCouponExpiry(coupon.expires_at, language),
+      branch: coupon.branch,
+      link: couponVerifyUrl(coupon.coupon_code) || ''
+    });
+  };
+
+  const messagingProviders = {
+    twilio: {
+      isConfigured: () => !!twilioClient,
+      send: async (message) => {
+        if (!twilioClient) {
+          console.log('Twilio not configured. Message would be sent to:', message.phone);
+          return { success: false, error: 'Twilio not configured' };
+        }
+
+        const result = await twilioClient.messages.create({
+          body: message.text,
+          from: `whatsapp:${TWILIO_WHATSAPP_NUMBER}`,
+          to: `whatsapp:+${formatPhoneNumber(message.phone)}`,
+          ...(message.mediaUrl && { mediaUrl: [message.mediaUrl] }),
+          ...(TWILIO_STATUS_CALLBACK_URL && { statusCallback: TWILIO_STATUS_CALLBACK_URL })
+        });
+        console.log('WhatsApp message sent:', result.sid);
+        return { success: true, messageId: result.sid, status: result.status };
+      }
+    },
+
+    odoo: {
+      isConfigured: () => !!ODOO_DB,
+      send: async (message) => {
+        if (!message.template) {
+          return { success: false, error: 'No WhatsApp template set for Odoo', permanent: true };
+        }
+
+        const partnerId = message.partnerId || await findOdooPartnerByPhone(message.phone);
+        if (!partnerId) {
+          return { success: false, error: `No Odoo contact with phone ${message.phone}`, permanent: true };
+        }
+
+        const result = await sendOdooWhatsApp(partnerId, message.phone, message.template);
+        return { ...result, status: result.success ? 'sent' : undefined };
+      }
+    },
+
+    meta: {
+      isConfigured: () => !!(META_PHONE_NUMBER_ID && META_ACCESS_TOKEN),
+      send: async (message) => {
+        if (!META_PHONE_NUMBER_ID || !META_ACCESS_TOKEN) {
+          return { success: false, error: 'Meta WhatsApp not configured' };
+        }
+
+        // Template body parameters fill {{1}}, {{2}}, ... in order
+        const content = message.template
+          ? {
+              type: 'template',
+              template: {
+                name: message.template,
+                language: { code: message.language === 'ar' ? 'ar' : META_TEMPLATE_LANGUAGE },
+                ...(message.templateParams?.length && {
+                  components: [{
+                    type: 'body',
+                    parameters: message.templateParams.map(text => ({ type: 'text', text: String(text) }))
+                  }]
+                })
+              }
+            }
+          : message.mediaUrl
+            ? { type: 'image', image: { link: message.mediaUrl, caption: message.text } }
+            : { type: 'text', text: { body: message.text } };
+
+        try {
+          const response = await axios.post(`${META_GRAPH_URL}/${META_PHONE_NUMBER_ID}/messages`, {
+            messaging_product: 'whatsapp',
+            to: formatPhoneNumber(message.phone),
+            ...content
+          }, {
+            headers: { Authorization: `Bearer ${META_ACCESS_TOKEN}` },
+            timeout: 15000
+          });
+          return { success: true, messageId: response.data.messages?.[0]?.id, status: 'accepted' };
+        } catch (error) {
+          const status = error.response?.status;
+          return {
+            success: false,
+            error: error.response?.data?.error?.message || error.message,
+            // Rejected requests (bad number, unknown template) fail the same way every time
+            permanent: status >= 400 && status < 500 && status !== 429
+          };
+        }
+      }
+    },
+
+    // Local testing: print messages, or append them as JSON lines to WHATSAPP_CONSOLE_FILE
+    console: {
+      isConfigured: () => true,
+      send: async (message) => {
+        const messageId = `console-${crypto.randomUUID()}`;
+        const entry = { id: messageId, sent_at: new Date().toISOString(), ...message };
+        if (WHATSAPP_CONSOLE_FILE) {
+          fs.appendFileSync(WHATSAPP_CONSOLE_FILE, `${JSON.stringify(entry)}\n`);
+        } else {
+          console.log('WhatsApp (console):', JSON.stringify(entry));
+        }
+        return { success: true, messageId, status: 'sent' };
+      }
+    }
+  };
+
+  // Without WHATSAPP_PROVIDER, use Twilio when configured, then Odoo, else the console
+  const WHATSAPP_PROVIDER = config.WHATSAPP_PROVIDER || (
+    twilioClient ? 'twilio' : ODOO_DB ? 'odoo' : 'console'
+  );
+  if (!messagingProviders[WHATSAPP_PROVIDER]) {
+    throw new Error(`Unknown WHATSAPP_PROVIDER "${WHATSAPP_PROVIDER}" (use ${Object.keys(messagingProviders).join(', ')})`);
+  }
+  console.log(`WhatsApp provider: ${WHATSAPP_PROVIDER}${messagingProviders[WHATSAPP_PROVIDER].isConfigured() ? '' : ' (not configured)'}`);
+
+  // Send a WhatsApp message through the configured provider
+  const sendWhatsApp = async (message) => {
+    let result;
+    try {
+      result = await messagingProviders[WHATSAPP_PROVIDER].send(message);
+    } catch (error) {
+      console.error(`WhatsApp send error (${WHATSAPP_PROVIDER}):`, error.message);
+      result = { success: false, error: error.message };
+    }
+
+    return {
+      success: !!result.success,
+      provider: WHATSAPP_PROVIDER,
+      messageId: result.messageId || null,
+      status: result.status || null,
+      error: result.success ? null : (result.error || 'Unknown error'),
+      permanent: !result.success && !!result.permanent
+    };
+  };
+
+  // ============== SMS AND EMAIL ==============
+  // Fallback channels for coupons, tried after (or instead of) WhatsApp in the
+  // campaign's channel_order. Both return the sendWhatsApp result shape.
+
+  const mailTransport = SMTP_HOST
+    ? nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+      })
+    : null;
+  console.log(`SMS configured: ${twilioClient && TWILIO_SMS_NUMBER ? 'Yes' : 'No'}, email configured: ${mailTransport ? 'Yes' : 'No'}`);
+
+  // Coupon message for SMS and email, without WhatsApp *bold* markers
+  const couponPlainText = (coupon) => couponMessageText(coupon).replace(/\*([^*\n]+)\*/g, '$1');
+
+  const sendCouponSms = async (coupon) => {
+    if (!twilioClient || !TWILIO_SMS_NUMBER) {
+      return { success: false, error: 'SMS not configured', permanent: true };
+    }
+
+    try {
+      const result = await twilioClient.messages.create({
+        body: couponPlainText(coupon),
+        from: TWILIO_SMS_NUMBER,
+        to: `+${formatPhoneNumber(coupon.mobile_number)}`,
+        ...(TWILIO_STATUS_CALLBACK_URL && { statusCallback: TWILIO_STATUS_CALLBACK_URL })
+      });
+      console.log('SMS sent:', result.sid);
+      return { success: true, messageId: result.sid, status: result.status };
+    } catch (error) {
+      console.error('SMS send error:', error.message);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const sendCouponEmail = async (coupon) => {
+    if (!coupon.customer_email) {
+      return { success: false, error: 'No email address', permanent: true };
+    }
+    if (!mailTransport) {
+      return { success: false, error: 'Email not configured', permanent: true };
+    }
+
+    try {
+      const info = await mailTransport.sendMail({
+        from: EMAIL_FROM,
+        to: coupon.customer_email,
+        subject: `Your ${coupon.discount_percent}% discount coupon: ${coupon.coupon_code}`,
+        text: couponPlainText(coupon),
+        attachments: [{ filename: `${coupon.coupon_code}.png`, content: await renderCouponCard(coupon) }]
+      });
+      console.log('Email sent:', info.messageId);
+      return { success: true, messageId: info.messageId, status: 'sent' };
+    } catch (error) {
+      console.error('Email send error:', error.message);
+      // SMTP 5xx replies (unknown mailbox, rejected sender) will not succeed on retry
+      return { success: false, error: error.message, permanent: error.responseCode >= 500 };
+    }
+  };
+
+  // Try each channel of the campaign (or the given channels) in turn until one delivers
+  // the coupon. Channels that cannot apply (no email collected, SMS not set up) count as
+  // permanent failures, so a coupon with nothing left to try is not retried.
+  const deliverCoupon = async (coupon, channels = (coupon.channel_order || 'whatsapp').split(',')) => {
+    const failures = [];
+
+    for (const channel of channels) {
+      let result;
+      if (channel === 'whatsapp') {
+        result = await sendWhatsApp({
+          phone: coupon.mobile_number,
+          text: couponMessageText(coupon),
+          mediaUrl: PUBLIC_URL ? `${PUBLIC_URL}${couponImagePath(coupon.coupon_code)}` : null,
+          template: coupon.whatsapp_template,
+          templateParams: [coupon.coupon_code, coupon.discount_percent, formatCouponExpiry(coupon.expires_at, coupon.language)],
+          language: coupon.language
+        });
+      } else if (channel === 'sms') {
+        result = await sendCouponSms(coupon);
+      } else {
+        result = await sendCouponEmail(coupon);
+      }
+
+      if (result.success) {
+        return { ...result, channel };
+      }
+      failures.push({ channel, ...result });
+    }
+
+    return {
+      success: false,
+      error: failures.map(f => `${f.channel}: ${f.error}`).join('; '),
+      permanent: failures.every(f => f.permanent)
+    };
+  };
+
+  // Delivery statuses in the order Twilio moves through them; a callback that
+  // arrives late (e.g. 'delivered' after 'read') does not move a coupon backwards
+  const MESSAGE_STATUS_RANK = {
+    accepted: 1, queued: 1, sending: 2, sent: 2,
+    delivered: 3, undelivered: 3, failed: 3,
+    read: 4
+  };
+
+  // Record a status for a Twilio message and update its coupon when it is the
+  // coupon's latest message and the status moves it forward. Returns { couponId, channel }
+  // when that message failed, so the coupon can go out on the next channel.
+  const recordMessageEvent = (messageSid, status, { couponId, errorCode = null, errorMessage = null } = {}) => {
+    if (couponId === undefined) {
+      const firstEvent = db.prepare('SELECT coupon_id FROM message_events WHERE message_sid = ? AND coupon_id IS NOT NULL LIMIT 1').get(messageSid);
+      couponId = firstEvent ? firstEvent.coupon_id : null;
+    }
+
+    db.prepare(`
+      INSERT INTO message_events (coupon_id, message_sid, status, error_code, error_message)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(couponId, messageSid, status, errorCode, errorMessage);
+
+    if (!couponId) {
+      return;
+    }
+
+    const coupon = db.prepare('SELECT whatsapp_sid, whatsapp_status, delivery_channel FROM coupons WHERE id = ?').get(couponId);
+    if (!coupon || coupon.whatsapp_sid !== messageSid) {
+      return;
+    }
+    if ((MESSAGE_STATUS_RANK[status] || 0) <= (MESSAGE_STATUS_RANK[coupon.whatsapp_status] || 0)) {
+      return;
+    }
+
+    if (status === 'failed' || status === 'undelivered') {
+      db.prepare('UPDATE coupons SET whatsapp_status = ?, whatsapp_sent = 0, whatsapp_error = ? WHERE id = ?').run(
+        status,
+        errorMessage || (errorCode ? `Twilio error ${errorCode}` : `Message ${status}`),
+        couponId
+      );
+      return { couponId, channel: coupon.delivery_channel || 'whatsapp' };
+    } else {
+      db.prepare('UPDATE coupons SET whatsapp_status = ? WHERE id = ?').run(status, couponId);
+    }
+  };
+
+  return { sendWhatsApp, deliverCoupon, recordMessageEvent };
+};
+
+module.exports = { createTwilioClient, createMessaging };
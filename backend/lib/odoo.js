@@ -0,0 +1,190 @@
+const { createOdooClient, OdooAccessError, OdooValidationError } = require('./odooClient');
+
+// Odoo JSON-RPC: contacts, branches, stats and WhatsApp through Odoo
+const createOdoo = (ctx) => {
+  const { config } = ctx;
+  const { ODOO_URL, ODOO_DB } = config;
+
+  const { execute } = createOdooClient(config);
+
+  // Odoo partner name for an expo contact, tagged with the campaign
+  const formatOdooContactName = (name, phone, tag) => `${name.toUpperCase()} ${phone} ${tag}`;
+
+  // Create contact in Odoo
+  async function createOdooContact(name, phone, city, tag, branchId = null) {
+    const formattedName = formatOdooContactName(name, phone, tag);
+
+    const partnerData = {
+      name: formattedName,
+      phone: phone,
+      city: city,
+      is_customer_toggle: true  // Mark as customer in Odoo
+    };
+
+    // Add branch if provided
+    if (branchId) {
+      partnerData.branch_id = branchId;
+    }
+
+    return await execute("res.partner", "create", [partnerData]); // partner_id
+  }
+
+  // Newest Odoo contact with this local mobile number, or null
+  async function findOdooPartnerByPhone(phone) {
+    const partnerIds = await execute("res.partner", "search",
+      [[["phone", "=", phone]]],
+      { limit: 1, order: "id desc" }
+    );
+    return partnerIds?.[0] || null;
+  }
+
+  // Send WhatsApp via Odoo using template
+  async function sendOdooWhatsApp(partnerId, phone, templateName) {
+    console.log(`\n=== WhatsApp Send Attempt ===`);
+    console.log(`Partner ID: ${partnerId}, Phone: +968${phone}, Template: ${templateName}`);
+
+    try {
+      // Step 1: Find the WhatsApp template by name
+      console.log('Step 1: Looking up template...');
+      const templates = await execute("whatsapp.template", "search_read",
+        [[["name", "=", templateName]]],
+        { fields: ["id", "name"], limit: 1 }
+      ) || [];
+      console.log(`Templates found: ${templates.length}`, templates);
+
+      if (templates.length === 0) {
+        throw new OdooValidationError(`WhatsApp template '${templateName}' not found`);
+      }
+
+      const templateId = templates[0].id;
+      console.log(`Step 1 OK: Found template "${templateName}" (ID: ${templateId})`);
+
+      // Step 2: Create WhatsApp composer with the template
+      console.log('Step 2: Creating WhatsApp composer...');
+      const composerId = await execute("whatsapp.composer", "create", [{
+        res_model: "res.partner",
+        res_ids: [partnerId],
+        phone: `+968${phone}`,
+        wa_template_id: templateId
+      }]);
+      console.log(`Step 2 OK: Composer created (ID: ${composerId})`);
+
+      // Step 3: Send the WhatsApp message
+      if (composerId) {
+        console.log('Step 3: Sending WhatsApp template...');
+        const sendResult = await execute("whatsapp.composer", "action_send_whatsapp_template", [[composerId]]);
+        console.log('Step 3 OK: Send response:', JSON.stringify(sendResult));
+      }
+
+      console.log(`✓ WhatsApp sent successfully to partner ${partnerId} (phone: +968${phone})`);
+      return { success: true };
+    } catch (error) {
+      console.error('✗ Odoo WhatsApp error:', error.message);
+      // Refused data or access fails the same way on a retry; only outages are worth one
+      const permanent = error instanceof OdooValidationError || error instanceof OdooAccessError;
+      return { success: false, error: error.message, permanent };
+    }
+  }
+
+  // Post a log note to partner's chatter
+  async function postOdooChatterNote(partnerId, staffName, tag) {
+    const noteBody = `<p>Created by <b>${staffName}</b> ${tag}</p>`;
+
+    try {
+      const messageId = await execute(
+        "res.partner",
+        "message_post",
+        [[partnerId]],  // positional args - partner id as list
+        {               // keyword args
+          body: noteBody,
+          message_type: "comment",
+          subtype_xmlid: "mail.mt_note"
+        }
+      );
+      console.log(`Chatter note posted for partner ${partnerId}: Created by ${staffName}`);
+      return messageId;
+    } catch (error) {
+      console.error('Chatter note error:', error.message);
+      return null;
+    }
+  }
+
+  // Fetch a campaign's contacts from Odoo
+  async function getOdooContacts(tag, limit = 100, offset = 0, branchId = null) {
+    const domain = [["name", "ilike", tag]];
+    if (branchId) {
+      domain.push(["branch_id", "=", parseInt(branchId)]);
+    }
+
+    const contacts = await execute("res.partner", "search_read",
+      [domain],
+      {
+        fields: ["id", "name", "phone", "city", "branch_id", "create_date"],
+        limit: limit,
+        offset: offset,
+        order: "create_date desc"
+      }
+    );
+    return contacts || [];
+  }
+
+  // Count a campaign's contacts in Odoo
+  async function countOdooContacts(tag, branchId = null) {
+    const domain = [["name", "ilike", tag]];
+    if (branchId) {
+      domain.push(["branch_id", "=", parseInt(branchId)]);
+    }
+
+    return await execute("res.partner", "search_count", [domain]) || 0;
+  }
+
+  // Get staff stats from chatter messages
+  async function getStaffStats(tag) {
+    const notePattern = new RegExp(`Created by ([^#]+) ${tag}`); // tags are validated to [#A-Za-z0-9_]
+
+    try {
+      const messages = await execute("mail.message", "search_read",
+        [[
+          ["body", "ilike", `Created by%${tag}`],
+          ["model", "=", "res.partner"]
+        ]],
+        { fields: ["body"] }
+      ) || [];
+      const staffCounts = {};
+
+      messages.forEach(msg => {
+        const match = msg.body.match(notePattern);
+        if (match) {
+          // Notes are HTML: "<p>Created by <b>Name</b> #TAG</p>"
+          const staffName = match[1].replace(/<[^>]*>/g, '').trim();
+          staffCounts[staffName] = (staffCounts[staffName] || 0) + 1;
+        }
+      });
+
+      return Object.entries(staffCounts)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count);
+    } catch (error) {
+      console.error('Staff stats error:', error.message);
+      return [];
+    }
+  }
+
+  // Fetch branches from Odoo
+  async function getOdooBranches() {
+    const branches = await execute("company.branches", "search_read",
+      [[]],  // domain - empty to get all
+      { fields: ["id", "name"] }
+    );
+    return branches || [];
+  }
+
+  console.log(`Odoo configured: ${ODOO_DB ? 'Yes' : 'No'} (${ODOO_URL})`)
+
+  return {
+    formatOdooContactName, createOdooContact, findOdooPartnerByPhone, sendOdooWhatsApp, postOdooChatterNote,
+    getOdooContacts, countOdooContacts, getStaffStats, getOdooBranches
+  };
+};
+
+module.exports = { createOdoo };
@@ -0,0 +1,143 @@
+const axios = require('axios');
+
+// Errors from Odoo calls; status is the HTTP status a route should answer with
+class OdooError extends Error {
+  constructor(message, { status = 502, fault = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    // Odoo's exception class, e.g. odoo.exceptions.UserError
+    this.fault = fault;
+  }
+}
+
+// Odoo is not configured, cannot be reached, timed out or failed with a server error.
+// uncertain: a write that Odoo may still have carried out, so it must not be sent again
+class OdooUnavailableError extends OdooError {
+  constructor(message, { uncertain = false, ...options } = {}) {
+    super(message, { status: 503, ...options });
+    this.uncertain = uncertain;
+  }
+}
+
+// Odoo rejected the API credentials, or the API user may not do this
+class OdooAccessError extends OdooError {}
+
+// Odoo refused the request's data (UserError, ValidationError, MissingError)
+class OdooValidationError extends OdooError {
+  constructor(message, options = {}) {
+    super(message, { status: 422, ...options });
+  }
+}
+
+const VALIDATION_FAULTS = ['odoo.exceptions.UserError', 'odoo.exceptions.ValidationError', 'odoo.exceptions.MissingError'];
+// The uid or API key is no longer accepted; the client logs in again once
+const SESSION_FAULTS = ['odoo.exceptions.AccessDenied', 'odoo.http.SessionExpiredException'];
+const ACCESS_FAULTS = [...SESSION_FAULTS, 'odoo.exceptions.AccessError'];
+
+// JSON-RPC error payload { code, message, data: { name, message } } as one of the errors above
+const odooFaultError = (error) => {
+  const fault = error.data?.name || null;
+  const message = error.data?.message || error.message || 'Odoo API error';
+  if (VALIDATION_FAULTS.includes(fault)) return new OdooValidationError(message, { fault });
+  if (ACCESS_FAULTS.includes(fault)) return new OdooAccessError(message, { fault });
+  return new OdooError(message, { fault });
+};
+
+// Reads are retried after any transient failure. Writes only when Odoo cannot have
+// acted on them, since a create that timed out may still have gone through.
+const READ_METHODS = ['authenticate', 'search', 'search_read', 'search_count', 'read', 'fields_get'];
+const CONNECT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+const isTransient = (error, method) => {
+  if (error.response) {
+    return error.response.status === 503 || (error.response.status >= 500 && READ_METHODS.includes(method));
+  }
+  return CONNECT_ERRORS.includes(error.code) || READ_METHODS.includes(method);
+};
+
+// Odoo JSON-RPC client from ODOO_URL, ODOO_DATABASE, ODOO_USERNAME and ODOO_API_KEY.
+// It logs in on first use and keeps the uid until Odoo stops accepting it.
+const createOdooClient = ({
+  ODOO_URL, ODOO_DB, ODOO_USERNAME, ODOO_API_KEY, ODOO_TIMEOUT_MS, ODOO_RETRIES, ODOO_RETRY_DELAY_MS
+}) => {
+  let odooUid = null;
+  let authenticating = null;
+
+  // One JSON-RPC call, repeated with exponential backoff while it fails for transient reasons
+  const call = async (service, method, args) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.post(`${ODOO_URL}/jsonrpc`, {
+          jsonrpc: "2.0",
+          method: "call",
+          params: { service, method, args },
+          id: Date.now()
+        }, { timeout: ODOO_TIMEOUT_MS });
+
+        if (response.data.error) {
+          throw odooFaultError(response.data.error);
+        }
+        return response.data.result;
+      } catch (error) {
+        if (error instanceof OdooError) throw error;
+
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+        const transient = isTransient(error, method === 'execute_kw' ? args[4] : method);
+        if (attempt < ODOO_RETRIES && transient) {
+          console.warn(`Odoo ${method} failed (${reason}), retrying`);
+          await new Promise(resolve => setTimeout(resolve, ODOO_RETRY_DELAY_MS * 2 ** attempt));
+          continue;
+        }
+        if (error.response && error.response.status < 500) {
+          throw new OdooError(`Odoo request failed (${reason})`);
+        }
+        throw new OdooUnavailableError(`Odoo unavailable (${reason})`, { uncertain: !transient });
+      }
+    }
+  };
+
+  // Concurrent callers share one login
+  const authenticate = () => {
+    if (odooUid) return Promise.resolve(odooUid);
+
+    if (!authenticating) {
+      authenticating = (async () => {
+        if (!ODOO_DB || !ODOO_USERNAME || !ODOO_API_KEY) {
+          throw new OdooUnavailableError('Odoo credentials not configured');
+        }
+
+        const uid = await call('common', 'authenticate', [ODOO_DB, ODOO_USERNAME, ODOO_API_KEY, {}]);
+        if (!uid) {
+          throw new OdooAccessError('Odoo authentication failed');
+        }
+        odooUid = uid;
+        console.log('Odoo authenticated, uid:', odooUid);
+        return odooUid;
+      })().finally(() => {
+        authenticating = null;
+      });
+    }
+    return authenticating;
+  };
+
+  // Call model.method(*args, **kwargs) as the API user
+  const execute = async (model, method, args = [], kwargs = {}) => {
+    for (let loggedInAgain = false; ; loggedInAgain = true) {
+      const uid = await authenticate();
+      try {
+        return await call('object', 'execute_kw', [ODOO_DB, uid, ODOO_API_KEY, model, method, args, kwargs]);
+      } catch (error) {
+        if (loggedInAgain || !SESSION_FAULTS.includes(error.fault)) throw error;
+
+        // e.g. the API user was changed in Odoo, or its session ended
+        console.warn(`Odoo no longer accepts uid ${uid} (${error.fault}), logging in again`);
+        if (odooUid === uid) odooUid = null;
+      }
+    }
+  };
+
+  return { authenticate, execute };
+};
+
+module.exports = { createOdooClient, OdooError, OdooUnavailableError, OdooAccessError, OdooValidationError };
@@ -0,0 +1,30 @@
+// Oman mobile numbers and email addresses
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) && email.length <= 254;
+
+// Format phone number for WhatsApp (Oman)
+const normalizeOmanMobile = (phone) => {
+  let cleaned = phone.replace(/\D/g, '');
+
+  if (cleaned.startsWith('00')) {
+    cleaned = cleaned.substring(2);
+  }
+
+  if (cleaned.startsWith('968')) {
+    cleaned = cleaned.substring(3);
+  }
+
+  if (cleaned.startsWith('0')) {
+    cleaned = cleaned.substring(1);
+  }
+
+  return cleaned;
+};
+
+const isValidOmanMobile = (localNumber) => /^[79]\d{7}$/.test(localNumber);
+
+const formatPhoneNumber = (phone) => {
+  const local = normalizeOmanMobile(phone);
+  return `968${local}`;
+};
+
+module.exports = { isValidEmail, normalizeOmanMobile, isValidOmanMobile, formatPhoneNumber };
@@ -0,0 +1,57 @@
+const bcrypt = require('bcryptjs');
+
+// Default admin, campaign and message template for a new database; each is only
+// added when missing, so this is safe to run on every start. Data written by older
+// versions is fixed by migrations (see migrations/005_legacy_coupon_data.js).
+const seedDatabase = (db, config) => {
+  // Create default admin if not exists
+  const adminExists = db.prepare('SELECT id FROM users WHERE role = ?').get('admin');
+  if (!adminExists) {
+    const hashedPassword = bcrypt.hashSync('admin123', 10);
+    db.prepare('INSERT INTO users (username, password, name, role, must_change_password) VALUES (?, ?, ?, ?, 1)').run(
+      'admin',
+      hashedPassword,
+      'Administrator',
+      'admin'
+    );
+    console.log('Default admin created: username=admin, password=admin123 (must be changed at first login)');
+  }
+
+  // Create the first campaign
+  const campaignExists = db.prepare('SELECT id FROM campaigns LIMIT 1').get();
+  if (!campaignExists) {
+    db.prepare(`
+      INSERT INTO campaigns (name, tag, code_prefix, discount_percent, validity_months, whatsapp_template)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      'IDF EXPO 2026',
+      '#IDF2026',
+      'EXPO',
+      15,
+      config.COUPON_VALIDITY_MONTHS,
+      config.WHATSAPP_TEMPLATE_NAME
+    );
+    console.log('Default campaign created: IDF EXPO 2026 (#IDF2026)');
+  }
+
+  // Seed the coupon message the app used to send, in English and Arabic
+  const templateExists = db.prepare('SELECT id FROM message_templates LIMIT 1').get();
+  if (!templateExists) {
+    const result = db.prepare('INSERT INTO message_templates (name) VALUES (?)').run('Coupon welcome');
+    const addVariant = db.prepare('INSERT INTO message_template_variants (template_id, language, body) VALUES (?, ?, ?)');
+    addVariant.run(
+      result.lastInsertRowid,
+      'en',
+      'Welcome! 🎉 Here is your {{discount}}% discount coupon code: *{{code}}*. Valid until {{expiry}} at our showroom. Thank you for visiting our expo stall!'
+    );
+    addVariant.run(
+      result.lastInsertRowid,
+      'ar',
+      'أهلاً بك! 🎉 إليك كود الخصم {{discount}}٪: *{{code}}*. صالح حتى {{expiry}} في معرضنا. شكراً لزيارتك جناحنا في المعرض!'
+    );
+    db.prepare('UPDATE campaigns SET message_template_id = ? WHERE message_template_id IS NULL').run(result.lastInsertRowid);
+    console.log('Default message template created: Coupon welcome');
+  }
+};
+
+module.exports = { seedDatabase };
@@ -0,0 +1,39 @@
+/**
+ * Database migrations
+ *   npm run migrate               apply pending migrations (also creates a new database)
+ *   npm run migrate -- --status   list applied and pending migrations
+ *   npm run migrate -- --dry-run  try pending migrations and roll them back
+ * The server applies pending migrations itself on start.
+ */
+
+require('dotenv').config();
+const { loadConfig } = require('./config');
+const { openDatabase, migrationStatus, runMigrations } = require('./database');
+
+const args = process.argv.slice(2);
+const dbPath = loadConfig().DATABASE_PATH;
+const db = openDatabase(dbPath);
+console.log(`Database: ${dbPath}`);
+
+try {
+  if (args.includes('--status')) {
+    migrationStatus(db).forEach(({ name, applied_at }) => {
+      console.log(`  ${applied_at ? `applied ${applied_at}` : 'pending            '}  ${name}`);
+    });
+  } else {
+    const dryRun = args.includes('--dry-run');
+    const names = runMigrations(db, { dryRun });
+    if (names.length === 0) {
+      console.log('Up to date');
+    }
+    names.forEach(name => console.log(`  ${dryRun ? 'would apply' : 'applied'}  ${name}`));
+    if (dryRun && names.length > 0) {
+      console.log('Dry run: all pending migrations succeeded and were rolled back');
+    }
+  }
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,219 @@
+// Every table as of the first versioned migration. Databases created before migrations
+// existed already have some of these tables; 002 to 004 bring those up to date.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      name TEXT NOT NULL,
+      role TEXT DEFAULT 'staff' CHECK(role IN ('admin', 'supervisor', 'staff', 'cashier', 'viewer')),
+      active INTEGER DEFAULT 1,
+      must_change_password INTEGER DEFAULT 0,
+      pin_hash TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Branches a staff member may act for; none assigned means any branch
+    CREATE TABLE IF NOT EXISTS user_branches (
+      user_id INTEGER NOT NULL,
+      branch TEXT NOT NULL,
+      PRIMARY KEY (user_id, branch),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    -- Shared stall tablets an admin has registered for PIN login; only the token's hash is kept
+    CREATE TABLE IF NOT EXISTS devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      registered_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      FOREIGN KEY (registered_by) REFERENCES users(id)
+    );
+
+    -- Every login attempt, by the username typed (lower case); also drives lockout
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      user_id INTEGER,
+      result TEXT NOT NULL CHECK(result IN ('success', 'failed', 'locked')),
+      ip TEXT,
+      user_agent TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at);
+
+    -- One row per login; access tokens name their session, refresh tokens rotate within it
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      previous_token_hash TEXT,
+      rotated_at DATETIME,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      user_agent TEXT,
+      device_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (device_id) REFERENCES devices(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      tag TEXT UNIQUE NOT NULL,
+      code_prefix TEXT NOT NULL,
+      discount_percent INTEGER NOT NULL,
+      validity_months INTEGER NOT NULL,
+      whatsapp_template TEXT,
+      coupons_per_mobile INTEGER DEFAULT 1,
+      channel_order TEXT DEFAULT 'whatsapp,sms,email',
+      message_template_id INTEGER REFERENCES message_templates(id),
+      starts_at DATE,
+      ends_at DATE,
+      active INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS message_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS message_template_variants (
+      template_id INTEGER NOT NULL,
+      language TEXT NOT NULL CHECK(language IN ('en', 'ar')),
+      body TEXT NOT NULL,
+      PRIMARY KEY (template_id, language),
+      FOREIGN KEY (template_id) REFERENCES message_templates(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS coupons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      customer_name TEXT NOT NULL,
+      mobile_number TEXT NOT NULL,
+      branch TEXT NOT NULL,
+      coupon_code TEXT UNIQUE NOT NULL,
+      staff_id INTEGER NOT NULL,
+      customer_email TEXT,
+      language TEXT DEFAULT 'en',
+      whatsapp_sent INTEGER DEFAULT 0, -- delivered on any channel, see delivery_channel
+      whatsapp_error TEXT,
+      whatsapp_sid TEXT,
+      whatsapp_status TEXT,
+      delivery_channel TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      redeemed_at DATETIME,
+      redeemed_branch TEXT,
+      redeemed_by INTEGER,
+      invoice_amount REAL,
+      expires_at DATETIME,
+      campaign_id INTEGER,
+      idempotency_key TEXT,
+      override_reason TEXT,
+      override_by INTEGER,
+      FOREIGN KEY (staff_id) REFERENCES users(id),
+      FOREIGN KEY (redeemed_by) REFERENCES users(id),
+      FOREIGN KEY (campaign_id) REFERENCES campaigns(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      user_id INTEGER NOT NULL,
+      route TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      response_status INTEGER,
+      response_body TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, route, idempotency_key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_idempotency_created ON idempotency_keys(created_at);
+
+    -- Offline redemptions that reached the server after the coupon was already redeemed
+    CREATE TABLE IF NOT EXISTS redemption_conflicts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      coupon_id INTEGER NOT NULL,
+      branch TEXT NOT NULL,
+      invoice_amount REAL,
+      redeemed_at DATETIME NOT NULL,
+      redeemed_by INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+      FOREIGN KEY (redeemed_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS message_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL CHECK(kind IN ('coupon_whatsapp', 'odoo_whatsapp')),
+      coupon_id INTEGER,
+      payload TEXT,
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'sending', 'sent', 'dead', 'cancelled')),
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_jobs_due ON message_jobs(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_message_jobs_coupon ON message_jobs(coupon_id);
+
+    CREATE TABLE IF NOT EXISTS message_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      coupon_id INTEGER,
+      message_sid TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error_code TEXT,
+      error_message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (coupon_id) REFERENCES coupons(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_events_coupon ON message_events(coupon_id);
+    CREATE INDEX IF NOT EXISTS idx_message_events_sid ON message_events(message_sid);
+
+    -- Who did what to which record; written by the audit middleware, never changed afterwards
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id INTEGER,
+      ip TEXT,
+      user_agent TEXT,
+      changes TEXT,
+      details TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (actor_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id);
+
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events
+    BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events
+    BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END;
+
+    CREATE INDEX IF NOT EXISTS idx_coupons_mobile ON coupons(mobile_number);
+    CREATE INDEX IF NOT EXISTS idx_coupons_code ON coupons(coupon_code);
+    CREATE INDEX IF NOT EXISTS idx_coupons_staff ON coupons(staff_id);
+  `);
+};
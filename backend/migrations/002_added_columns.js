@@ -0,0 +1,34 @@
+// Columns added to the first release before migrations existed, and their indexes.
+// Databases created by 001 already have the columns; the two indexes are only
+// created here.
+const ensureColumn = (db, table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+exports.up = (db) => {
+  ensureColumn(db, 'coupons', 'redeemed_at', 'DATETIME');
+  ensureColumn(db, 'coupons', 'redeemed_branch', 'TEXT');
+  ensureColumn(db, 'coupons', 'redeemed_by', 'INTEGER REFERENCES users(id)');
+  ensureColumn(db, 'coupons', 'invoice_amount', 'REAL');
+  ensureColumn(db, 'coupons', 'expires_at', 'DATETIME');
+  ensureColumn(db, 'coupons', 'campaign_id', 'INTEGER REFERENCES campaigns(id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_coupons_campaign ON coupons(campaign_id)');
+  ensureColumn(db, 'coupons', 'idempotency_key', 'TEXT');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_idempotency ON coupons(idempotency_key)');
+  ensureColumn(db, 'coupons', 'override_reason', 'TEXT');
+  ensureColumn(db, 'coupons', 'override_by', 'INTEGER REFERENCES users(id)');
+  ensureColumn(db, 'campaigns', 'coupons_per_mobile', 'INTEGER DEFAULT 1');
+  ensureColumn(db, 'coupons', 'whatsapp_sid', 'TEXT');
+  ensureColumn(db, 'coupons', 'whatsapp_status', 'TEXT');
+  ensureColumn(db, 'coupons', 'customer_email', 'TEXT');
+  ensureColumn(db, 'coupons', 'delivery_channel', 'TEXT');
+  ensureColumn(db, 'campaigns', 'channel_order', "TEXT DEFAULT 'whatsapp,sms,email'");
+  ensureColumn(db, 'campaigns', 'message_template_id', 'INTEGER REFERENCES message_templates(id)');
+  ensureColumn(db, 'coupons', 'language', "TEXT DEFAULT 'en'");
+  ensureColumn(db, 'users', 'must_change_password', 'INTEGER DEFAULT 0');
+  ensureColumn(db, 'users', 'pin_hash', 'TEXT');
+  ensureColumn(db, 'sessions', 'device_id', 'INTEGER REFERENCES devices(id)');
+};
@@ -0,0 +1,18 @@
+const USER_ROLE_CHECK = "CHECK(role IN ('admin', 'supervisor', 'staff', 'cashier', 'viewer'))";
+
+// The first release only allowed admin and staff. SQLite cannot change a CHECK
+// constraint, so the users table is copied into one with the current role list.
+exports.up = (db) => {
+  const usersTable = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'").get();
+  if (usersTable.sql.includes(USER_ROLE_CHECK)) {
+    return;
+  }
+
+  const columns = db.prepare('PRAGMA table_info(users)').all().map(c => c.name).join(', ');
+  db.exec(usersTable.sql
+    .replace(/CREATE TABLE "?users"?/, 'CREATE TABLE users_new')
+    .replace(/CHECK\s*\(\s*role IN \([^)]*\)\s*\)/, USER_ROLE_CHECK));
+  db.exec(`INSERT INTO users_new (${columns}) SELECT ${columns} FROM users`);
+  db.exec('DROP TABLE users');
+  db.exec('ALTER TABLE users_new RENAME TO users');
+};
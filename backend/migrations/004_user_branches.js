@@ -0,0 +1,11 @@
+// Supervisors briefly had a single users.branch; it became their first assignment
+exports.up = (db) => {
+  if (!db.prepare('PRAGMA table_info(users)').all().some(c => c.name === 'branch')) {
+    return;
+  }
+
+  db.exec(`
+    INSERT OR IGNORE INTO user_branches (user_id, branch) SELECT id, branch FROM users WHERE branch IS NOT NULL;
+    ALTER TABLE users DROP COLUMN branch;
+  `);
+};
@@ -0,0 +1,55 @@
+const bcrypt = require('bcryptjs');
+
+// As the app stood at this migration; later changes to its settings or phone rules
+// must not change what the migration does
+const DEFAULT_VALIDITY_MONTHS = 4;
+const DEFAULT_WHATSAPP_TEMPLATE = 'idf_2026';
+
+// "+968 9123 4567", "0096891234567" or "091234567" -> "91234567"
+const localMobile = (phone) => phone.replace(/\D/g, '').replace(/^00/, '').replace(/^968/, '').replace(/^0/, '');
+
+// Data written by versions from before campaigns, expiry dates, tidy mobile
+// numbers and the forced first password change
+exports.up = (db) => {
+  // Coupons from before campaigns belong to the first one, created from the
+  // settings the app used then if there is none yet
+  if (db.prepare('SELECT id FROM coupons WHERE campaign_id IS NULL LIMIT 1').get()) {
+    let campaign = db.prepare('SELECT id FROM campaigns ORDER BY id LIMIT 1').get();
+    if (!campaign) {
+      const result = db.prepare(`
+        INSERT INTO campaigns (name, tag, code_prefix, discount_percent, validity_months, whatsapp_template)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run('IDF EXPO 2026', '#IDF2026', 'EXPO', 15, DEFAULT_VALIDITY_MONTHS, DEFAULT_WHATSAPP_TEMPLATE);
+      campaign = { id: result.lastInsertRowid };
+    }
+    db.prepare('UPDATE coupons SET campaign_id = ? WHERE campaign_id IS NULL').run(campaign.id);
+  }
+
+  // Coupons issued before expiry was tracked get their campaign's validity from their issue date
+  db.exec(`
+    UPDATE coupons SET expires_at = datetime(created_at, '+' || (
+      SELECT validity_months FROM campaigns WHERE campaigns.id = coupons.campaign_id
+    ) || ' months')
+    WHERE expires_at IS NULL
+  `);
+
+  // Numbers were stored as typed; keep only the local 8 digits so "+968 9123 4567"
+  // and "91234567" count as the same customer
+  const untidyMobiles = db.prepare(`
+    SELECT id, mobile_number FROM coupons
+    WHERE length(mobile_number) != 8 OR mobile_number GLOB '*[^0-9]*'
+  `).all();
+  const setMobile = db.prepare('UPDATE coupons SET mobile_number = ? WHERE id = ?');
+  untidyMobiles.forEach(({ id, mobile_number }) => {
+    const mobile = localMobile(mobile_number);
+    if (/^[79]\d{7}$/.test(mobile)) {
+      setMobile.run(mobile, id);
+    }
+  });
+
+  // An admin still on the default password must change it at the next login
+  const defaultAdmin = db.prepare('SELECT id, password FROM users WHERE username = ? AND must_change_password = 0').get('admin');
+  if (defaultAdmin && bcrypt.compareSync('admin123', defaultAdmin.password)) {
+    db.prepare('UPDATE users SET must_change_password = 1 WHERE id = ?').run(defaultAdmin.id);
+  }
+};
@@ -0,0 +1,8 @@
+// Idempotency keys come from each user's device, so a coupon's key is only unique
+// per staff member, as in idempotency_keys
+exports.up = (db) => {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_coupons_idempotency;
+    CREATE UNIQUE INDEX idx_coupons_idempotency ON coupons(staff_id, idempotency_key);
+  `);
+};
@@ -0,0 +1,127 @@
+const express = require('express');
+const XLSX = require('xlsx');
+
+// ============== AUDIT ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const { db, authenticateToken, requirePermission, audit } = ctx;
+
+  // WHERE clause (on audit_events aliased as e) for the activity filters shared by the list and its export
+  const auditEventFilter = ({ actor_id, action, target_type, target_id, date_from, date_to }) => {
+    let whereClause = '1=1';
+    const params = [];
+
+    if (actor_id) {
+      whereClause += ' AND e.actor_id = ?';
+      params.push(actor_id);
+    }
+
+    if (action) {
+      whereClause += ' AND e.action = ?';
+      params.push(action);
+    }
+
+    if (target_type) {
+      whereClause += ' AND e.target_type = ?';
+      params.push(target_type);
+    }
+
+    if (target_id) {
+      whereClause += ' AND e.target_id = ?';
+      params.push(target_id);
+    }
+
+    if (date_from) {
+      whereClause += ' AND DATE(e.created_at) >= ?';
+      params.push(date_from);
+    }
+
+    if (date_to) {
+      whereClause += ' AND DATE(e.created_at) <= ?';
+      params.push(date_to);
+    }
+
+    return { whereClause, params };
+  };
+
+  // Activity log, newest first (admin only)
+  router.get('/api/audit-events', authenticateToken, requirePermission('audit:view'), (req, res) => {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+    const { whereClause, params } = auditEventFilter(req.query);
+
+    const total = db.prepare(`SELECT COUNT(*) as total FROM audit_events e WHERE ${whereClause}`).get(...params).total;
+
+    const events = db.prepare(`
+      SELECT e.*, u.name as actor_name, u.username as actor_username
+      FROM audit_events e
+      LEFT JOIN users u ON e.actor_id = u.id
+      WHERE ${whereClause}
+      ORDER BY e.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, parseInt(limit), offset).map(({ changes, details, ...event }) => ({
+      ...event,
+      changes: changes ? JSON.parse(changes) : null,
+      details: details ? JSON.parse(details) : null
+    }));
+
+    // Choices for the filters: everyone and everything that appears in the log
+    const actors = db.prepare(`
+      SELECT DISTINCT u.id, u.name FROM audit_events e JOIN users u ON e.actor_id = u.id ORDER BY u.name
+    `).all();
+    const actions = db.prepare('SELECT DISTINCT action FROM audit_events ORDER BY action').all().map(row => row.action);
+
+    res.json({
+      events,
+      actors,
+      actions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Excel runs a cell starting with =, +, - or @ as a formula; names, user agents and
+  // reasons come from users, so such values are exported behind a ' as plain text
+  const escapeFormula = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+  // Export the filtered activity log as CSV (admin only); the export is itself logged
+  router.get('/api/audit-events/export', authenticateToken, requirePermission('audit:view'), audit('audit.export'), (req, res) => {
+    const { whereClause, params } = auditEventFilter(req.query);
+
+    const data = db.prepare(`
+      SELECT
+        e.created_at as "Date & Time",
+        u.name as "Actor",
+        u.username as "Username",
+        e.action as "Action",
+        e.target_type as "Target Type",
+        e.target_id as "Target ID",
+        e.ip as "IP Address",
+        e.user_agent as "User Agent",
+        e.changes as "Changes",
+        e.details as "Details"
+      FROM audit_events e
+      LEFT JOIN users u ON e.actor_id = u.id
+      WHERE ${whereClause}
+      ORDER BY e.id DESC
+    `).all(...params).map(row => Object.fromEntries(
+      Object.entries(row).map(([column, value]) => [column, escapeFormula(value)])
+    ));
+
+    // The byte order mark makes Excel read names in Arabic correctly
+    const csv = '\ufeff' + XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(data));
+
+    res.locals.auditDetails = { filters: req.query, rows: data.length };
+    const filename = `activity-export-${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(csv);
+  });
+
+  return router;
+};
@@ -0,0 +1,263 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// ============== AUTH ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    db, createSession, rejectThrottledLogin, recordLoginAttempt, sessionUser, REFRESH_REUSE_GRACE_SECONDS,
+    hashRefreshSecret, signAccessToken, findDevice, authenticateToken, revokeUserSessions,
+    recentLoginFailures, requirePermission, ROLE_PERMISSIONS, assignedBranches, PIN_PATTERN, PIN_ROLES, audit
+  } = ctx;
+  const { LOGIN_MAX_ATTEMPTS, LOGIN_LOCKOUT_MINUTES } = ctx.config;
+
+  // Users who may sign in with their PIN; bound to PIN_ROLES
+  const PIN_USER_SQL = `active = 1 AND pin_hash IS NOT NULL AND must_change_password = 0
+    AND role IN (${PIN_ROLES.map(() => '?').join(', ')})`;
+
+  // Login
+  router.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password required' });
+    }
+
+    // Throttled by the name typed, so unknown usernames behave like real ones
+    const attemptName = String(username).trim().toLowerCase();
+    if (rejectThrottledLogin(req, res, attemptName)) return;
+
+    const user = db.prepare('SELECT * FROM users WHERE username = ? AND active = 1').get(username);
+
+    if (!user || !bcrypt.compareSync(password, user.password)) {
+      recordLoginAttempt(req, attemptName, 'failed', user?.id);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    recordLoginAttempt(req, attemptName, 'success', user.id);
+
+    const { token, refresh_token } = createSession(user, req.get('User-Agent'));
+
+    res.json({ token, refresh_token, user: sessionUser(user) });
+  });
+
+  // Exchange a refresh token for a new access token and a new refresh token
+  router.post('/api/auth/refresh', (req, res) => {
+    const [sessionId, secret] = typeof req.body.refresh_token === 'string' ? req.body.refresh_token.split('.') : [];
+    if (!sessionId || !secret) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const session = db.prepare(`
+      SELECT s.*, u.username, u.name, u.role, u.active,
+        s.expires_at <= CURRENT_TIMESTAMP as expired,
+        s.rotated_at > datetime('now', ?) as recently_rotated
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.id = ?
+    `).get(`-${REFRESH_REUSE_GRACE_SECONDS} seconds`, sessionId);
+    if (!session || session.revoked_at || session.expired || !session.active) {
+      return res.status(401).json({ error: 'Session ended, please log in again' });
+    }
+
+    const hash = hashRefreshSecret(secret);
+    if (hash !== session.refresh_token_hash) {
+      if (hash === session.previous_token_hash && session.recently_rotated) {
+        return res.status(409).json({ error: 'Refresh token already used' });
+      }
+      // An old refresh token came back: someone else holds a copy, so end the session
+      db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(sessionId);
+      console.warn(`Refresh token reused for session ${sessionId} (${session.username}), session revoked`);
+      return res.status(401).json({ error: 'Session ended, please log in again' });
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    db.prepare(`
+      UPDATE sessions
+      SET refresh_token_hash = ?, previous_token_hash = ?, rotated_at = CURRENT_TIMESTAMP,
+        last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(hashRefreshSecret(nextSecret), hash, sessionId);
+
+    res.json({
+      token: signAccessToken({ ...session, id: session.user_id }, sessionId),
+      refresh_token: `${sessionId}.${nextSecret}`
+    });
+  });
+
+  // Staff who can sign in with a PIN on this device; the device token is the credential
+  router.post('/api/auth/pin-users', (req, res) => {
+    const device = findDevice(req.body.device_token);
+    if (!device) {
+      return res.status(401).json({ error: 'This device is not registered for PIN login' });
+    }
+
+    const users = db.prepare(`SELECT id, name FROM users WHERE ${PIN_USER_SQL} ORDER BY name`).all(...PIN_ROLES);
+    res.json({ device: { id: device.id, name: device.name }, users });
+  });
+
+  // Quick login with a PIN on a registered device; throttled together with password logins
+  router.post('/api/auth/pin-login', (req, res) => {
+    const { device_token, user_id, pin } = req.body;
+
+    const device = findDevice(device_token);
+    if (!device) {
+      return res.status(401).json({ error: 'This device is not registered for PIN login' });
+    }
+
+    if (!user_id || !pin) {
+      return res.status(400).json({ error: 'Staff member and PIN required' });
+    }
+
+    const user = db.prepare(`SELECT * FROM users WHERE id = ? AND ${PIN_USER_SQL}`).get(user_id, ...PIN_ROLES);
+    if (!user) {
+      return res.status(401).json({ error: 'PIN login is not set up for this staff member' });
+    }
+
+    const attemptName = user.username.toLowerCase();
+    if (rejectThrottledLogin(req, res, attemptName, user.id)) return;
+
+    if (!bcrypt.compareSync(String(pin), user.pin_hash)) {
+      recordLoginAttempt(req, attemptName, 'failed', user.id);
+      return res.status(401).json({ error: 'Wrong PIN' });
+    }
+
+    recordLoginAttempt(req, attemptName, 'success', user.id);
+    db.prepare('UPDATE devices SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(device.id);
+
+    const { token, refresh_token } = createSession(user, req.get('User-Agent'), device.id);
+
+    res.json({ token, refresh_token, user: sessionUser(user) });
+  });
+
+  // Log out this device
+  router.post('/api/auth/logout', authenticateToken, (req, res) => {
+    db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(req.user.sid);
+    res.json({ message: 'Logged out' });
+  });
+
+  // Log out every device, this one included
+  router.post('/api/auth/logout-all', authenticateToken, (req, res) => {
+    const count = revokeUserSessions(req.user.id);
+    res.json({ message: 'Logged out everywhere', sessions: count });
+  });
+
+  // Login history, newest first (admin only); ?username= and ?result= filter it
+  router.get('/api/auth/login-history', authenticateToken, requirePermission('staff:manage'), (req, res) => {
+    const { username, result, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = '1=1';
+    const params = [];
+    if (username) {
+      whereClause += ' AND a.username = ?';
+      params.push(String(username).trim().toLowerCase());
+    }
+    if (result) {
+      whereClause += ' AND a.result = ?';
+      params.push(result);
+    }
+
+    const attempts = db.prepare(`
+      SELECT a.id, a.username, a.result, a.ip, a.user_agent, a.created_at, u.name
+      FROM login_attempts a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE ${whereClause}
+      ORDER BY a.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, parseInt(limit), offset);
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM login_attempts a WHERE ${whereClause}`).get(...params);
+
+    // Usernames that cannot log in right now
+    const locked = db.prepare(`
+      SELECT DISTINCT username FROM login_attempts
+      WHERE result = 'failed' AND created_at > datetime('now', ?)
+    `).all(`-${LOGIN_LOCKOUT_MINUTES} minutes`)
+      .map(row => row.username)
+      .filter(name => recentLoginFailures(name).count >= LOGIN_MAX_ATTEMPTS);
+
+    res.json({
+      attempts,
+      locked,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Get current user
+  router.get('/api/auth/me', authenticateToken, (req, res) => {
+    res.json({
+      user: { ...req.user, branches: assignedBranches(req.user), permissions: ROLE_PERMISSIONS[req.user.role] }
+    });
+  });
+
+  router.patch('/api/auth/password', authenticateToken, audit('auth.password_change', 'user', req => req.user.id), (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+
+    if (new_password.length < 4) {
+      return res.status(400).json({ error: 'Password must be at least 4 characters' });
+    }
+
+    const user = db.prepare('SELECT id, password, active FROM users WHERE id = ?').get(req.user.id);
+    if (!user || !user.active) {
+      return res.status(403).json({ error: 'Account inactive' });
+    }
+
+    if (!bcrypt.compareSync(current_password, user.password)) {
+      return res.status(400).json({ error: 'Current password incorrect' });
+    }
+
+    if (new_password === current_password) {
+      return res.status(400).json({ error: 'New password must be different' });
+    }
+
+    const hashedPassword = bcrypt.hashSync(new_password, 10);
+    db.prepare('UPDATE users SET password = ?, must_change_password = 0 WHERE id = ?').run(hashedPassword, req.user.id);
+    // Other devices have to log in with the new password
+    revokeUserSessions(req.user.id, req.user.sid);
+    res.json({ message: 'Password updated successfully' });
+  });
+
+  // Set or change your quick-login PIN; the password confirms it is really you
+  router.patch('/api/auth/pin', authenticateToken, audit('auth.pin_set', 'user', req => req.user.id), (req, res) => {
+    const { current_password, pin } = req.body;
+
+    if (!current_password || !pin) {
+      return res.status(400).json({ error: 'Current password and PIN required' });
+    }
+
+    if (!PIN_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: 'PIN login is only for stall and showroom staff' });
+    }
+
+    if (!PIN_PATTERN.test(String(pin))) {
+      return res.status(400).json({ error: 'PIN must be 4 to 6 digits' });
+    }
+
+    const user = db.prepare('SELECT password FROM users WHERE id = ?').get(req.user.id);
+    if (!bcrypt.compareSync(current_password, user.password)) {
+      return res.status(400).json({ error: 'Current password incorrect' });
+    }
+
+    db.prepare('UPDATE users SET pin_hash = ? WHERE id = ?').run(bcrypt.hashSync(String(pin), 10), req.user.id);
+    res.json({ message: 'PIN saved' });
+  });
+
+  // Turn off your quick-login PIN
+  router.delete('/api/auth/pin', authenticateToken, audit('auth.pin_remove', 'user', req => req.user.id), (req, res) => {
+    db.prepare('UPDATE users SET pin_hash = NULL WHERE id = ?').run(req.user.id);
+    res.json({ message: 'PIN removed' });
+  });
+
+  return router;
+};
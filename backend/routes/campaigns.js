@@ -0,0 +1,239 @@
+const express = require('express');
+
+// ============== CAMPAIGN AND MESSAGE TEMPLATE ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    db, authenticateToken, requirePermission, getActiveCampaign, normalizeChannelOrder, validateCampaign,
+    MESSAGE_LANGUAGES, TEMPLATE_PLACEHOLDERS, loadMessageTemplate, validateMessageTemplate,
+    saveMessageTemplateVariants, audit
+  } = ctx;
+
+  // Get all campaigns
+  router.get('/api/campaigns', authenticateToken, (req, res) => {
+    const active = getActiveCampaign();
+    const campaigns = db.prepare(`
+      SELECT k.*, COUNT(c.id) as coupon_count
+      FROM campaigns k
+      LEFT JOIN coupons c ON c.campaign_id = k.id
+      GROUP BY k.id
+      ORDER BY k.created_at DESC
+    `).all();
+
+    res.json({ campaigns, active_campaign_id: active ? active.id : null });
+  });
+
+  // Get the campaign new coupons are issued under
+  router.get('/api/campaigns/active', authenticateToken, (req, res) => {
+    const campaign = getActiveCampaign();
+    if (!campaign) {
+      return res.status(404).json({ error: 'No active campaign' });
+    }
+    res.json({ campaign });
+  });
+
+  // Create campaign (admin only)
+  router.post('/api/campaigns', authenticateToken, requirePermission('campaigns:manage'), audit('campaign.create', 'campaign'), (req, res) => {
+    const error = validateCampaign(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const {
+      name, tag, code_prefix, discount_percent, validity_months, whatsapp_template,
+      coupons_per_mobile = 1, channel_order = 'whatsapp,sms,email', message_template_id, starts_at, ends_at,
+      active = true
+    } = req.body;
+
+    const existing = db.prepare('SELECT id FROM campaigns WHERE tag = ?').get(tag.trim());
+    if (existing) {
+      return res.status(400).json({ error: 'Campaign tag already exists' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO campaigns (
+        name, tag, code_prefix, discount_percent, validity_months, whatsapp_template,
+        coupons_per_mobile, channel_order, message_template_id, starts_at, ends_at, active
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      name.trim(),
+      tag.trim(),
+      code_prefix.trim().toUpperCase(),
+      Number(discount_percent),
+      Number(validity_months),
+      whatsapp_template?.trim() || null,
+      Number(coupons_per_mobile),
+      normalizeChannelOrder(channel_order),
+      message_template_id || null,
+      starts_at || null,
+      ends_at || null,
+      active ? 1 : 0
+    );
+
+    const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(result.lastInsertRowid);
+    res.locals.auditTargetId = campaign.id;
+    res.status(201).json({ message: 'Campaign created', campaign });
+  });
+
+  // Update campaign (admin only)
+  router.patch('/api/campaigns/:id', authenticateToken, requirePermission('campaigns:manage'), audit('campaign.update', 'campaign'), (req, res) => {
+    const { id } = req.params;
+
+    const current = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id);
+    if (!current) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const fields = [
+      'name', 'tag', 'code_prefix', 'discount_percent', 'validity_months', 'whatsapp_template',
+      'coupons_per_mobile', 'channel_order', 'message_template_id', 'starts_at', 'ends_at', 'active'
+    ];
+    const updated = { ...current };
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) updated[field] = req.body[field];
+    });
+
+    const error = validateCampaign(updated);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Existing Odoo contacts are found by tag, so it cannot change once contacts exist
+    const couponCount = db.prepare('SELECT COUNT(*) as count FROM coupons WHERE campaign_id = ?').get(id).count;
+    if (updated.tag.trim() !== current.tag && couponCount > 0) {
+      return res.status(400).json({ error: 'Cannot change the tag of a campaign that has coupons' });
+    }
+
+    const duplicate = db.prepare('SELECT id FROM campaigns WHERE tag = ? AND id != ?').get(updated.tag.trim(), id);
+    if (duplicate) {
+      return res.status(400).json({ error: 'Campaign tag already exists' });
+    }
+
+    db.prepare(`
+      UPDATE campaigns
+      SET name = ?, tag = ?, code_prefix = ?, discount_percent = ?, validity_months = ?,
+        whatsapp_template = ?, coupons_per_mobile = ?, channel_order = ?, message_template_id = ?,
+        starts_at = ?, ends_at = ?, active = ?
+      WHERE id = ?
+    `).run(
+      updated.name.trim(),
+      updated.tag.trim(),
+      updated.code_prefix.trim().toUpperCase(),
+      Number(updated.discount_percent),
+      Number(updated.validity_months),
+      updated.whatsapp_template?.trim() || null,
+      Number(updated.coupons_per_mobile),
+      normalizeChannelOrder(updated.channel_order),
+      updated.message_template_id || null,
+      updated.starts_at || null,
+      updated.ends_at || null,
+      updated.active ? 1 : 0,
+      id
+    );
+
+    const campaign = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(id);
+    res.json({ message: 'Campaign updated', campaign });
+  });
+
+  // Delete campaign (admin only, only while it has no coupons)
+  router.delete('/api/campaigns/:id', authenticateToken, requirePermission('campaigns:manage'), audit('campaign.delete', 'campaign'), (req, res) => {
+    const { id } = req.params;
+
+    const campaign = db.prepare('SELECT id FROM campaigns WHERE id = ?').get(id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const couponCount = db.prepare('SELECT COUNT(*) as count FROM coupons WHERE campaign_id = ?').get(id).count;
+    if (couponCount > 0) {
+      return res.status(400).json({ error: 'Campaign has coupons; deactivate it instead' });
+    }
+
+    db.prepare('DELETE FROM campaigns WHERE id = ?').run(id);
+    res.json({ message: 'Campaign deleted' });
+  });
+
+  // Get all message templates (admin only)
+  router.get('/api/message-templates', authenticateToken, requirePermission('campaigns:manage'), (req, res) => {
+    const ids = db.prepare('SELECT id FROM message_templates ORDER BY id').all();
+    res.json({
+      templates: ids.map(({ id }) => loadMessageTemplate(id)),
+      languages: MESSAGE_LANGUAGES,
+      placeholders: TEMPLATE_PLACEHOLDERS
+    });
+  });
+
+  // Create message template (admin only)
+  router.post('/api/message-templates', authenticateToken, requirePermission('campaigns:manage'), audit('template.create', 'template'), (req, res) => {
+    const error = validateMessageTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const name = req.body.name.trim();
+    if (db.prepare('SELECT id FROM message_templates WHERE name = ?').get(name)) {
+      return res.status(400).json({ error: 'Template name already exists' });
+    }
+
+    const id = db.transaction(() => {
+      const result = db.prepare('INSERT INTO message_templates (name) VALUES (?)').run(name);
+      saveMessageTemplateVariants(result.lastInsertRowid, req.body.variants);
+      return result.lastInsertRowid;
+    })();
+
+    res.locals.auditTargetId = id;
+    res.status(201).json({ message: 'Template created', template: loadMessageTemplate(id) });
+  });
+
+  // Update message template (admin only)
+  router.patch('/api/message-templates/:id', authenticateToken, requirePermission('campaigns:manage'), audit('template.update', 'template'), (req, res) => {
+    const current = loadMessageTemplate(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const updated = {
+      name: req.body.name ?? current.name,
+      variants: req.body.variants ?? current.variants
+    };
+    const error = validateMessageTemplate(updated);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const name = updated.name.trim();
+    if (db.prepare('SELECT id FROM message_templates WHERE name = ? AND id != ?').get(name, current.id)) {
+      return res.status(400).json({ error: 'Template name already exists' });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE message_templates SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(name, current.id);
+      saveMessageTemplateVariants(current.id, updated.variants);
+    })();
+
+    res.json({ message: 'Template updated', template: loadMessageTemplate(current.id) });
+  });
+
+  // Delete message template (admin only, only while no campaign uses it)
+  router.delete('/api/message-templates/:id', authenticateToken, requirePermission('campaigns:manage'), audit('template.delete', 'template'), (req, res) => {
+    const template = loadMessageTemplate(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (template.campaign_count > 0) {
+      return res.status(400).json({ error: 'Template is used by a campaign' });
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM message_template_variants WHERE template_id = ?').run(template.id);
+      db.prepare('DELETE FROM message_templates WHERE id = ?').run(template.id);
+    })();
+
+    res.json({ message: 'Template deleted' });
+  });
+
+  return router;
+};
@@ -0,0 +1,180 @@
+const express = require('express');
+const XLSX = require('xlsx');
+const { normalizeOmanMobile, isValidOmanMobile } = require('../lib/phone');
+const { OdooError } = require('../lib/odooClient');
+
+// ============== CONTACT ROUTES (ODOO) ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    formatOdooContactName, createOdooContact, postOdooChatterNote, getOdooBranches, getOdooContacts,
+    countOdooContacts, authenticateToken, requirePermission, assignedBranches, idempotent, getActiveCampaign,
+    resolveCampaign, enqueueMessageJob, audit
+  } = ctx;
+  const { BRANCHES } = ctx.config;
+
+  // Odoo errors carry their own status (422 refused data, 503 unreachable, 502 other faults)
+  const errorStatus = (error) => (error instanceof OdooError ? error.status : 500);
+
+  // Create contact in Odoo (no local storage)
+  router.post('/api/contacts', authenticateToken, requirePermission('coupons:create'), idempotent, async (req, res) => {
+    let partnerId = null;
+    try {
+      const { name, phone, city, branch_id } = req.body;
+
+      // Validate
+      if (!name?.trim() || !phone?.trim() || !city?.trim()) {
+        return res.status(400).json({ error: 'Name, phone, and city are required' });
+      }
+
+      // Normalize phone (Oman format)
+      const normalizedPhone = normalizeOmanMobile(phone);
+      if (!isValidOmanMobile(normalizedPhone)) {
+        return res.status(400).json({ error: 'Invalid Oman mobile number (8 digits, starts with 7 or 9)' });
+      }
+
+      const campaign = getActiveCampaign();
+      if (!campaign) {
+        return res.status(400).json({ error: 'No active campaign' });
+      }
+
+      // 1. Create contact in Odoo
+      partnerId = await createOdooContact(name.trim(), normalizedPhone, city.trim(), campaign.tag, branch_id);
+      const formattedName = formatOdooContactName(name.trim(), normalizedPhone, campaign.tag);
+
+      // 2. Post chatter note with staff name for tracking
+      await postOdooChatterNote(partnerId, req.user.name, campaign.tag);
+
+      // 3. Queue the WhatsApp template send via Odoo
+      const jobId = enqueueMessageJob('odoo_whatsapp', {
+        payload: { partner_id: partnerId, phone: normalizedPhone, template: campaign.whatsapp_template, name: name.trim() },
+        createdBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        contact: {
+          odoo_partner_id: partnerId,
+          name: formattedName,
+          phone: normalizedPhone,
+          city: city.trim(),
+          campaign_id: campaign.id
+        },
+        whatsapp_sent: false,
+        whatsapp: { queued: true, job_id: jobId }
+      });
+
+    } catch (error) {
+      console.error('Contact creation error:', error);
+      // The contact may exist in Odoo already; a retry with the same key must not create another
+      if (partnerId || error.uncertain) {
+        res.locals.keepIdempotencyRecord = true;
+        return res.status(errorStatus(error)).json({
+          error: `${error.message}. The contact may have been created; check Odoo before entering it again`
+        });
+      }
+      res.status(errorStatus(error)).json({ error: error.message || 'Failed to create contact' });
+    }
+  });
+
+  // Get branches from Odoo, limited to the ones the user is assigned to
+  router.get('/api/branches', authenticateToken, async (req, res) => {
+    let branches;
+    try {
+      branches = await getOdooBranches();
+    } catch (error) {
+      console.error('Failed to fetch branches:', error.message);
+      // Fallback to env branches if Odoo fails
+      branches = BRANCHES.map((name, i) => ({ id: i + 1, name }));
+    }
+
+    const assigned = assignedBranches(req.user);
+    res.json({ branches: assigned ? branches.filter(branch => assigned.includes(branch.name)) : branches });
+  });
+
+  // Get all contacts from Odoo (with pagination)
+  router.get('/api/contacts', authenticateToken, requirePermission('dashboard:view'), async (req, res) => {
+    try {
+      const { page = 1, limit = 50, branch_id, campaign_id } = req.query;
+      const offset = (page - 1) * limit;
+
+      const campaign = resolveCampaign(campaign_id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const contacts = await getOdooContacts(campaign.tag, parseInt(limit), offset, branch_id);
+      const total = await countOdooContacts(campaign.tag, branch_id);
+
+      res.json({
+        contacts: contacts.map(c => ({
+          id: c.id,
+          name: c.name,
+          phone: c.phone,
+          city: c.city,
+          branch_id: c.branch_id ? c.branch_id[0] : null,
+          branch_name: c.branch_id ? c.branch_id[1] : null,
+          created_at: c.create_date
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Fetch contacts error:', error);
+      res.status(errorStatus(error)).json({ error: 'Failed to fetch contacts' });
+    }
+  });
+
+  // Export contacts to Excel (from Odoo)
+  router.get('/api/contacts/export', authenticateToken, requirePermission('data:export'), audit('contact.export'), async (req, res) => {
+    try {
+      const { branch_id, campaign_id } = req.query;
+
+      const campaign = resolveCampaign(campaign_id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      // Fetch all contacts from Odoo (up to 10000)
+      const contacts = await getOdooContacts(campaign.tag, 10000, 0, branch_id);
+
+      const data = contacts.map(c => ({
+        "Customer Name": c.name,
+        "Phone": c.phone,
+        "City": c.city,
+        "Branch": c.branch_id ? c.branch_id[1] : '',
+        "Date & Time": c.create_date
+      }));
+
+      const worksheet = XLSX.utils.json_to_sheet(data);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Contacts');
+
+      worksheet['!cols'] = [
+        { wch: 30 }, // Customer Name
+        { wch: 12 }, // Phone
+        { wch: 15 }, // City
+        { wch: 15 }, // Branch
+        { wch: 20 }  // Date & Time
+      ];
+
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      res.locals.auditDetails = { filters: req.query, rows: data.length };
+      const filename = `contacts-export-${new Date().toISOString().split('T')[0]}.xlsx`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.send(buffer);
+    } catch (error) {
+      console.error('Export error:', error);
+      res.status(errorStatus(error)).json({ error: 'Failed to export contacts' });
+    }
+  });
+
+  return router;
+};
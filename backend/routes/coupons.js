@@ -0,0 +1,625 @@
+const express = require('express');
+const XLSX = require('xlsx');
+const crypto = require('crypto');
+const { isValidEmail, normalizeOmanMobile, isValidOmanMobile } = require('../lib/phone');
+
+// ============== COUPON ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    db, authenticateToken, hasPermission, requirePermission, canActForBranch, couponScope, idempotent,
+    generateCouponCode, COUPON_CODE_ATTEMPTS, isCouponCodeCollision, findCouponByCode, COUPON_STATUS_SQL,
+    WHATSAPP_JOB_STATUS_SQL, normalizeCouponCode, COUPON_IMAGE_TYPES, couponImageSignature, renderCouponImage,
+    isPlausibleCouponCode, verifyCouponToken, getActiveCampaign, MESSAGE_LANGUAGES, enqueueMessageJob,
+    processMessageJobs, audit, recordAuditEvent
+  } = ctx;
+
+  // Create coupon (staff)
+  router.post('/api/coupons', authenticateToken, requirePermission('coupons:create'), idempotent, async (req, res) => {
+    const { customer_name, mobile_number, branch, customer_email, language = 'en', override_reason } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+
+    // Offline entries can sync long after the replay window; a key that already
+    // created a coupon for this user returns that coupon instead of a new one
+    if (idempotencyKey) {
+      const existing = db.prepare('SELECT coupon_code FROM coupons WHERE staff_id = ? AND idempotency_key = ?')
+        .get(req.user.id, idempotencyKey);
+      if (existing) {
+        const coupon = findCouponByCode(existing.coupon_code);
+        return res.json({
+          message: 'Coupon already created',
+          coupon,
+          whatsapp: { success: !!coupon.whatsapp_sent }
+        });
+      }
+    }
+
+    if (!customer_name || !mobile_number || !branch) {
+      return res.status(400).json({ error: 'Customer name, mobile number, and branch required' });
+    }
+
+    // Validate mobile number (Oman)
+    const localMobile = normalizeOmanMobile(mobile_number);
+    if (!isValidOmanMobile(localMobile)) {
+      return res.status(400).json({ error: 'Invalid Oman mobile number (8 digits, starts with 7 or 9)' });
+    }
+
+    // Optional, used when the campaign falls back to email
+    const email = customer_email?.trim().toLowerCase() || null;
+    if (email && !isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+
+    if (!MESSAGE_LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `Language must be one of ${MESSAGE_LANGUAGES.join(', ')}` });
+    }
+
+    if (!canActForBranch(req.user, branch)) {
+      return res.status(403).json({ error: `You are not assigned to ${branch}` });
+    }
+
+    const overrideReason = override_reason?.trim() || null;
+    if (overrideReason && !hasPermission(req.user, 'coupons:manage')) {
+      return res.status(403).json({ error: 'Only admins can override the duplicate rule' });
+    }
+
+    const campaign = getActiveCampaign();
+    if (!campaign) {
+      return res.status(400).json({ error: 'No active campaign' });
+    }
+
+    // One customer, one coupon per campaign (or whatever limit the campaign sets; 0 = unlimited)
+    let overridden = null;
+    if (campaign.coupons_per_mobile > 0) {
+      const previous = db.prepare(`
+        SELECT coupon_code FROM coupons
+        WHERE campaign_id = ? AND mobile_number = ?
+        ORDER BY created_at DESC, id DESC
+      `).all(campaign.id, localMobile);
+
+      if (previous.length >= campaign.coupons_per_mobile) {
+        if (!overrideReason) {
+          return res.status(409).json({
+            error: 'This mobile number already has a coupon for this campaign',
+            duplicate: true,
+            coupon: findCouponByCode(previous[0].coupon_code)
+          });
+        }
+        overridden = previous.map(coupon => coupon.coupon_code);
+      }
+    }
+
+    const insertCoupon = db.prepare(`
+      INSERT INTO coupons (
+        customer_name, mobile_number, customer_email, language, branch, coupon_code, staff_id, campaign_id,
+        expires_at, idempotency_key, override_reason, override_by
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?), ?, ?, ?)
+    `);
+
+    try {
+      let couponCode;
+      let result;
+      for (let attempt = 1; !result; attempt++) {
+        couponCode = generateCouponCode(campaign.code_prefix);
+        try {
+          result = insertCoupon.run(
+            customer_name,
+            localMobile,
+            email,
+            language,
+            branch,
+            couponCode,
+            req.user.id,
+            campaign.id,
+            `+${campaign.validity_months} months`,
+            idempotencyKey,
+            overrideReason,
+            overrideReason ? req.user.id : null
+          );
+        } catch (error) {
+          if (!isCouponCodeCollision(error) || attempt >= COUPON_CODE_ATTEMPTS) throw error;
+          console.warn(`Coupon code ${couponCode} already exists, generating another`);
+        }
+      }
+      const { expires_at } = db.prepare('SELECT expires_at FROM coupons WHERE id = ?').get(result.lastInsertRowid);
+
+      // Overrides are kept in the activity log for review
+      if (overridden) {
+        recordAuditEvent(req, 'coupon.override', {
+          targetType: 'coupon',
+          targetId: result.lastInsertRowid,
+          details: {
+            reason: overrideReason,
+            coupon_code: couponCode,
+            mobile_number: localMobile,
+            campaign_id: campaign.id,
+            previous_coupons: overridden
+          }
+        });
+      }
+
+      // Queue the WhatsApp message; the worker updates whatsapp_sent when it goes out
+      const jobId = enqueueMessageJob('coupon_whatsapp', {
+        couponId: result.lastInsertRowid,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Coupon created successfully',
+        coupon: {
+          id: result.lastInsertRowid,
+          customer_name,
+          mobile_number: localMobile,
+          customer_email: email,
+          language,
+          branch,
+          coupon_code: couponCode,
+          campaign_id: campaign.id,
+          campaign_name: campaign.name,
+          discount_percent: campaign.discount_percent,
+          expires_at,
+          whatsapp_sent: false
+        },
+        whatsapp: { queued: true, job_id: jobId }
+      });
+    } catch (error) {
+      console.error('Coupon creation error:', error);
+      res.status(500).json({ error: 'Failed to create coupon' });
+    }
+  });
+
+  // Get coupons (with pagination and filters); staff see their own entries, supervisors their branch
+  router.get('/api/coupons', authenticateToken, requirePermission('coupons:view'), (req, res) => {
+    const { page = 1, limit = 50, branch, staff_id, campaign_id, date, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    const scope = couponScope(req.user);
+    let whereClause = scope.clause;
+    const params = [...scope.params];
+
+    if (campaign_id) {
+      whereClause += ' AND c.campaign_id = ?';
+      params.push(campaign_id);
+    }
+
+    if (branch) {
+      whereClause += ' AND c.branch = ?';
+      params.push(branch);
+    }
+
+    if (staff_id) {
+      whereClause += ' AND c.staff_id = ?';
+      params.push(staff_id);
+    }
+
+    if (date) {
+      whereClause += ' AND DATE(c.created_at) = ?';
+      params.push(date);
+    }
+
+    if (search) {
+      whereClause += ' AND (c.customer_name LIKE ? OR c.mobile_number LIKE ? OR c.coupon_code LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    const countQuery = `SELECT COUNT(*) as total FROM coupons c WHERE ${whereClause}`;
+    const total = db.prepare(countQuery).get(...params).total;
+
+    const dataQuery = `
+      SELECT 
+        c.id, c.customer_name, c.mobile_number, c.branch, c.coupon_code,
+        c.customer_email, c.language, c.whatsapp_sent, c.whatsapp_error, ${WHATSAPP_JOB_STATUS_SQL} as whatsapp_job_status,
+        c.whatsapp_status, c.delivery_channel, c.created_at, c.expires_at, c.redeemed_at, c.redeemed_branch, c.invoice_amount,
+        c.campaign_id, k.name as campaign_name, c.override_reason,
+        u.name as staff_name, u.username as staff_username,
+        ${COUPON_STATUS_SQL} as status
+      FROM coupons c
+      JOIN users u ON c.staff_id = u.id
+      LEFT JOIN campaigns k ON c.campaign_id = k.id
+      WHERE ${whereClause}
+      ORDER BY c.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    const coupons = db.prepare(dataQuery).all(...params, parseInt(limit), offset);
+
+    res.json({
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Export to Excel
+  router.get('/api/coupons/export', authenticateToken, requirePermission('data:export'), audit('coupon.export'), (req, res) => {
+    const { branch, staff_id, campaign_id, date_from, date_to } = req.query;
+
+    let whereClause = '1=1';
+    const params = [];
+
+    if (campaign_id) {
+      whereClause += ' AND c.campaign_id = ?';
+      params.push(campaign_id);
+    }
+
+    if (branch) {
+      whereClause += ' AND c.branch = ?';
+      params.push(branch);
+    }
+
+    if (staff_id) {
+      whereClause += ' AND c.staff_id = ?';
+      params.push(staff_id);
+    }
+
+    if (date_from) {
+      whereClause += ' AND DATE(c.created_at) >= ?';
+      params.push(date_from);
+    }
+
+    if (date_to) {
+      whereClause += ' AND DATE(c.created_at) <= ?';
+      params.push(date_to);
+    }
+
+    const data = db.prepare(`
+      SELECT 
+        c.customer_name as "Customer Name",
+        c.mobile_number as "Mobile Number",
+        c.customer_email as "Email",
+        c.branch as "Branch",
+        c.coupon_code as "Coupon Code",
+        k.name as "Campaign",
+        u.name as "Staff Name",
+        CASE WHEN c.whatsapp_sent = 1 THEN 'Yes' ELSE 'No' END as "Sent",
+        CASE c.delivery_channel WHEN 'whatsapp' THEN 'WhatsApp' WHEN 'sms' THEN 'SMS' WHEN 'email' THEN 'Email' END as "Channel",
+        c.whatsapp_status as "Delivery Status",
+        c.created_at as "Date & Time",
+        c.expires_at as "Expires At",
+        CASE ${COUPON_STATUS_SQL} WHEN 'redeemed' THEN 'Redeemed' WHEN 'expired' THEN 'Expired' ELSE 'Active' END as "Status",
+        c.redeemed_at as "Redeemed At",
+        c.redeemed_branch as "Redeemed Branch",
+        c.invoice_amount as "Invoice Amount",
+        c.override_reason as "Duplicate Override Reason"
+      FROM coupons c
+      JOIN users u ON c.staff_id = u.id
+      LEFT JOIN campaigns k ON c.campaign_id = k.id
+      WHERE ${whereClause}
+      ORDER BY c.created_at DESC
+    `).all(...params);
+
+    const worksheet = XLSX.utils.json_to_sheet(data);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Coupons');
+
+    // Set column widths
+    worksheet['!cols'] = [
+      { wch: 25 }, // Customer Name
+      { wch: 15 }, // Mobile
+      { wch: 25 }, // Email
+      { wch: 20 }, // Branch
+      { wch: 20 }, // Coupon Code
+      { wch: 20 }, // Campaign
+      { wch: 20 }, // Staff Name
+      { wch: 8 },  // Sent
+      { wch: 10 }, // Channel
+      { wch: 15 }, // Delivery Status
+      { wch: 20 }, // Date & Time
+      { wch: 20 }, // Expires At
+      { wch: 10 }, // Status
+      { wch: 20 }, // Redeemed At
+      { wch: 20 }, // Redeemed Branch
+      { wch: 15 }, // Invoice Amount
+      { wch: 30 }  // Duplicate Override Reason
+    ];
+
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    
+    res.locals.auditDetails = { filters: req.query, rows: data.length };
+    const filename = `coupons-export-${new Date().toISOString().split('T')[0]}.xlsx`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(buffer);
+  });
+
+  // Resend WhatsApp message
+  router.post('/api/coupons/:id/resend', authenticateToken, requirePermission('coupons:resend'), audit('coupon.resend', 'coupon'), (req, res) => {
+    const scope = couponScope(req.user);
+    const coupon = db.prepare(`SELECT c.id FROM coupons c WHERE c.id = ? AND ${scope.clause}`)
+      .get(req.params.id, ...scope.params);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    // A job already waiting for this coupon is sent now instead of queueing a second message
+    const queuedJob = db.prepare(`
+      SELECT id FROM message_jobs
+      WHERE coupon_id = ? AND kind = 'coupon_whatsapp' AND status IN ('pending', 'sending')
+    `).get(coupon.id);
+
+    let jobId;
+    if (queuedJob) {
+      db.prepare(`
+        UPDATE message_jobs SET next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `).run(queuedJob.id);
+      setImmediate(processMessageJobs);
+      jobId = queuedJob.id;
+    } else {
+      jobId = enqueueMessageJob('coupon_whatsapp', { couponId: coupon.id, createdBy: req.user.id });
+    }
+
+    res.locals.auditDetails = { job_id: jobId };
+    res.json({ success: true, queued: true, job_id: jobId });
+  });
+
+  // WhatsApp delivery timeline for a coupon
+  router.get('/api/coupons/:id/message-events', authenticateToken, requirePermission('coupons:view'), (req, res) => {
+    const scope = couponScope(req.user);
+    const coupon = db.prepare(`SELECT c.id, c.whatsapp_sid FROM coupons c WHERE c.id = ? AND ${scope.clause}`)
+      .get(req.params.id, ...scope.params);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const events = db.prepare(`
+      SELECT id, message_sid, status, error_code, error_message, created_at
+      FROM message_events
+      WHERE coupon_id = ?
+      ORDER BY id
+    `).all(coupon.id);
+
+    res.json({ events, current_sid: coupon.whatsapp_sid });
+  });
+
+  // Extend validity of unredeemed coupons in bulk (admin only)
+  router.post('/api/coupons/extend', authenticateToken, requirePermission('coupons:manage'), audit('coupon.extend'), (req, res) => {
+    const { months, coupon_ids, campaign_id, branch, date_from, date_to, search } = req.body;
+
+    const extendMonths = parseInt(months, 10);
+    if (!Number.isInteger(extendMonths) || extendMonths < 1 || extendMonths > 24) {
+      return res.status(400).json({ error: 'Months must be between 1 and 24' });
+    }
+
+    let whereClause = 'c.redeemed_at IS NULL';
+    const params = [];
+
+    if (Array.isArray(coupon_ids) && coupon_ids.length > 0) {
+      whereClause += ` AND c.id IN (${coupon_ids.map(() => '?').join(', ')})`;
+      params.push(...coupon_ids);
+    }
+
+    if (campaign_id) {
+      whereClause += ' AND c.campaign_id = ?';
+      params.push(campaign_id);
+    }
+
+    if (branch) {
+      whereClause += ' AND c.branch = ?';
+      params.push(branch);
+    }
+
+    if (date_from) {
+      whereClause += ' AND DATE(c.created_at) >= ?';
+      params.push(date_from);
+    }
+
+    if (date_to) {
+      whereClause += ' AND DATE(c.created_at) <= ?';
+      params.push(date_to);
+    }
+
+    if (search) {
+      whereClause += ' AND (c.customer_name LIKE ? OR c.mobile_number LIKE ? OR c.coupon_code LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    // Already-expired coupons are extended from today, not from their old expiry
+    const result = db.prepare(`
+      UPDATE coupons AS c
+      SET expires_at = datetime(MAX(c.expires_at, CURRENT_TIMESTAMP), ?)
+      WHERE ${whereClause}
+    `).run(`+${extendMonths} months`, ...params);
+
+    res.locals.auditDetails = {
+      months: extendMonths, coupon_ids, campaign_id, branch, date_from, date_to, search, updated: result.changes
+    };
+    res.json({ message: 'Coupon validity extended', updated: result.changes });
+  });
+
+  // Offline redemptions that lost to an earlier redemption (admin only)
+  router.get('/api/coupons/redemption-conflicts', authenticateToken, requirePermission('coupons:manage'), (req, res) => {
+    const conflicts = db.prepare(`
+      SELECT
+        x.id, x.branch, x.invoice_amount, x.redeemed_at, x.created_at, u.name as redeemed_by_name,
+        c.coupon_code, c.customer_name, c.mobile_number,
+        c.redeemed_at as first_redeemed_at, c.redeemed_branch as first_redeemed_branch,
+        c.invoice_amount as first_invoice_amount, r.name as first_redeemed_by_name
+      FROM redemption_conflicts x
+      JOIN coupons c ON x.coupon_id = c.id
+      JOIN users u ON x.redeemed_by = u.id
+      LEFT JOIN users r ON c.redeemed_by = r.id
+      ORDER BY x.id DESC
+      LIMIT 200
+    `).all();
+
+    res.json({ conflicts });
+  });
+
+  // Coupon QR code / barcode as PNG (?type=card|qr|barcode); a valid ?sig= stands in for a login
+  router.get('/api/coupons/:code/image', (req, res, next) => {
+    const expected = couponImageSignature(normalizeCouponCode(req.params.code));
+    const sig = typeof req.query.sig === 'string' ? req.query.sig : '';
+    if (sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+      return next();
+    }
+    authenticateToken(req, res, next);
+  }, async (req, res) => {
+    const type = req.query.type || 'card';
+    if (!COUPON_IMAGE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Image type must be one of ${COUPON_IMAGE_TYPES.join(', ')}` });
+    }
+
+    const coupon = db.prepare(`
+      SELECT c.coupon_code, c.campaign_id, c.expires_at, k.discount_percent
+      FROM coupons c
+      LEFT JOIN campaigns k ON c.campaign_id = k.id
+      WHERE c.coupon_code = ?
+    `).get(normalizeCouponCode(req.params.code));
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    try {
+      const image = await renderCouponImage[type](coupon);
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+      res.send(image);
+    } catch (error) {
+      console.error('Coupon image error:', error);
+      res.status(500).json({ error: 'Failed to render coupon image' });
+    }
+  });
+
+  // Look up a coupon by code (redeem screen)
+  router.get('/api/coupons/:code', authenticateToken, requirePermission('coupons:redeem'), (req, res) => {
+    const code = normalizeCouponCode(req.params.code);
+    if (!isPlausibleCouponCode(code)) {
+      return res.status(400).json({ error: 'Invalid coupon code, please check it for typos' });
+    }
+
+    const coupon = findCouponByCode(code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ coupon });
+  });
+
+  // Redeem a coupon at a showroom
+  router.post('/api/coupons/:code/redeem', authenticateToken, requirePermission('coupons:redeem'), (req, res) => {
+    const code = normalizeCouponCode(req.params.code);
+    const { branch, invoice_amount } = req.body;
+
+    if (!branch) {
+      return res.status(400).json({ error: 'Branch required' });
+    }
+
+    if (!canActForBranch(req.user, branch)) {
+      return res.status(403).json({ error: `You are not assigned to ${branch}` });
+    }
+
+    const invoiceAmount = Number(invoice_amount);
+    if (invoice_amount === undefined || invoice_amount === '' || !Number.isFinite(invoiceAmount) || invoiceAmount <= 0) {
+      return res.status(400).json({ error: 'Invoice amount must be a positive number' });
+    }
+
+    if (!isPlausibleCouponCode(code)) {
+      return res.status(400).json({ error: 'Invalid coupon code, please check it for typos' });
+    }
+
+    const coupon = db.prepare('SELECT id FROM coupons WHERE coupon_code = ?').get(code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    // Only the first redemption wins, even if two cashiers submit at once
+    const result = db.prepare(`
+      UPDATE coupons
+      SET redeemed_at = CURRENT_TIMESTAMP, redeemed_branch = ?, redeemed_by = ?, invoice_amount = ?
+      WHERE id = ? AND redeemed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `).run(branch, req.user.id, invoiceAmount, coupon.id);
+
+    if (result.changes === 0) {
+      const current = findCouponByCode(code);
+      const error = current.status === 'expired' ? 'Coupon expired' : 'Coupon already redeemed';
+      return res.status(409).json({ error, coupon: current });
+    }
+
+    res.json({ message: 'Coupon redeemed successfully', coupon: findCouponByCode(code) });
+  });
+
+  // Redemptions a branch device made offline against signed coupon tokens.
+  // Body: { redemptions: [{ token, branch, invoice_amount, redeemed_at }] }; each gets
+  // a result in the same order: redeemed, duplicate (someone else redeemed it
+  // first, recorded as a conflict for admins) or invalid.
+  router.post('/api/coupons/offline-redemptions', authenticateToken, requirePermission('coupons:redeem'), (req, res) => {
+    const { redemptions } = req.body;
+    if (!Array.isArray(redemptions) || redemptions.length === 0 || redemptions.length > 200) {
+      return res.status(400).json({ error: 'redemptions must be a list of 1 to 200 entries' });
+    }
+
+    const findCoupon = db.prepare(`
+      SELECT id, expires_at, redeemed_at, redeemed_branch, redeemed_by, invoice_amount FROM coupons WHERE coupon_code = ?
+    `);
+    const redeem = db.prepare(`
+      UPDATE coupons
+      SET redeemed_at = ?, redeemed_branch = ?, redeemed_by = ?, invoice_amount = ?
+      WHERE id = ? AND redeemed_at IS NULL
+    `);
+    const recordConflict = db.prepare(`
+      INSERT INTO redemption_conflicts (coupon_id, branch, invoice_amount, redeemed_at, redeemed_by)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const reconcile = db.transaction((entry) => {
+      const claims = verifyCouponToken(entry?.token);
+      if (!claims) {
+        return { status: 'invalid', error: 'Coupon token is not valid' };
+      }
+
+      const redeemedAt = new Date(entry.redeemed_at);
+      const invoiceAmount = Number(entry.invoice_amount);
+      if (!entry.branch || Number.isNaN(redeemedAt.getTime()) || !Number.isFinite(invoiceAmount) || invoiceAmount <= 0) {
+        return { code: claims.c, status: 'invalid', error: 'Branch, invoice amount and redemption time required' };
+      }
+      if (!canActForBranch(req.user, entry.branch)) {
+        return { code: claims.c, status: 'invalid', error: `You are not assigned to ${entry.branch}` };
+      }
+
+      const coupon = findCoupon.get(claims.c);
+      if (!coupon) {
+        return { code: claims.c, status: 'invalid', error: 'Coupon not found' };
+      }
+
+      // SQLite timestamps: UTC "YYYY-MM-DD HH:MM:SS", never later than now
+      const timestamp = new Date(Math.min(redeemedAt.getTime(), Date.now())).toISOString().slice(0, 19).replace('T', ' ');
+
+      // The coupon's current expiry, which may have been extended since the token was issued
+      if (coupon.expires_at && timestamp > coupon.expires_at) {
+        return { code: claims.c, status: 'invalid', error: 'Coupon had expired' };
+      }
+
+      if (redeem.run(timestamp, entry.branch, req.user.id, invoiceAmount, coupon.id).changes > 0) {
+        return { code: claims.c, status: 'redeemed' };
+      }
+
+      // The device retried a sync that already went through
+      if (coupon.redeemed_at === timestamp && coupon.redeemed_by === req.user.id && coupon.redeemed_branch === entry.branch) {
+        return { code: claims.c, status: 'redeemed' };
+      }
+
+      recordConflict.run(coupon.id, entry.branch, invoiceAmount, timestamp, req.user.id);
+      console.warn(`Offline redemption conflict for ${claims.c}: already redeemed at ${coupon.redeemed_branch}`);
+      return {
+        code: claims.c,
+        status: 'duplicate',
+        error: 'Coupon already redeemed',
+        redeemed_at: coupon.redeemed_at,
+        redeemed_branch: coupon.redeemed_branch
+      };
+    });
+
+    res.json({ results: redemptions.map(entry => reconcile(entry)) });
+  });
+
+  return router;
+};
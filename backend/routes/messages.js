@@ -0,0 +1,135 @@
+const express = require('express');
+const twilio = require('twilio');
+
+// ============== MESSAGE QUEUE AND WEBHOOK ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    db, authenticateToken, requirePermission, audit, processMessageJobs, recordMessageEvent, queueCouponFallback
+  } = ctx;
+  const { TWILIO_AUTH_TOKEN, TWILIO_STATUS_CALLBACK_URL } = ctx.config;
+
+  // List message jobs (admin only)
+  router.get('/api/message-jobs', authenticateToken, requirePermission('messages:manage'), (req, res) => {
+    const { page = 1, limit = 50, status, kind } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = '1=1';
+    const params = [];
+
+    if (status) {
+      whereClause += ' AND m.status = ?';
+      params.push(status);
+    }
+
+    if (kind) {
+      whereClause += ' AND m.kind = ?';
+      params.push(kind);
+    }
+
+    const total = db.prepare(`SELECT COUNT(*) as total FROM message_jobs m WHERE ${whereClause}`).get(...params).total;
+
+    const jobs = db.prepare(`
+      SELECT
+        m.id, m.kind, m.coupon_id, m.payload, m.status, m.attempts, m.max_attempts,
+        m.next_attempt_at, m.last_error, m.created_at, m.updated_at,
+        c.coupon_code, c.customer_name, c.mobile_number,
+        u.name as created_by_name
+      FROM message_jobs m
+      LEFT JOIN coupons c ON m.coupon_id = c.id
+      LEFT JOIN users u ON m.created_by = u.id
+      WHERE ${whereClause}
+      ORDER BY m.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, parseInt(limit), offset).map(({ payload, ...job }) => ({
+      ...job,
+      payload: payload ? JSON.parse(payload) : null
+    }));
+
+    const counts = Object.fromEntries(
+      db.prepare('SELECT status, COUNT(*) as count FROM message_jobs GROUP BY status').all()
+        .map(row => [row.status, row.count])
+    );
+
+    res.json({
+      jobs,
+      counts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  });
+
+  // Retry a dead-lettered or cancelled job (admin only)
+  router.post('/api/message-jobs/:id/retry', authenticateToken, requirePermission('messages:manage'), audit('job.retry', 'job'), (req, res) => {
+    const job = db.prepare('SELECT * FROM message_jobs WHERE id = ?').get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!['dead', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: `Cannot retry a ${job.status} job` });
+    }
+
+    db.prepare(`
+      UPDATE message_jobs
+      SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(job.id);
+    setImmediate(processMessageJobs);
+
+    res.json({ message: 'Job queued for retry' });
+  });
+
+  // Cancel a job that has not been sent yet (admin only)
+  router.post('/api/message-jobs/:id/cancel', authenticateToken, requirePermission('messages:manage'), audit('job.cancel', 'job'), (req, res) => {
+    const job = db.prepare('SELECT * FROM message_jobs WHERE id = ?').get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = db.prepare(`
+      UPDATE message_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `).run(job.id);
+    if (result.changes === 0) {
+      return res.status(409).json({ error: `Cannot cancel a ${job.status} job` });
+    }
+
+    res.json({ message: 'Job cancelled' });
+  });
+
+  // Twilio message status callback (signed by Twilio, no user auth)
+  router.post('/api/webhooks/twilio/status', express.urlencoded({ extended: false }), (req, res) => {
+    if (!TWILIO_AUTH_TOKEN) {
+      return res.status(503).json({ error: 'Twilio not configured' });
+    }
+
+    const url = TWILIO_STATUS_CALLBACK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const signature = req.get('X-Twilio-Signature') || '';
+    if (!twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body)) {
+      return res.status(403).json({ error: 'Invalid Twilio signature' });
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    if (!MessageSid || !MessageStatus) {
+      return res.status(400).json({ error: 'MessageSid and MessageStatus are required' });
+    }
+
+    const failed = recordMessageEvent(MessageSid, MessageStatus, {
+      errorCode: ErrorCode || null,
+      errorMessage: ErrorMessage || null
+    });
+    if (failed) {
+      queueCouponFallback(failed.couponId, failed.channel);
+    }
+
+    res.status(204).end();
+  });
+
+  return router;
+};
@@ -0,0 +1,51 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+// ============== PUBLIC ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const { db, isPlausibleCouponCode, normalizeCouponCode, COUPON_STATUS_SQL, COUPON_PUBLIC_KEY } = ctx;
+
+  // Public coupon checks are unauthenticated, so they get a tighter budget
+  const publicLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: { error: 'Too many coupon checks, please try again later.' }
+  });
+
+  // "Ahmed Al Balushi" -> "A*** A*** B***"
+  const maskCustomerName = (name) => name
+    .trim()
+    .split(/\s+/)
+    .map(word => `${[...word][0]}***`)
+    .join(' ');
+
+  // Check a coupon without logging in (verification page, partner stores)
+  router.get('/api/public/coupons/:code', publicLimiter, (req, res) => {
+    const code = normalizeCouponCode(req.params.code);
+    if (!isPlausibleCouponCode(code)) {
+      return res.status(400).json({ error: 'Invalid coupon code, please check it for typos' });
+    }
+
+    const coupon = db.prepare(`
+      SELECT c.coupon_code, c.customer_name, c.expires_at, k.name as campaign_name, k.discount_percent,
+        ${COUPON_STATUS_SQL} as status
+      FROM coupons c
+      LEFT JOIN campaigns k ON c.campaign_id = k.id
+      WHERE c.coupon_code = ?
+    `).get(code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ coupon: { ...coupon, customer_name: maskCustomerName(coupon.customer_name) } });
+  });
+
+  // Public key for checking coupon tokens offline (Ed25519, raw, base64url)
+  router.get('/api/public/coupon-signing-key', (req, res) => {
+    res.json({ algorithm: 'Ed25519', public_key: COUPON_PUBLIC_KEY });
+  });
+
+  return router;
+};
@@ -0,0 +1,196 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// ============== STAFF AND DEVICE ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    db, authenticateToken, requirePermission, USER_ROLES, revokeUserSessions, hashRefreshSecret, audit
+  } = ctx;
+
+  // Get all staff (admin only)
+  router.get('/api/staff', authenticateToken, requirePermission('staff:manage'), (req, res) => {
+    const staff = db.prepare(`
+      SELECT id, username, name, role, active, pin_hash IS NOT NULL as has_pin, created_at,
+        (SELECT json_group_array(branch) FROM user_branches WHERE user_id = users.id) as branches
+      FROM users 
+      ORDER BY created_at DESC
+    `).all();
+    res.json({ staff: staff.map(member => ({ ...member, branches: JSON.parse(member.branches) })) });
+  });
+
+  // Create staff member (admin only)
+  router.post('/api/staff', authenticateToken, requirePermission('staff:manage'), audit('staff.create', 'user'), (req, res) => {
+    const { username, password, name, role = 'staff' } = req.body;
+
+    if (!username || !password || !name) {
+      return res.status(400).json({ error: 'Username, password, and name required' });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${USER_ROLES.join(', ')}` });
+    }
+
+    if (password.length < 4) {
+      return res.status(400).json({ error: 'Password must be at least 4 characters' });
+    }
+
+    const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
+    if (existing) {
+      return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    const hashedPassword = bcrypt.hashSync(password, 10);
+    
+    try {
+      const result = db.prepare(
+        'INSERT INTO users (username, password, name, role) VALUES (?, ?, ?, ?)'
+      ).run(username, hashedPassword, name, role);
+
+      res.locals.auditTargetId = result.lastInsertRowid;
+      res.status(201).json({
+        message: 'Staff member created',
+        staff: { id: result.lastInsertRowid, username, name, role }
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to create staff member' });
+    }
+  });
+
+  // Toggle staff active status (admin only)
+  router.patch('/api/staff/:id/toggle', authenticateToken, requirePermission('staff:manage'), audit('staff.toggle', 'user'), (req, res) => {
+    const { id } = req.params;
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    if (user.role === 'admin' && user.id === req.user.id) {
+      return res.status(400).json({ error: 'Cannot deactivate your own admin account' });
+    }
+
+    db.prepare('UPDATE users SET active = ? WHERE id = ?').run(user.active ? 0 : 1, id);
+    if (user.active) {
+      revokeUserSessions(user.id);
+    }
+    res.json({ message: 'Staff status updated', active: !user.active });
+  });
+
+  // Change a staff member's role (admin only); takes effect on their next request
+  router.patch('/api/staff/:id/role', authenticateToken, requirePermission('staff:manage'), audit('staff.role', 'user'), (req, res) => {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${USER_ROLES.join(', ')}` });
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    if (user.id === req.user.id && role !== req.user.role) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+
+    db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id);
+    res.json({ message: 'Role updated', role });
+  });
+
+  // Replace the branches a staff member may act for (admin only); an empty list allows any branch
+  router.patch('/api/staff/:id/branches', authenticateToken, requirePermission('staff:manage'), audit('staff.branches', 'user'), (req, res) => {
+    const { branches } = req.body;
+
+    if (!Array.isArray(branches) || branches.some(branch => typeof branch !== 'string' || !branch.trim())) {
+      return res.status(400).json({ error: 'branches must be a list of branch names' });
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    const names = [...new Set(branches.map(branch => branch.trim()))].sort();
+    db.transaction(() => {
+      db.prepare('DELETE FROM user_branches WHERE user_id = ?').run(user.id);
+      const assign = db.prepare('INSERT INTO user_branches (user_id, branch) VALUES (?, ?)');
+      names.forEach(branch => assign.run(user.id, branch));
+    })();
+    res.json({ message: 'Branches updated', branches: names });
+  });
+
+  // Reset staff password (admin only)
+  router.patch('/api/staff/:id/password', authenticateToken, requirePermission('staff:manage'), audit('staff.password_reset', 'user'), (req, res) => {
+    const { id } = req.params;
+    const { password } = req.body;
+
+    if (!password || password.length < 4) {
+      return res.status(400).json({ error: 'Password must be at least 4 characters' });
+    }
+
+    const user = db.prepare('SELECT id FROM users WHERE id = ?').get(id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    const hashedPassword = bcrypt.hashSync(password, 10);
+    // Whoever needed the reset may not be the only one who knows the old PIN either
+    db.prepare('UPDATE users SET password = ?, pin_hash = NULL WHERE id = ?').run(hashedPassword, id);
+    revokeUserSessions(user.id);
+    res.json({ message: 'Password updated successfully' });
+  });
+
+  // Registered devices, newest first (admin only)
+  router.get('/api/devices', authenticateToken, requirePermission('staff:manage'), (req, res) => {
+    const devices = db.prepare(`
+      SELECT d.id, d.name, d.created_at, d.last_used_at, u.name as registered_by_name,
+        (SELECT COUNT(*) FROM sessions s
+          WHERE s.device_id = d.id AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) as open_sessions
+      FROM devices d
+      LEFT JOIN users u ON d.registered_by = u.id
+      WHERE d.revoked_at IS NULL
+      ORDER BY d.created_at DESC
+    `).all();
+    res.json({ devices });
+  });
+
+  // Register the device the admin is using; its token is only returned this once
+  router.post('/api/devices', authenticateToken, requirePermission('staff:manage'), audit('device.register', 'device'), (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 60) {
+      return res.status(400).json({ error: 'Device name required (up to 60 characters)' });
+    }
+
+    const deviceToken = crypto.randomBytes(32).toString('base64url');
+    const result = db.prepare('INSERT INTO devices (name, token_hash, registered_by) VALUES (?, ?, ?)')
+      .run(name, hashRefreshSecret(deviceToken), req.user.id);
+
+    res.locals.auditTargetId = result.lastInsertRowid;
+    res.status(201).json({
+      message: 'Device registered',
+      device: { id: result.lastInsertRowid, name },
+      device_token: deviceToken
+    });
+  });
+
+  // Unregister a device and end the PIN sessions opened on it (admin only)
+  router.delete('/api/devices/:id', authenticateToken, requirePermission('staff:manage'), audit('device.remove', 'device'), (req, res) => {
+    const device = db.prepare('SELECT id FROM devices WHERE id = ? AND revoked_at IS NULL').get(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    db.transaction(() => {
+      db.prepare('UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(device.id);
+      db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE device_id = ? AND revoked_at IS NULL
+      `).run(device.id);
+    })();
+    res.json({ message: 'Device removed' });
+  });
+
+  return router;
+};
@@ -0,0 +1,52 @@
+const express = require('express');
+const { OdooError } = require('../lib/odooClient');
+
+// ============== STATS ROUTES ==============
+
+module.exports = (ctx) => {
+  const router = express.Router();
+  const {
+    db, countOdooContacts, getStaffStats, getOdooBranches, authenticateToken, requirePermission,
+    resolveCampaign
+  } = ctx;
+
+  // Get stats from Odoo
+  router.get('/api/stats', authenticateToken, requirePermission('stats:view'), async (req, res) => {
+    const campaign = resolveCampaign(req.query.campaign_id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    try {
+      const totalContacts = await countOdooContacts(campaign.tag);
+      const activeStaff = db.prepare('SELECT COUNT(*) as count FROM users WHERE active = 1').get().count;
+
+      // Get branch-wise counts
+      const branches = await getOdooBranches();
+      const byBranch = [];
+      for (const branch of branches.slice(0, 5)) {
+        const count = await countOdooContacts(campaign.tag, branch.id);
+        if (count > 0) {
+          byBranch.push({ branch: branch.name, count });
+        }
+      }
+      byBranch.sort((a, b) => b.count - a.count);
+
+      // Get staff stats from chatter
+      const byStaff = await getStaffStats(campaign.tag);
+
+      res.json({
+        campaign: { id: campaign.id, name: campaign.name, tag: campaign.tag },
+        totalContacts,
+        activeStaff,
+        byBranch,
+        byStaff
+      });
+    } catch (error) {
+      console.error('Stats error:', error);
+      res.status(error instanceof OdooError ? error.status : 500).json({ error: 'Failed to fetch stats' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+describe('activity log', () => {
+  let t;
+  let adminToken;
+  let staff;
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+    staff = await t.createUser(adminToken, { username: 'rashid', name: 'Rashid' });
+    await t.request('PATCH', `/api/staff/${staff.id}/role`, { token: adminToken, body: { role: 'supervisor' } });
+  });
+
+  after(() => t.close());
+
+  it('records who changed what', async () => {
+    const { status, body } = await t.request('GET', `/api/audit-events?target_type=user&target_id=${staff.id}`, {
+      token: adminToken
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.events.map(event => event.action), ['staff.role', 'staff.create']);
+
+    const [roleChange, creation] = body.events;
+    assert.equal(roleChange.actor_username, 'admin');
+    assert.deepEqual(roleChange.changes, { role: { before: 'staff', after: 'supervisor' } });
+    assert.equal(creation.changes.username.after, 'rashid');
+    assert.equal(creation.changes.username.before, null);
+    assert.ok(!('password' in creation.changes));
+  });
+
+  it('filters by actor and action and offers the choices', async () => {
+    const { body } = await t.request('GET', '/api/audit-events?action=auth.password_change', { token: adminToken });
+    assert.equal(body.pagination.total, 1);
+    assert.equal(body.events[0].target_id, 1);
+    assert.ok(body.actions.includes('staff.create'));
+    assert.deepEqual(body.actors.map(actor => actor.name), ['Administrator']);
+
+    const none = await t.request('GET', `/api/audit-events?actor_id=${staff.id}`, { token: adminToken });
+    assert.equal(none.body.pagination.total, 0);
+  });
+
+  it('does not record failed requests', async () => {
+    await t.request('PATCH', `/api/staff/${staff.id}/role`, { token: adminToken, body: { role: 'owner' } });
+    const { body } = await t.request('GET', '/api/audit-events?action=staff.role', { token: adminToken });
+    assert.equal(body.pagination.total, 1);
+  });
+
+  it('exports the filtered log as CSV and logs the export', async () => {
+    const { status, headers, body } = await t.request('GET', '/api/audit-events/export?action=staff.create', {
+      token: adminToken
+    });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(headers.get('content-disposition'), /^attachment; filename="activity-export-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const [header, ...rows] = body.trim().split('\n');
+    assert.match(header, /^Date & Time,Actor,Username,Action,/);
+    assert.equal(rows.length, 1);
+    assert.match(rows[0], /,Administrator,admin,staff\.create,user,/);
+
+    const exports = await t.request('GET', '/api/audit-events?action=audit.export', { token: adminToken });
+    assert.deepEqual(exports.body.events[0].details, { filters: { action: 'staff.create' }, rows: 1 });
+  });
+
+  it('is only for admins', async () => {
+    assert.equal((await t.request('GET', '/api/audit-events', { token: staff.token })).status, 403);
+    assert.equal((await t.request('GET', '/api/audit-events/export', { token: staff.token })).status, 403);
+  });
+
+  it('exports values that look like formulas as text', async () => {
+    await t.request('PATCH', `/api/staff/${staff.id}/role`, {
+      token: adminToken,
+      body: { role: 'staff' },
+      headers: { 'User-Agent': '=1+2' }
+    });
+    const { body } = await t.request('GET', '/api/audit-events/export?action=staff.role', { token: adminToken });
+    const [latest] = body.trim().split('\n').slice(1);
+    assert.match(latest, /,'=1\+2,/);
+  });
+});
@@ -0,0 +1,259 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, ADMIN_PASSWORD, STAFF_PASSWORD } = require('./helpers/testApp');
+
+describe('auth', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  describe('login', () => {
+    it('requires a username and password', async () => {
+      const { status, body } = await t.request('POST', '/api/auth/login', { body: { username: 'admin' } });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Username and password required');
+    });
+
+    it('makes the seeded admin change the default password first', async () => {
+      const { token, refresh_token, user } = await t.login('admin', 'admin123');
+      assert.ok(token);
+      assert.match(refresh_token, /^[\w-]+\.[\w-]+$/);
+      assert.equal(user.must_change_password, 1);
+      assert.ok(user.permissions.includes('staff:manage'));
+
+      const blocked = await t.request('GET', '/api/staff', { token });
+      assert.equal(blocked.status, 403);
+      assert.equal(blocked.body.password_change_required, true);
+
+      const me = await t.request('GET', '/api/auth/me', { token });
+      assert.equal(me.status, 200);
+      assert.equal(me.body.user.username, 'admin');
+
+      const same = await t.request('PATCH', '/api/auth/password', {
+        token,
+        body: { current_password: 'admin123', new_password: 'admin123' }
+      });
+      assert.equal(same.status, 400);
+
+      const changed = await t.request('PATCH', '/api/auth/password', {
+        token,
+        body: { current_password: 'admin123', new_password: ADMIN_PASSWORD }
+      });
+      assert.equal(changed.status, 200);
+
+      const allowed = await t.request('GET', '/api/staff', { token });
+      assert.equal(allowed.status, 200);
+    });
+
+    it('rejects a wrong password and slows down repeated failures', async () => {
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const { status } = await t.request('POST', '/api/auth/login', { body: { username: 'nobody', password: 'wrong' } });
+        assert.equal(status, 401);
+      }
+
+      const { status, headers, body } = await t.request('POST', '/api/auth/login', {
+        body: { username: 'Nobody', password: 'wrong' }
+      });
+      assert.equal(status, 429);
+      assert.equal(headers.get('retry-after'), String(body.retry_after));
+    });
+  });
+
+  describe('sessions', () => {
+    it('rotates refresh tokens and ends the session when an old one comes back', async () => {
+      const { refresh_token: first } = await t.login('admin', ADMIN_PASSWORD);
+
+      const missing = await t.request('POST', '/api/auth/refresh', { body: {} });
+      assert.equal(missing.status, 400);
+
+      const refreshed = await t.request('POST', '/api/auth/refresh', { body: { refresh_token: first } });
+      assert.equal(refreshed.status, 200);
+      assert.notEqual(refreshed.body.refresh_token, first);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: refreshed.body.token })).status, 200);
+
+      // Two tabs refreshing at once: the loser is told, the session stays open
+      const raced = await t.request('POST', '/api/auth/refresh', { body: { refresh_token: first } });
+      assert.equal(raced.status, 409);
+
+      const second = await t.request('POST', '/api/auth/refresh', { body: { refresh_token: refreshed.body.refresh_token } });
+      assert.equal(second.status, 200);
+
+      const reused = await t.request('POST', '/api/auth/refresh', { body: { refresh_token: first } });
+      assert.equal(reused.status, 401);
+
+      const revoked = await t.request('POST', '/api/auth/refresh', { body: { refresh_token: second.body.refresh_token } });
+      assert.equal(revoked.status, 401);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: second.body.token })).status, 401);
+    });
+
+    it('logs out one session or all of them', async () => {
+      const first = await t.login('admin', ADMIN_PASSWORD);
+      const second = await t.login('admin', ADMIN_PASSWORD);
+
+      assert.equal((await t.request('POST', '/api/auth/logout', { token: first.token })).status, 200);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: first.token })).status, 401);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: second.token })).status, 200);
+
+      const third = await t.login('admin', ADMIN_PASSWORD);
+      const all = await t.request('POST', '/api/auth/logout-all', { token: third.token });
+      assert.equal(all.status, 200);
+      assert.ok(all.body.sessions >= 2);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: second.token })).status, 401);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: third.token })).status, 401);
+    });
+
+    it('requires a valid access token', async () => {
+      assert.equal((await t.request('GET', '/api/auth/me')).status, 401);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: 'not-a-token' })).status, 401);
+    });
+  });
+
+  describe('PIN login on a registered device', () => {
+    let adminToken;
+    let cashier;
+    let deviceToken;
+
+    before(async () => {
+      adminToken = await t.loginAdmin();
+      cashier = await t.createUser(adminToken, { username: 'cashier1', name: 'Cashier One', role: 'cashier' });
+    });
+
+    it('sets a PIN only with the current password', async () => {
+      const short = await t.request('PATCH', '/api/auth/pin', {
+        token: cashier.token,
+        body: { current_password: STAFF_PASSWORD, pin: '12' }
+      });
+      assert.equal(short.status, 400);
+
+      const wrongPassword = await t.request('PATCH', '/api/auth/pin', {
+        token: cashier.token,
+        body: { current_password: 'wrong', pin: '4321' }
+      });
+      assert.equal(wrongPassword.status, 400);
+
+      const saved = await t.request('PATCH', '/api/auth/pin', {
+        token: cashier.token,
+        body: { current_password: STAFF_PASSWORD, pin: '4321' }
+      });
+      assert.equal(saved.status, 200);
+
+      const admin = await t.request('PATCH', '/api/auth/pin', {
+        token: adminToken,
+        body: { current_password: ADMIN_PASSWORD, pin: '4321' }
+      });
+      assert.equal(admin.status, 403);
+    });
+
+    it('registers, lists and removes devices', async () => {
+      const invalid = await t.request('POST', '/api/devices', { token: adminToken, body: { name: ' ' } });
+      assert.equal(invalid.status, 400);
+
+      const registered = await t.request('POST', '/api/devices', { token: adminToken, body: { name: 'Muscat till' } });
+      assert.equal(registered.status, 201);
+      deviceToken = registered.body.device_token;
+
+      const forbidden = await t.request('POST', '/api/devices', { token: cashier.token, body: { name: 'Mine' } });
+      assert.equal(forbidden.status, 403);
+
+      const { body } = await t.request('GET', '/api/devices', { token: adminToken });
+      assert.deepEqual(body.devices.map(device => device.name), ['Muscat till']);
+    });
+
+    it('logs in with the PIN on that device only', async () => {
+      const unknownDevice = await t.request('POST', '/api/auth/pin-users', { body: { device_token: 'unknown' } });
+      assert.equal(unknownDevice.status, 401);
+
+      // An admin's PIN (e.g. set before a promotion) is neither listed nor accepted
+      const admin = t.db.prepare("SELECT id FROM users WHERE username = 'admin'").get();
+      t.db.prepare('UPDATE users SET pin_hash = (SELECT pin_hash FROM users WHERE id = ?) WHERE id = ?').run(cashier.id, admin.id);
+      const adminPin = await t.request('POST', '/api/auth/pin-login', {
+        body: { device_token: deviceToken, user_id: admin.id, pin: '4321' }
+      });
+      assert.equal(adminPin.status, 401);
+
+      const users = await t.request('POST', '/api/auth/pin-users', { body: { device_token: deviceToken } });
+      assert.equal(users.status, 200);
+      assert.deepEqual(users.body.users, [{ id: cashier.id, name: 'Cashier One' }]);
+
+      const wrongPin = await t.request('POST', '/api/auth/pin-login', {
+        body: { device_token: deviceToken, user_id: cashier.id, pin: '0000' }
+      });
+      assert.equal(wrongPin.status, 401);
+      assert.equal(wrongPin.body.error, 'Wrong PIN');
+
+      const loggedIn = await t.request('POST', '/api/auth/pin-login', {
+        body: { device_token: deviceToken, user_id: cashier.id, pin: '4321' }
+      });
+      assert.equal(loggedIn.status, 200);
+      assert.equal(loggedIn.body.user.role, 'cashier');
+
+      const { body } = await t.request('GET', '/api/devices', { token: adminToken });
+      const [device] = body.devices;
+      assert.equal(device.open_sessions, 1);
+
+      const removed = await t.request('DELETE', `/api/devices/${device.id}`, { token: adminToken });
+      assert.equal(removed.status, 200);
+      assert.equal((await t.request('GET', '/api/auth/me', { token: loggedIn.body.token })).status, 401);
+      assert.equal((await t.request('DELETE', `/api/devices/${device.id}`, { token: adminToken })).status, 404);
+    });
+
+    it('removes the PIN', async () => {
+      const removed = await t.request('DELETE', '/api/auth/pin', { token: cashier.token });
+      assert.equal(removed.status, 200);
+
+      const me = await t.request('GET', '/api/auth/me', { token: cashier.token });
+      assert.equal(me.body.user.has_pin, 0);
+    });
+  });
+
+  describe('login history', () => {
+    it('lists attempts for admins, filtered by username and result', async () => {
+      const adminToken = await t.loginAdmin();
+
+      const { status, body } = await t.request('GET', '/api/auth/login-history?username=nobody&result=failed', {
+        token: adminToken
+      });
+      assert.equal(status, 200);
+      assert.equal(body.pagination.total, 3);
+      assert.ok(body.attempts.every(attempt => attempt.username === 'nobody' && attempt.result === 'failed'));
+
+      const cashier = await t.login('cashier1', STAFF_PASSWORD);
+      const forbidden = await t.request('GET', '/api/auth/login-history', { token: cashier.token });
+      assert.equal(forbidden.status, 403);
+    });
+  });
+});
+
+describe('API rate limit', () => {
+  let t;
+  let adminToken;
+  let staff;
+
+  before(async () => {
+    t = await startTestApp({ API_RATE_LIMIT: '4', API_USER_RATE_LIMIT: '5' });
+    adminToken = await t.loginAdmin();
+    staff = await t.createUser(adminToken, { username: 'busy' });
+  });
+
+  after(() => t.close());
+
+  it('counts each signed-in user apart from the address they share', async () => {
+    for (let request = 1; request <= 5; request++) {
+      assert.equal((await t.request('GET', '/api/auth/me', { token: staff.token })).status, 200);
+    }
+    const limited = await t.request('GET', '/api/auth/me', { token: staff.token });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Too many requests, please try again later.');
+
+    assert.equal((await t.request('GET', '/api/auth/me', { token: adminToken })).status, 200);
+
+    // The two logins so far came from this address without a token, like these
+    assert.equal((await t.request('GET', '/api/health')).status, 200);
+    assert.equal((await t.request('GET', '/api/auth/me', { token: 'forged' })).status, 401);
+    assert.equal((await t.request('GET', '/api/health')).status, 429);
+  });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+const newCampaign = (overrides = {}) => ({
+  name: 'Ramadan Sale',
+  tag: '#RAMADAN',
+  code_prefix: 'rmd',
+  discount_percent: 20,
+  validity_months: 2,
+  ...overrides
+});
+
+describe('campaigns', () => {
+  let t;
+  let adminToken;
+  let staffToken;
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+    staffToken = (await t.createUser(adminToken, { username: 'staff1' })).token;
+  });
+
+  after(() => t.close());
+
+  it('lists the seeded campaign as active', async () => {
+    const { status, body } = await t.request('GET', '/api/campaigns', { token: staffToken });
+    assert.equal(status, 200);
+    assert.equal(body.campaigns.length, 1);
+    assert.equal(body.active_campaign_id, body.campaigns[0].id);
+
+    const active = await t.request('GET', '/api/campaigns/active', { token: staffToken });
+    assert.equal(active.body.campaign.tag, '#IDF2026');
+  });
+
+  it('validates new campaigns', async () => {
+    const cases = [
+      [{ tag: 'RAMADAN' }, 'Tag must start with # and contain only letters, numbers, or underscores'],
+      [{ code_prefix: 'R' }, 'Code prefix must be 2-10 letters or numbers'],
+      [{ discount_percent: 0 }, 'Discount must be a whole percentage between 1 and 100'],
+      [{ validity_months: 37 }, 'Validity must be between 1 and 36 months'],
+      [{ tag: '#IDF2026' }, 'Campaign tag already exists']
+    ];
+    for (const [overrides, error] of cases) {
+      const { status, body } = await t.request('POST', '/api/campaigns', { token: adminToken, body: newCampaign(overrides) });
+      assert.equal(status, 400);
+      assert.equal(body.error, error);
+    }
+
+    const forbidden = await t.request('POST', '/api/campaigns', { token: staffToken, body: newCampaign() });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('creates, updates and deletes a campaign', async () => {
+    const created = await t.request('POST', '/api/campaigns', { token: adminToken, body: newCampaign() });
+    assert.equal(created.status, 201);
+    const { campaign } = created.body;
+    assert.equal(campaign.code_prefix, 'RMD');
+    assert.equal(campaign.channel_order, 'whatsapp,sms,email');
+
+    // The newest active campaign issues the coupons
+    const active = await t.request('GET', '/api/campaigns/active', { token: staffToken });
+    assert.equal(active.body.campaign.id, campaign.id);
+
+    const updated = await t.request('PATCH', `/api/campaigns/${campaign.id}`, {
+      token: adminToken,
+      body: { discount_percent: 25, active: false }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.campaign.discount_percent, 25);
+    assert.equal(updated.body.campaign.active, 0);
+    assert.equal((await t.request('GET', '/api/campaigns/active', { token: staffToken })).body.campaign.tag, '#IDF2026');
+
+    const missing = await t.request('PATCH', '/api/campaigns/999', { token: adminToken, body: { name: 'X' } });
+    assert.equal(missing.status, 404);
+
+    const deleted = await t.request('DELETE', `/api/campaigns/${campaign.id}`, { token: adminToken });
+    assert.equal(deleted.status, 200);
+    assert.equal((await t.request('DELETE', `/api/campaigns/${campaign.id}`, { token: adminToken })).status, 404);
+  });
+
+  it('keeps campaigns with coupons', async () => {
+    const coupon = await t.request('POST', '/api/coupons', {
+      token: staffToken,
+      body: { customer_name: 'Fatma', mobile_number: '91111111', branch: 'Muscat' }
+    });
+    const { campaign_id } = coupon.body.coupon;
+
+    const retag = await t.request('PATCH', `/api/campaigns/${campaign_id}`, { token: adminToken, body: { tag: '#OTHER' } });
+    assert.equal(retag.status, 400);
+
+    const deleted = await t.request('DELETE', `/api/campaigns/${campaign_id}`, { token: adminToken });
+    assert.equal(deleted.status, 400);
+
+    const { body } = await t.request('GET', '/api/campaigns', { token: adminToken });
+    assert.equal(body.campaigns.find(campaign => campaign.id === campaign_id).coupon_count, 1);
+  });
+
+  it('extends the validity of one campaign\'s coupons only', async () => {
+    const created = await t.request('POST', '/api/campaigns', { token: adminToken, body: newCampaign({ tag: '#EID' }) });
+    const coupon = await t.request('POST', '/api/coupons', {
+      token: staffToken,
+      body: { customer_name: 'Said', mobile_number: '92222222', branch: 'Muscat' }
+    });
+    assert.equal(coupon.body.coupon.campaign_id, created.body.campaign.id);
+    const expiries = () => t.db.prepare('SELECT expires_at FROM coupons ORDER BY id').all().map(row => row.expires_at);
+    const [otherExpiry, expiry] = expiries();
+
+    const extended = await t.request('POST', '/api/coupons/extend', {
+      token: adminToken,
+      body: { months: 1, campaign_id: created.body.campaign.id }
+    });
+    assert.equal(extended.body.updated, 1);
+    const [otherNow, expiryNow] = expiries();
+    assert.equal(otherNow, otherExpiry);
+    assert.ok(expiryNow > expiry);
+  });
+});
+
+describe('message templates', () => {
+  let t;
+  let adminToken;
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+  });
+
+  after(() => t.close());
+
+  it('lists the seeded template with its languages and placeholders', async () => {
+    const { status, body } = await t.request('GET', '/api/message-templates', { token: adminToken });
+    assert.equal(status, 200);
+    assert.deepEqual(body.languages, ['en', 'ar']);
+    assert.ok(body.placeholders.includes('code'));
+    assert.equal(body.templates.length, 1);
+    assert.ok(body.templates[0].variants.ar);
+  });
+
+  it('validates templates', async () => {
+    const noEnglish = await t.request('POST', '/api/message-templates', {
+      token: adminToken,
+      body: { name: 'Arabic only', variants: { ar: 'مرحبا {{name}}' } }
+    });
+    assert.equal(noEnglish.status, 400);
+
+    const unknown = await t.request('POST', '/api/message-templates', {
+      token: adminToken,
+      body: { name: 'Typo', variants: { en: 'Hi {{nmae}}' } }
+    });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown placeholder {{nmae}}/);
+  });
+
+  it('creates, updates and deletes a template, but not one in use', async () => {
+    const created = await t.request('POST', '/api/message-templates', {
+      token: adminToken,
+      body: { name: 'Short', variants: { en: 'Hi {{name}}, your code is {{code}}' } }
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.template;
+
+    const duplicate = await t.request('POST', '/api/message-templates', {
+      token: adminToken,
+      body: { name: 'Short', variants: { en: 'Again' } }
+    });
+    assert.equal(duplicate.status, 400);
+
+    const updated = await t.request('PATCH', `/api/message-templates/${id}`, {
+      token: adminToken,
+      body: { variants: { en: 'Hello {{name}}: {{code}}', ar: 'مرحبا {{name}}: {{code}}' } }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.template.name, 'Short');
+    assert.equal(updated.body.template.variants.en, 'Hello {{name}}: {{code}}');
+
+    const campaign = await t.request('POST', '/api/campaigns', {
+      token: adminToken,
+      body: newCampaign({ message_template_id: id })
+    });
+    assert.equal(campaign.status, 201);
+
+    const inUse = await t.request('DELETE', `/api/message-templates/${id}`, { token: adminToken });
+    assert.equal(inUse.status, 400);
+
+    await t.request('PATCH', `/api/campaigns/${campaign.body.campaign.id}`, {
+      token: adminToken,
+      body: { message_template_id: null }
+    });
+    const deleted = await t.request('DELETE', `/api/message-templates/${id}`, { token: adminToken });
+    assert.equal(deleted.status, 200);
+    assert.equal((await t.request('PATCH', `/api/message-templates/${id}`, { token: adminToken, body: {} })).status, 404);
+  });
+});
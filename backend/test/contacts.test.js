@@ -0,0 +1,189 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startTestApp } = require('./helpers/testApp');
+
+describe('Odoo contacts', () => {
+  let t;
+  let adminToken;
+  let staff;
+
+  const createContact = (token, body, headers) => t.request('POST', '/api/contacts', {
+    token,
+    body: { name: 'Sara Al Hinai', phone: '91234567', city: 'Muscat', ...body },
+    headers
+  });
+
+  before(async () => {
+    t = await startTestApp({ WHATSAPP_PROVIDER: 'odoo' });
+    adminToken = await t.loginAdmin();
+    staff = await t.createUser(adminToken, { username: 'aisha', name: 'Aisha', branches: ['Sohar'] });
+  });
+
+  after(() => t.close());
+
+  it('validates the contact', async () => {
+    const missing = await createContact(staff.token, { city: ' ' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'Name, phone, and city are required');
+
+    const badPhone = await createContact(staff.token, { phone: '1234' });
+    assert.equal(badPhone.status, 400);
+    assert.equal(t.odoo.partners.length, 0);
+  });
+
+  it('creates the partner, notes who entered it and sends the WhatsApp template', async () => {
+    const { status, body } = await createContact(staff.token, { name: ' Sara Al Hinai ', phone: '+968 9123 4567', branch_id: 2 });
+    assert.equal(status, 200);
+    assert.equal(body.contact.name, 'SARA AL HINAI 91234567 #IDF2026');
+
+    const [partner] = t.odoo.partners;
+    assert.equal(partner.id, body.contact.odoo_partner_id);
+    assert.equal(partner.name, 'SARA AL HINAI 91234567 #IDF2026');
+    assert.equal(partner.phone, '91234567');
+    assert.equal(partner.city, 'Muscat');
+    assert.equal(partner.is_customer_toggle, true);
+    assert.deepEqual(partner.branch_id, [2, 'Sohar']);
+
+    const [note] = t.odoo.messages;
+    assert.equal(note.res_id, partner.id);
+    assert.equal(note.body, '<p>Created by <b>Aisha</b> #IDF2026</p>');
+
+    const job = await t.waitForJob(body.whatsapp.job_id);
+    assert.equal(job.status, 'sent');
+    const [composer] = t.odoo.composers;
+    assert.deepEqual(composer.res_ids, [partner.id]);
+    assert.equal(composer.phone, '+96891234567');
+    assert.equal(composer.wa_template_id, 3);
+    assert.equal(composer.sent, true);
+  });
+
+  it('creates one partner for a request repeated with the same Idempotency-Key', async () => {
+    const headers = { 'Idempotency-Key': 'contact-form-7' };
+    const first = await createContact(staff.token, { name: 'Badr', phone: '92345678', branch_id: 2 }, headers);
+    const replay = await createContact(staff.token, { name: 'Badr', phone: '92345678', branch_id: 2 }, headers);
+
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.contact.odoo_partner_id, first.body.contact.odoo_partner_id);
+    assert.equal(t.odoo.partners.length, 2);
+    await t.waitForJob(first.body.whatsapp.job_id);
+  });
+
+  it('reports Odoo errors', async () => {
+    t.odoo.failNext('res.partner', 'create', { name: 'odoo.exceptions.ValidationError', message: 'Invalid branch' });
+    const { status, body } = await createContact(staff.token, { phone: '93456789', branch_id: 9 });
+    assert.equal(status, 422);
+    assert.equal(body.error, 'Invalid branch');
+  });
+
+  it('answers 503 while Odoo is unreachable', async () => {
+    t.odoo.failHttp(503, 3);
+    const created = await createContact(staff.token, { phone: '93456789', branch_id: 2 });
+    assert.equal(created.status, 503);
+    assert.equal(created.body.error, 'Odoo unavailable (HTTP 503)');
+
+    t.odoo.failHttp(502, 3);
+    const listed = await t.request('GET', '/api/contacts', { token: adminToken });
+    assert.equal(listed.status, 503);
+
+    t.odoo.failHttp(502, 3);
+    assert.equal((await t.request('GET', '/api/stats', { token: adminToken })).status, 503);
+    assert.equal(t.odoo.partners.length, 2);
+  });
+
+  it('does not create a contact again after a write Odoo may have made', async () => {
+    const headers = { 'Idempotency-Key': 'contact-form-8' };
+    t.odoo.failHttp(500);
+    const created = await createContact(staff.token, { phone: '93456789', branch_id: 2 }, headers);
+    assert.equal(created.status, 503);
+    assert.match(created.body.error, /may have been created/);
+
+    const before = t.odoo.methodCalls().length;
+    const retry = await createContact(staff.token, { phone: '93456789', branch_id: 2 }, headers);
+    assert.equal(retry.status, 503);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(t.odoo.methodCalls().length, before);
+  });
+
+  it('keeps the WhatsApp job for a retry when Odoo cannot send it', async () => {
+    t.odoo.failNext('whatsapp.composer', 'action_send_whatsapp_template', {
+      name: 'odoo.addons.whatsapp.tools.whatsapp_exception.WhatsAppError',
+      message: 'WhatsApp account disconnected'
+    });
+    const { body } = await createContact(adminToken, { name: 'Hamed', phone: '94567890', branch_id: 1 });
+
+    const job = await t.waitForJob(body.whatsapp.job_id);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.last_error, 'WhatsApp account disconnected');
+  });
+
+  it('lists and exports the campaign\'s contacts', async () => {
+    const { status, body } = await t.request('GET', '/api/contacts', { token: adminToken });
+    assert.equal(status, 200);
+    assert.equal(body.pagination.total, 3);
+    assert.deepEqual(body.contacts.map(contact => contact.phone), ['94567890', '92345678', '91234567']);
+    assert.equal(body.contacts[1].branch_name, 'Sohar');
+
+    const sohar = await t.request('GET', '/api/contacts?branch_id=2&limit=1', { token: adminToken });
+    assert.equal(sohar.body.pagination.total, 2);
+    assert.equal(sohar.body.pagination.pages, 2);
+    assert.equal(sohar.body.contacts.length, 1);
+
+    const unknown = await t.request('GET', '/api/contacts?campaign_id=999', { token: adminToken });
+    assert.equal(unknown.status, 404);
+
+    const forbidden = await t.request('GET', '/api/contacts', { token: staff.token });
+    assert.equal(forbidden.status, 403);
+
+    const exported = await t.request('GET', '/api/contacts/export?branch_id=1', { token: adminToken });
+    assert.equal(exported.status, 200);
+    const rows = XLSX.utils.sheet_to_json(XLSX.read(exported.body).Sheets.Contacts);
+    assert.deepEqual(rows.map(row => row['Customer Name']), ['HAMED 94567890 #IDF2026']);
+  });
+
+  it('lists branches from Odoo, limited to the user\'s own', async () => {
+    const all = await t.request('GET', '/api/branches', { token: adminToken });
+    assert.deepEqual(all.body.branches, [{ id: 1, name: 'Muscat' }, { id: 2, name: 'Sohar' }]);
+
+    const assigned = await t.request('GET', '/api/branches', { token: staff.token });
+    assert.deepEqual(assigned.body.branches, [{ id: 2, name: 'Sohar' }]);
+
+    t.odoo.failNext('company.branches', 'search_read');
+    const fallback = await t.request('GET', '/api/branches', { token: adminToken });
+    assert.equal(fallback.status, 200);
+    assert.deepEqual(fallback.body.branches, [{ id: 1, name: 'Muscat' }, { id: 2, name: 'Sohar' }]);
+  });
+
+  it('counts contacts by branch and by the staff who entered them', async () => {
+    const { status, body } = await t.request('GET', '/api/stats', { token: staff.token });
+    assert.equal(status, 200);
+    assert.equal(body.campaign.tag, '#IDF2026');
+    assert.equal(body.totalContacts, 3);
+    assert.equal(body.activeStaff, 2);
+    assert.deepEqual(body.byBranch, [{ branch: 'Sohar', count: 2 }, { branch: 'Muscat', count: 1 }]);
+    assert.deepEqual(body.byStaff, [{ name: 'Aisha', count: 2 }, { name: 'Administrator', count: 1 }]);
+
+    const cashier = await t.createUser(adminToken, { username: 'till', role: 'cashier' });
+    assert.equal((await t.request('GET', '/api/stats', { token: cashier.token })).status, 403);
+  });
+
+  it('gives up on a WhatsApp send Odoo refuses', async () => {
+    t.odoo.failNext('whatsapp.composer', 'create', { message: 'Phone number is not on WhatsApp' });
+    const refused = await createContact(adminToken, { name: 'Salim', phone: '95678901', branch_id: 1 });
+    const refusedJob = await t.waitForJob(refused.body.whatsapp.job_id);
+    assert.equal(refusedJob.status, 'dead');
+    assert.equal(refusedJob.attempts, 1);
+    assert.equal(refusedJob.last_error, 'Phone number is not on WhatsApp');
+
+    const templates = t.odoo.templates.splice(0);
+    try {
+      const { body } = await createContact(adminToken, { name: 'Maryam', phone: '96789012', branch_id: 1 });
+      const job = await t.waitForJob(body.whatsapp.job_id);
+      assert.equal(job.status, 'dead');
+      assert.equal(job.last_error, "WhatsApp template 'idf_2026' not found");
+    } finally {
+      t.odoo.templates.push(...templates);
+    }
+  });
+});
@@ -0,0 +1,369 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { startTestApp } = require('./helpers/testApp');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+// The code with its check character replaced, as a cashier's typo would
+const mistypedCode = (code) => `${code.slice(0, -1)}${code.endsWith('A') ? 'B' : 'A'}`;
+
+describe('issuing coupons', () => {
+  let t;
+  let adminToken;
+  let staff;
+
+  const createCoupon = (token, body, headers) => t.request('POST', '/api/coupons', {
+    token,
+    body: { customer_name: 'Ahmed Al Balushi', branch: 'Muscat', ...body },
+    headers
+  });
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+    staff = await t.createUser(adminToken, { username: 'salim', name: 'Salim', branches: ['Muscat'] });
+  });
+
+  after(() => t.close());
+
+  it('validates the customer details', async () => {
+    const cases = [
+      [{ mobile_number: '' }, 400, 'Customer name, mobile number, and branch required'],
+      [{ mobile_number: '81234567' }, 400, 'Invalid Oman mobile number (8 digits, starts with 7 or 9)'],
+      [{ mobile_number: '91234567', customer_email: 'not-an-email' }, 400, 'Invalid email address'],
+      [{ mobile_number: '91234567', language: 'fr' }, 400, 'Language must be one of en, ar'],
+      [{ mobile_number: '91234567', branch: 'Sohar' }, 403, 'You are not assigned to Sohar']
+    ];
+    for (const [body, status, error] of cases) {
+      const response = await createCoupon(staff.token, body);
+      assert.equal(response.status, status);
+      assert.equal(response.body.error, error);
+    }
+  });
+
+  it('issues a coupon and sends it on WhatsApp through Twilio', async () => {
+    const { status, body } = await createCoupon(staff.token, { mobile_number: '+968 9123 4567' });
+    assert.equal(status, 201);
+    assert.equal(body.coupon.mobile_number, '91234567');
+    assert.match(body.coupon.coupon_code, /^EXPO-[2-9A-HJKMNP-Z]{9}$/);
+    assert.equal(body.coupon.discount_percent, 15);
+    assert.equal(body.whatsapp.queued, true);
+
+    const job = await t.waitForJob(body.whatsapp.job_id);
+    assert.equal(job.status, 'sent');
+
+    const [message] = t.twilio.messages;
+    assert.equal(message.to, 'whatsapp:+96891234567');
+    assert.equal(message.from, `whatsapp:${t.config.TWILIO_WHATSAPP_NUMBER}`);
+    assert.match(message.body, new RegExp(`\\*${body.coupon.coupon_code}\\*`));
+    assert.match(message.media_url[0], /^https:\/\/coupons\.example\.com\/api\/coupons\/EXPO-\w+\/image\?type=card&sig=\w+$/);
+    assert.equal(message.status_callback, t.config.TWILIO_STATUS_CALLBACK_URL);
+
+    const lookup = await t.request('GET', `/api/coupons/${body.coupon.coupon_code.toLowerCase()}`, { token: staff.token });
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.body.coupon.whatsapp_sent, 1);
+    assert.equal(lookup.body.coupon.delivery_channel, 'whatsapp');
+
+    const events = await t.request('GET', `/api/coupons/${body.coupon.id}/message-events`, { token: staff.token });
+    assert.equal(events.body.current_sid, message.sid);
+    assert.deepEqual(events.body.events.map(event => event.status), ['queued']);
+  });
+
+  it('allows one coupon per mobile unless an admin overrides it', async () => {
+    const duplicate = await createCoupon(staff.token, { mobile_number: '91234567' });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.duplicate, true);
+    assert.equal(duplicate.body.coupon.mobile_number, '91234567');
+
+    const staffOverride = await createCoupon(staff.token, { mobile_number: '91234567', override_reason: 'Lost it' });
+    assert.equal(staffOverride.status, 403);
+
+    const adminOverride = await createCoupon(adminToken, { mobile_number: '91234567', override_reason: 'Lost it' });
+    assert.equal(adminOverride.status, 201);
+    await t.waitForJob(adminOverride.body.whatsapp.job_id);
+
+    const { body } = await t.request('GET', '/api/audit-events?action=coupon.override', { token: adminToken });
+    assert.equal(body.pagination.total, 1);
+    const [override] = body.events;
+    assert.equal(override.actor_username, 'admin');
+    assert.equal(override.target_type, 'coupon');
+    assert.equal(override.target_id, adminOverride.body.coupon.id);
+    assert.deepEqual(override.details, {
+      reason: 'Lost it',
+      coupon_code: adminOverride.body.coupon.coupon_code,
+      mobile_number: '91234567',
+      campaign_id: adminOverride.body.coupon.campaign_id,
+      previous_coupons: [duplicate.body.coupon.coupon_code]
+    });
+  });
+
+  it('replays a request repeated with the same Idempotency-Key', async () => {
+    const headers = { 'Idempotency-Key': 'tablet-1-entry-42' };
+    const first = await createCoupon(staff.token, { mobile_number: '92222222' }, headers);
+    assert.equal(first.status, 201);
+
+    const replay = await createCoupon(staff.token, { mobile_number: '92222222' }, headers);
+    assert.equal(replay.status, 201);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.coupon.coupon_code, first.body.coupon.coupon_code);
+
+    const changed = await createCoupon(staff.token, { mobile_number: '93333333' }, headers);
+    assert.equal(changed.status, 422);
+    await t.waitForJob(first.body.whatsapp.job_id);
+
+    // Keys are the user's own: after the replay window, another user's key is no match
+    t.db.prepare('DELETE FROM idempotency_keys').run();
+    const otherUser = await createCoupon(adminToken, { mobile_number: '93333333', branch: 'Sohar' }, headers);
+    assert.equal(otherUser.status, 201);
+    assert.notEqual(otherUser.body.coupon.coupon_code, first.body.coupon.coupon_code);
+    await t.waitForJob(otherUser.body.whatsapp.job_id);
+  });
+
+  it('falls back to SMS when Twilio rejects the WhatsApp message', async () => {
+    t.twilio.failNext({ status: 400, code: 63016, message: 'Outside the allowed window' });
+    const { body } = await createCoupon(staff.token, { mobile_number: '94444444' });
+
+    const job = await t.waitForJob(body.whatsapp.job_id);
+    assert.equal(job.status, 'sent');
+
+    const sms = t.twilio.messages.at(-1);
+    assert.equal(sms.to, '+96894444444');
+    assert.equal(sms.from, t.config.TWILIO_SMS_NUMBER);
+    assert.doesNotMatch(sms.body, /\*/);
+
+    const lookup = await t.request('GET', `/api/coupons/${body.coupon.coupon_code}`, { token: staff.token });
+    assert.equal(lookup.body.coupon.delivery_channel, 'sms');
+  });
+
+  it('resends a coupon', async () => {
+    const { body } = await t.request('GET', '/api/coupons?search=94444444', { token: staff.token });
+    const [coupon] = body.coupons;
+    const sent = t.twilio.messages.length;
+
+    const resend = await t.request('POST', `/api/coupons/${coupon.id}/resend`, { token: staff.token });
+    assert.equal(resend.status, 200);
+    await t.waitForJob(resend.body.job_id);
+    assert.equal(t.twilio.messages.length, sent + 1);
+    assert.equal(t.twilio.messages.at(-1).to, 'whatsapp:+96894444444');
+
+    assert.equal((await t.request('POST', '/api/coupons/999/resend', { token: staff.token })).status, 404);
+
+    // Other staff only reach their own entries
+    const colleague = await t.createUser(adminToken, { username: 'nasser', branches: ['Muscat'] });
+    const outOfScope = await t.request('POST', `/api/coupons/${coupon.id}/resend`, { token: colleague.token });
+    assert.equal(outOfScope.status, 404);
+    assert.equal(t.twilio.messages.length, sent + 1);
+  });
+
+  it('lists coupons within the user\'s scope', async () => {
+    const supervisor = await t.createUser(adminToken, { username: 'mona', role: 'supervisor', branches: ['Sohar'] });
+    await createCoupon(adminToken, { mobile_number: '95555555', branch: 'Sohar' });
+
+    const all = await t.request('GET', '/api/coupons', { token: adminToken });
+    assert.equal(all.body.pagination.total, 6);
+
+    const own = await t.request('GET', '/api/coupons', { token: staff.token });
+    assert.equal(own.body.pagination.total, 3);
+    assert.ok(own.body.coupons.every(coupon => coupon.staff_username === 'salim'));
+
+    const branch = await t.request('GET', '/api/coupons', { token: supervisor.token });
+    assert.deepEqual(branch.body.coupons.map(coupon => coupon.branch), ['Sohar', 'Sohar']);
+
+    const filtered = await t.request('GET', '/api/coupons?branch=Muscat&search=9222', { token: adminToken });
+    assert.deepEqual(filtered.body.coupons.map(coupon => coupon.mobile_number), ['92222222']);
+
+    const cashier = await t.createUser(adminToken, { username: 'cash', role: 'cashier' });
+    assert.equal((await t.request('GET', '/api/coupons', { token: cashier.token })).status, 403);
+  });
+
+  it('exports coupons to Excel for admins', async () => {
+    const { status, headers, body } = await t.request('GET', '/api/coupons/export?branch=Muscat', { token: adminToken });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-disposition'), /^attachment; filename="coupons-export-\d{4}-\d{2}-\d{2}\.xlsx"$/);
+
+    const rows = XLSX.utils.sheet_to_json(XLSX.read(body).Sheets.Coupons);
+    assert.equal(rows.length, 4);
+    assert.ok(rows.every(row => row.Branch === 'Muscat'));
+    assert.ok(rows.every(row => row.Sent === 'Yes'));
+
+    assert.equal((await t.request('GET', '/api/coupons/export', { token: staff.token })).status, 403);
+  });
+
+  it('extends the validity of unredeemed coupons', async () => {
+    const { body } = await t.request('GET', '/api/coupons?search=95555555', { token: adminToken });
+    const [coupon] = body.coupons;
+
+    const invalid = await t.request('POST', '/api/coupons/extend', { token: adminToken, body: { months: 30 } });
+    assert.equal(invalid.status, 400);
+
+    const extended = await t.request('POST', '/api/coupons/extend', {
+      token: adminToken,
+      body: { months: 2, coupon_ids: [coupon.id] }
+    });
+    assert.equal(extended.status, 200);
+    assert.equal(extended.body.updated, 1);
+
+    const { expires_at } = t.db.prepare('SELECT expires_at FROM coupons WHERE id = ?').get(coupon.id);
+    assert.ok(expires_at > coupon.expires_at);
+
+    const forbidden = await t.request('POST', '/api/coupons/extend', { token: staff.token, body: { months: 2 } });
+    assert.equal(forbidden.status, 403);
+  });
+
+  it('renders coupon images for logged-in users or signed links', async () => {
+    const { body } = await t.request('GET', '/api/coupons?search=91234567', { token: staff.token });
+    const code = body.coupons[0].coupon_code;
+
+    assert.equal((await t.request('GET', `/api/coupons/${code}/image`)).status, 401);
+    assert.equal((await t.request('GET', `/api/coupons/${code}/image?sig=0123`)).status, 401);
+
+    const signed = await t.request('GET', t.ctx.couponImagePath(code, 'qr'));
+    assert.equal(signed.status, 200);
+    assert.equal(signed.headers.get('content-type'), 'image/png');
+    assert.deepEqual(signed.body.subarray(0, 4), PNG_SIGNATURE);
+
+    const card = await t.request('GET', `/api/coupons/${code}/image`, { token: staff.token });
+    assert.deepEqual(card.body.subarray(0, 4), PNG_SIGNATURE);
+
+    const badType = await t.request('GET', `/api/coupons/${code}/image?type=gif`, { token: staff.token });
+    assert.equal(badType.status, 400);
+  });
+});
+
+describe('redeeming coupons', () => {
+  let t;
+  let adminToken;
+  let cashier;
+  let coupon;
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+    cashier = await t.createUser(adminToken, { username: 'cashier', role: 'cashier', branches: ['Muscat'] });
+
+    const created = await t.request('POST', '/api/coupons', {
+      token: adminToken,
+      body: { customer_name: 'Mariam', mobile_number: '97777777', branch: 'Muscat' }
+    });
+    coupon = created.body.coupon;
+    await t.waitForJob(created.body.whatsapp.job_id);
+  });
+
+  after(() => t.close());
+
+  it('looks up coupons by code', async () => {
+    const typo = await t.request('GET', `/api/coupons/${mistypedCode(coupon.coupon_code)}`, { token: cashier.token });
+    assert.equal(typo.status, 400);
+
+    assert.equal((await t.request('GET', '/api/coupons/NOPE', { token: cashier.token })).status, 404);
+
+    const found = await t.request('GET', `/api/coupons/${coupon.coupon_code}`, { token: cashier.token });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.coupon.status, 'active');
+  });
+
+  it('redeems a coupon once', async () => {
+    const path = `/api/coupons/${coupon.coupon_code}/redeem`;
+
+    const noBranch = await t.request('POST', path, { token: cashier.token, body: { invoice_amount: 120 } });
+    assert.equal(noBranch.status, 400);
+
+    const otherBranch = await t.request('POST', path, { token: cashier.token, body: { branch: 'Sohar', invoice_amount: 120 } });
+    assert.equal(otherBranch.status, 403);
+
+    const noAmount = await t.request('POST', path, { token: cashier.token, body: { branch: 'Muscat', invoice_amount: 0 } });
+    assert.equal(noAmount.status, 400);
+
+    const redeemed = await t.request('POST', path, { token: cashier.token, body: { branch: 'Muscat', invoice_amount: '120.500' } });
+    assert.equal(redeemed.status, 200);
+    assert.equal(redeemed.body.coupon.status, 'redeemed');
+    assert.equal(redeemed.body.coupon.invoice_amount, 120.5);
+
+    const again = await t.request('POST', path, { token: cashier.token, body: { branch: 'Muscat', invoice_amount: 80 } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, 'Coupon already redeemed');
+  });
+
+  it('syncs offline redemptions and records conflicts', async () => {
+    const created = await t.request('POST', '/api/coupons', {
+      token: adminToken,
+      body: { customer_name: 'Yousuf', mobile_number: '98888888', branch: 'Muscat' }
+    });
+    await t.waitForJob(created.body.whatsapp.job_id);
+    const offline = created.body.coupon;
+
+    const token = t.ctx.signCouponToken(offline);
+    const redeemedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const entry = { token, branch: 'Muscat', invoice_amount: 45, redeemed_at: redeemedAt };
+
+    const empty = await t.request('POST', '/api/coupons/offline-redemptions', { token: cashier.token, body: { redemptions: [] } });
+    assert.equal(empty.status, 400);
+
+    const synced = await t.request('POST', '/api/coupons/offline-redemptions', {
+      token: cashier.token,
+      body: {
+        redemptions: [
+          entry,
+          { ...entry, token: `${token.split('.')[0]}.forged` },
+          { ...entry, token: t.ctx.signCouponToken(coupon), branch: 'Sohar' }
+        ]
+      }
+    });
+    assert.equal(synced.status, 200);
+    assert.deepEqual(synced.body.results.map(result => result.status), ['redeemed', 'invalid', 'invalid']);
+    assert.equal(synced.body.results[2].error, 'You are not assigned to Sohar');
+
+    // The device retrying the same sync is not a conflict
+    const retried = await t.request('POST', '/api/coupons/offline-redemptions', { token: cashier.token, body: { redemptions: [entry] } });
+    assert.deepEqual(retried.body.results, [{ code: offline.coupon_code, status: 'redeemed' }]);
+
+    const late = await t.request('POST', '/api/coupons/offline-redemptions', {
+      token: adminToken,
+      body: { redemptions: [{ ...entry, branch: 'Sohar', invoice_amount: 60 }] }
+    });
+    const [result] = late.body.results;
+    assert.equal(result.status, 'duplicate');
+    assert.equal(result.redeemed_branch, 'Muscat');
+
+    const conflicts = await t.request('GET', '/api/coupons/redemption-conflicts', { token: adminToken });
+    assert.equal(conflicts.status, 200);
+    assert.equal(conflicts.body.conflicts.length, 1);
+    assert.equal(conflicts.body.conflicts[0].coupon_code, offline.coupon_code);
+    assert.equal(conflicts.body.conflicts[0].branch, 'Sohar');
+    assert.equal(conflicts.body.conflicts[0].first_redeemed_branch, 'Muscat');
+
+    assert.equal((await t.request('GET', '/api/coupons/redemption-conflicts', { token: cashier.token })).status, 403);
+  });
+
+  it('checks offline redemptions against the coupon\'s current expiry', async () => {
+    const issue = async (mobile_number) => {
+      const { body } = await t.request('POST', '/api/coupons', {
+        token: adminToken,
+        body: { customer_name: 'Huda', mobile_number, branch: 'Muscat' }
+      });
+      await t.waitForJob(body.whatsapp.job_id);
+      return body.coupon;
+    };
+    const extended = await issue('96666666');
+    const expired = await issue('91111111');
+    t.db.prepare("UPDATE coupons SET expires_at = datetime('now', '-1 day') WHERE id = ?").run(expired.id);
+
+    const redeemedAt = new Date().toISOString();
+    // The first token was signed before the coupon's validity was extended
+    const staleToken = t.ctx.signCouponToken({ ...extended, expires_at: '2020-01-01 00:00:00' });
+    const { body } = await t.request('POST', '/api/coupons/offline-redemptions', {
+      token: cashier.token,
+      body: {
+        redemptions: [
+          { token: staleToken, branch: 'Muscat', invoice_amount: 30, redeemed_at: redeemedAt },
+          { token: t.ctx.signCouponToken(expired), branch: 'Muscat', invoice_amount: 30, redeemed_at: redeemedAt }
+        ]
+      }
+    });
+    assert.deepEqual(body.results, [
+      { code: extended.coupon_code, status: 'redeemed' },
+      { code: expired.coupon_code, status: 'invalid', error: 'Coupon had expired' }
+    ]);
+  });
+});
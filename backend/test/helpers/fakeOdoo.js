@@ -0,0 +1,173 @@
+const http = require('http');
+
+// Odoo domain leaf check: [field, '=', value] or [field, 'ilike', pattern];
+// ilike matches anywhere, with % as a wildcard
+const matchesLeaf = (record, [field, operator, value]) => {
+  const actual = Array.isArray(record[field]) ? record[field][0] : record[field];
+  if (operator === '=') {
+    return actual === value;
+  }
+  if (operator === 'ilike') {
+    const pattern = String(value).split('%').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(pattern, 'i').test(String(actual ?? ''));
+  }
+  throw new Error(`Fake Odoo does not support operator ${operator}`);
+};
+
+const search = (records, domain = []) => records.filter(record => domain.every(leaf => matchesLeaf(record, leaf)));
+
+const pick = (record, fields) => (fields ? Object.fromEntries(fields.map(field => [field, record[field] ?? false])) : record);
+
+// Stand-in for Odoo's JSON-RPC endpoint (POST /jsonrpc) with the models the app
+// uses: res.partner, mail.message (chatter notes), whatsapp.template,
+// whatsapp.composer and company.branches. Every call is kept in calls.
+const startFakeOdoo = async ({ database = 'test', username = 'api@example.com', apiKey = 'odoo-key', uid = 7 } = {}) => {
+  // Requests to answer with an HTTP error, or to hold before answering
+  const httpFailures = [];
+  const delays = [];
+  const state = {
+    calls: [],
+    partners: [],
+    messages: [],
+    composers: [],
+    branches: [{ id: 1, name: 'Muscat' }, { id: 2, name: 'Sohar' }],
+    templates: [{ id: 3, name: 'idf_2026' }],
+    failures: []
+  };
+  let nextId = 100;
+
+  const models = {
+    'res.partner': {
+      create: ([values]) => {
+        const branch = state.branches.find(b => b.id === Number(values.branch_id));
+        const partner = {
+          ...values,
+          id: nextId++,
+          branch_id: branch ? [branch.id, branch.name] : false,
+          create_date: new Date().toISOString().slice(0, 19).replace('T', ' ')
+        };
+        state.partners.push(partner);
+        return partner.id;
+      },
+      search: ([domain], { limit } = {}) => search(state.partners, domain)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(partner => partner.id),
+      search_read: ([domain], { fields, limit, offset = 0 } = {}) => search(state.partners, domain)
+        .sort((a, b) => b.id - a.id)
+        .slice(offset, limit ? offset + limit : undefined)
+        .map(partner => pick(partner, fields)),
+      search_count: ([domain]) => search(state.partners, domain).length,
+      message_post: ([[partnerId]], { body, message_type }) => {
+        const message = { id: nextId++, model: 'res.partner', res_id: partnerId, body, message_type };
+        state.messages.push(message);
+        return message.id;
+      }
+    },
+    'mail.message': {
+      search_read: ([domain], { fields } = {}) => search(state.messages, domain).map(message => pick(message, fields))
+    },
+    'whatsapp.template': {
+      search_read: ([domain], { fields, limit } = {}) => search(state.templates, domain)
+        .slice(0, limit)
+        .map(template => pick(template, fields))
+    },
+    'whatsapp.composer': {
+      create: ([values]) => {
+        const composer = { ...values, id: nextId++, sent: false };
+        state.composers.push(composer);
+        return composer.id;
+      },
+      action_send_whatsapp_template: ([[composerId]]) => {
+        state.composers.find(composer => composer.id === composerId).sent = true;
+        return true;
+      }
+    },
+    'company.branches': {
+      search_read: ([domain], { fields } = {}) => search(state.branches, domain).map(branch => pick(branch, fields))
+    }
+  };
+
+  const fault = (name, message) => ({ code: 200, message: 'Odoo Server Error', data: { name, message } });
+
+  const call = ({ service, method, args }) => {
+    if (service === 'common' && method === 'authenticate') {
+      const [db, login, key] = args;
+      return { result: db === database && login === username && key === apiKey ? uid : false };
+    }
+    if (service === 'object' && method === 'execute_kw') {
+      const [db, callerUid, key, model, modelMethod, positional = [], keywords = {}] = args;
+      if (db !== database || callerUid !== uid || key !== apiKey) {
+        return { error: fault('odoo.exceptions.AccessDenied', 'Access Denied') };
+      }
+      const failure = state.failures.findIndex(f => f.model === model && f.method === modelMethod);
+      if (failure !== -1) {
+        const [{ name, message }] = state.failures.splice(failure, 1);
+        return { error: fault(name, message) };
+      }
+      const handler = models[model]?.[modelMethod];
+      if (!handler) {
+        return { error: fault('builtins.AttributeError', `Fake Odoo has no ${model}.${modelMethod}`) };
+      }
+      return { result: handler(positional, keywords) };
+    }
+    return { error: fault('builtins.NotImplementedError', `Fake Odoo has no ${service}.${method}`) };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const { id, params } = JSON.parse(body);
+      state.calls.push(params);
+      if (delays.length) {
+        await new Promise(resolve => setTimeout(resolve, delays.shift()));
+      }
+      res.setHeader('Content-Type', 'application/json');
+      if (httpFailures.length) {
+        res.statusCode = httpFailures.shift();
+        return res.end(JSON.stringify({ error: 'Fake Odoo HTTP error' }));
+      }
+      if (req.method !== 'POST' || req.url !== '/jsonrpc') {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: 'Not found' }));
+      }
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...call(params) }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    ...state,
+    url: `http://127.0.0.1:${server.address().port}`,
+    config: { ODOO_DATABASE: database, ODOO_USERNAME: username, ODOO_API_KEY: apiKey },
+    // Answer the next model.method call with an Odoo fault
+    failNext: (model, method, { name = 'odoo.exceptions.UserError', message = 'Fake Odoo error' } = {}) => {
+      state.failures.push({ model, method, name, message });
+    },
+    // Answer the next request(s) with HTTP status instead of JSON-RPC, as a proxy in front of Odoo would
+    failHttp: (status, times = 1) => {
+      httpFailures.push(...Array(times).fill(status));
+    },
+    // Hold the next request for ms before answering it
+    delayNext: (ms) => {
+      delays.push(ms);
+    },
+    // Log the API user in under a new uid, so calls with the old one are denied
+    expireSession: () => {
+      uid += 1;
+    },
+    // common.authenticate calls so far
+    authentications: () => state.calls.filter(params => params.method === 'authenticate').length,
+    // execute_kw calls as "model.method", in order
+    methodCalls: () => state.calls
+      .filter(params => params.method === 'execute_kw')
+      .map(params => `${params.args[3]}.${params.args[4]}`),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startFakeOdoo };
@@ -0,0 +1,74 @@
+const http = require('http');
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+const TWILIO_API_URL = 'https://api.twilio.com';
+
+// Stand-in for Twilio's Messages endpoint
+// (POST /2010-04-01/Accounts/:sid/Messages.json). Sent messages are kept in
+// messages with their form parameters; createClient gives a real Twilio client
+// whose requests go here instead of api.twilio.com.
+const startFakeTwilio = async () => {
+  const messages = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      const match = req.url.match(/^\/2010-04-01\/Accounts\/(AC\w+)\/Messages\.json$/);
+      if (req.method !== 'POST' || !match) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ code: 20404, message: 'The requested resource was not found', status: 404 }));
+      }
+
+      if (failures.length) {
+        const { status, code, message } = failures.shift();
+        res.statusCode = status;
+        return res.end(JSON.stringify({ code, message, status }));
+      }
+
+      const params = new URLSearchParams(body);
+      const message = {
+        sid: `SM${crypto.randomBytes(16).toString('hex')}`,
+        account_sid: match[1],
+        to: params.get('To'),
+        from: params.get('From'),
+        body: params.get('Body'),
+        media_url: params.getAll('MediaUrl'),
+        status_callback: params.get('StatusCallback'),
+        status: 'queued'
+      };
+      messages.push(message);
+      res.statusCode = 201;
+      res.end(JSON.stringify(message));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  class FakeRequestClient extends twilio.RequestClient {
+    request(opts) {
+      return super.request({ ...opts, uri: opts.uri.replace(TWILIO_API_URL, url) });
+    }
+  }
+
+  return {
+    url,
+    messages,
+    // Reject the next message with a Twilio error response
+    failNext: ({ status = 400, code = 21211, message = "The 'To' number is not a valid phone number." } = {}) => {
+      failures.push({ status, code, message });
+    },
+    createClient: ({ TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN }) => twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, {
+      httpClient: new FakeRequestClient()
+    }),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startFakeTwilio };
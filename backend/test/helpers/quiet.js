@@ -0,0 +1,6 @@
+// The app logs every login, send and Odoo call; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) {
+  ['log', 'warn', 'error'].forEach(level => {
+    console[level] = () => {};
+  });
+}
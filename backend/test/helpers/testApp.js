@@ -0,0 +1,136 @@
+require('./quiet');
+const Database = require('better-sqlite3');
+const { loadConfig } = require('../../config');
+const { runMigrations } = require('../../database');
+const { createApp } = require('../../app');
+const { startFakeOdoo } = require('./fakeOdoo');
+const { startFakeTwilio } = require('./fakeTwilio');
+
+const ADMIN_PASSWORD = 'admin1234';
+const STAFF_PASSWORD = 'staff1234';
+const TWILIO_AUTH_TOKEN = 'twilio-test-token';
+const TWILIO_STATUS_CALLBACK_URL = 'https://coupons.example.com/api/webhooks/twilio/status';
+
+// The app on a new in-memory database, listening on a free port, with Odoo and
+// Twilio replaced by local fakes. env overrides the environment the config is
+// read from; WhatsApp goes through Twilio unless WHATSAPP_PROVIDER says otherwise.
+// The message worker is not started: jobs are sent when they are enqueued.
+const startTestApp = async (env = {}) => {
+  const odoo = await startFakeOdoo();
+  const twilio = await startFakeTwilio();
+
+  const config = loadConfig({
+    JWT_SECRET: 'test-secret',
+    PUBLIC_URL: 'https://coupons.example.com',
+    APP_URL: 'https://app.example.com',
+    BRANCHES: 'Muscat,Sohar',
+    ODOO_URL: odoo.url,
+    ...odoo.config,
+    ODOO_RETRY_DELAY_MS: '1',
+    TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+    TWILIO_AUTH_TOKEN,
+    TWILIO_WHATSAPP_NUMBER: '+14155238886',
+    TWILIO_SMS_NUMBER: '+14155550100',
+    TWILIO_STATUS_CALLBACK_URL,
+    ...env
+  });
+
+  const db = new Database(':memory:');
+  runMigrations(db);
+  const { app, ctx } = createApp({ db, config, twilioClient: twilio.createClient(config) });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON bodies are parsed, text stays text and anything else (images, Excel) is a Buffer
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const type = response.headers.get('content-type') || '';
+    let data = null;
+    if (type.includes('application/json')) {
+      data = await response.json();
+    } else if (type.startsWith('text/')) {
+      data = await response.text();
+    } else if (response.status !== 204) {
+      data = Buffer.from(await response.arrayBuffer());
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  };
+
+  const login = async (username, password) => {
+    const { status, body } = await request('POST', '/api/auth/login', { body: { username, password } });
+    if (status !== 200) {
+      throw new Error(`Login as ${username} failed (${status}): ${body.error}`);
+    }
+    return body;
+  };
+
+  // Logs in as the seeded admin and replaces the default password on first use
+  const loginAdmin = async () => {
+    const adminUser = db.prepare("SELECT must_change_password FROM users WHERE username = 'admin'").get();
+    if (!adminUser.must_change_password) {
+      return (await login('admin', ADMIN_PASSWORD)).token;
+    }
+
+    const { token } = await login('admin', 'admin123');
+    await request('PATCH', '/api/auth/password', {
+      token,
+      body: { current_password: 'admin123', new_password: ADMIN_PASSWORD }
+    });
+    return token;
+  };
+
+  // Adds a user through the staff API and logs them in; branches limits where they can act
+  const createUser = async (adminToken, { username, name = username, role = 'staff', branches } = {}) => {
+    const { status, body } = await request('POST', '/api/staff', {
+      token: adminToken,
+      body: { username, password: STAFF_PASSWORD, name, role }
+    });
+    if (status !== 201) {
+      throw new Error(`Creating ${username} failed (${status}): ${body.error}`);
+    }
+    if (branches) {
+      await request('PATCH', `/api/staff/${body.staff.id}/branches`, { token: adminToken, body: { branches } });
+    }
+    const { token } = await login(username, STAFF_PASSWORD);
+    return { id: body.staff.id, token };
+  };
+
+  // Waits until the queue has tried to send the job attempts times, and returns its row
+  const waitForJob = async (jobId, attempts = 1) => {
+    const findJob = db.prepare('SELECT * FROM message_jobs WHERE id = ?');
+    const deadline = Date.now() + 5000;
+    for (;;) {
+      const job = findJob.get(jobId);
+      if (job.attempts >= attempts && job.status !== 'sending') {
+        return job;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Message job ${jobId} still ${job.status} after 5 seconds`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await Promise.all([odoo.close(), twilio.close()]);
+    db.close();
+  };
+
+  return { url, config, db, ctx, odoo, twilio, request, login, loginAdmin, createUser, waitForJob, close };
+};
+
+module.exports = { startTestApp, ADMIN_PASSWORD, STAFF_PASSWORD, TWILIO_AUTH_TOKEN, TWILIO_STATUS_CALLBACK_URL };
@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { startTestApp, TWILIO_AUTH_TOKEN, TWILIO_STATUS_CALLBACK_URL } = require('./helpers/testApp');
+
+describe('message queue', () => {
+  let t;
+  let adminToken;
+
+  // Twilio refuses both the WhatsApp message and the SMS fallback, so the attempt fails
+  const failNextAttempt = () => {
+    t.twilio.failNext({ status: 503, code: 20503, message: 'Service unavailable' });
+    t.twilio.failNext({ status: 503, code: 20503, message: 'Service unavailable' });
+  };
+
+  const createCoupon = async (mobileNumber) => {
+    const { body } = await t.request('POST', '/api/coupons', {
+      token: adminToken,
+      body: { customer_name: 'Zahra', mobile_number: mobileNumber, branch: 'Muscat' }
+    });
+    return body;
+  };
+
+  before(async () => {
+    t = await startTestApp({ MESSAGE_MAX_ATTEMPTS: '2' });
+    adminToken = await t.loginAdmin();
+  });
+
+  after(() => t.close());
+
+  it('schedules a retry when a send fails, and dead-letters the job after the last attempt', async () => {
+    failNextAttempt();
+    const { coupon, whatsapp } = await createCoupon('91000001');
+
+    const waiting = await t.waitForJob(whatsapp.job_id);
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.last_error, 'whatsapp: Service unavailable; sms: Service unavailable; email: No email address');
+    assert.ok(waiting.next_attempt_at > waiting.updated_at);
+
+    // Resending sends the waiting job now rather than queueing another
+    failNextAttempt();
+    const resend = await t.request('POST', `/api/coupons/${coupon.id}/resend`, { token: adminToken });
+    assert.equal(resend.body.job_id, whatsapp.job_id);
+
+    const dead = await t.waitForJob(whatsapp.job_id, 2);
+    assert.equal(dead.status, 'dead');
+
+    const { body } = await t.request('GET', '/api/message-jobs?status=dead', { token: adminToken });
+    assert.equal(body.pagination.total, 1);
+    assert.equal(body.jobs[0].coupon_code, coupon.coupon_code);
+    assert.equal(body.counts.dead, 1);
+
+    const lookup = await t.request('GET', `/api/coupons/${coupon.coupon_code}`, { token: adminToken });
+    assert.equal(lookup.body.coupon.whatsapp_sent, 0);
+    assert.equal(lookup.body.coupon.whatsapp_job_status, 'dead');
+  });
+
+  it('retries dead jobs', async () => {
+    const { body } = await t.request('GET', '/api/message-jobs?status=dead', { token: adminToken });
+    const [job] = body.jobs;
+
+    const retried = await t.request('POST', `/api/message-jobs/${job.id}/retry`, { token: adminToken });
+    assert.equal(retried.status, 200);
+    assert.equal((await t.waitForJob(job.id)).status, 'sent');
+
+    const again = await t.request('POST', `/api/message-jobs/${job.id}/retry`, { token: adminToken });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, 'Cannot retry a sent job');
+  });
+
+  it('cancels jobs waiting for a retry', async () => {
+    failNextAttempt();
+    const { whatsapp } = await createCoupon('91000002');
+    await t.waitForJob(whatsapp.job_id);
+
+    const cancelled = await t.request('POST', `/api/message-jobs/${whatsapp.job_id}/cancel`, { token: adminToken });
+    assert.equal(cancelled.status, 200);
+
+    const again = await t.request('POST', `/api/message-jobs/${whatsapp.job_id}/cancel`, { token: adminToken });
+    assert.equal(again.status, 409);
+
+    const retried = await t.request('POST', `/api/message-jobs/${whatsapp.job_id}/retry`, { token: adminToken });
+    assert.equal(retried.status, 200);
+    assert.equal((await t.waitForJob(whatsapp.job_id)).status, 'sent');
+
+    assert.equal((await t.request('POST', '/api/message-jobs/999/cancel', { token: adminToken })).status, 404);
+  });
+
+  it('keeps the queue to admins', async () => {
+    const { body } = await t.request('GET', '/api/message-jobs?kind=coupon_whatsapp', { token: adminToken });
+    assert.equal(body.pagination.total, 2);
+    assert.deepEqual(body.counts, { sent: 2 });
+
+    const staff = await t.createUser(adminToken, { username: 'queue-staff' });
+    assert.equal((await t.request('GET', '/api/message-jobs', { token: staff.token })).status, 403);
+  });
+});
+
+describe('Twilio status webhook', () => {
+  let t;
+  let adminToken;
+  let coupon;
+  let messageSid;
+
+  // Posts a status callback, signed the way Twilio signs them unless a signature is given
+  const postStatus = (params, signature) => t.request('POST', '/api/webhooks/twilio/status', {
+    body: new URLSearchParams(params).toString(),
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'X-Twilio-Signature': signature || twilio.getExpectedTwilioSignature(TWILIO_AUTH_TOKEN, TWILIO_STATUS_CALLBACK_URL, params)
+    }
+  });
+
+  const couponStatus = async () => {
+    const { body } = await t.request('GET', `/api/coupons/${coupon.coupon_code}`, { token: adminToken });
+    return body.coupon;
+  };
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+    const { body } = await t.request('POST', '/api/coupons', {
+      token: adminToken,
+      body: { customer_name: 'Salma', mobile_number: '99000001', branch: 'Muscat' }
+    });
+    coupon = body.coupon;
+    await t.waitForJob(body.whatsapp.job_id);
+    messageSid = t.twilio.messages[0].sid;
+  });
+
+  after(() => t.close());
+
+  it('rejects unsigned and incomplete callbacks', async () => {
+    const unsigned = await postStatus({ MessageSid: messageSid, MessageStatus: 'delivered' }, 'forged');
+    assert.equal(unsigned.status, 403);
+
+    const incomplete = await postStatus({ MessageSid: messageSid });
+    assert.equal(incomplete.status, 400);
+    assert.equal((await couponStatus()).whatsapp_status, 'queued');
+  });
+
+  it('moves the coupon\'s delivery status forward only', async () => {
+    assert.equal((await postStatus({ MessageSid: messageSid, MessageStatus: 'delivered' })).status, 204);
+    assert.equal((await couponStatus()).whatsapp_status, 'delivered');
+
+    await postStatus({ MessageSid: messageSid, MessageStatus: 'read' });
+    await postStatus({ MessageSid: messageSid, MessageStatus: 'delivered' });
+    assert.equal((await couponStatus()).whatsapp_status, 'read');
+
+    const { body } = await t.request('GET', `/api/coupons/${coupon.id}/message-events`, { token: adminToken });
+    assert.deepEqual(body.events.map(event => event.status), ['queued', 'delivered', 'read', 'delivered']);
+  });
+
+  it('sends the coupon on the next channel when the WhatsApp message fails', async () => {
+    const resend = await t.request('POST', `/api/coupons/${coupon.id}/resend`, { token: adminToken });
+    await t.waitForJob(resend.body.job_id);
+    const resentSid = t.twilio.messages[1].sid;
+
+    assert.equal((await postStatus({ MessageSid: resentSid, MessageStatus: 'undelivered', ErrorCode: '63024' })).status, 204);
+    const fallbackJob = t.db.prepare('SELECT id, payload FROM message_jobs WHERE coupon_id = ? ORDER BY id DESC').get(coupon.id);
+    assert.notEqual(fallbackJob.id, resend.body.job_id);
+    assert.deepEqual(JSON.parse(fallbackJob.payload), { channels: ['sms', 'email'] });
+    assert.equal((await t.waitForJob(fallbackJob.id)).status, 'sent');
+
+    const sms = t.twilio.messages[2];
+    assert.equal(sms.to, '+96899000001');
+    assert.equal(sms.from, t.config.TWILIO_SMS_NUMBER);
+    const current = await couponStatus();
+    assert.equal(current.delivery_channel, 'sms');
+    assert.equal(current.whatsapp_sent, 1);
+
+    const { body } = await t.request('GET', `/api/coupons/${coupon.id}/message-events`, { token: adminToken });
+    const undelivered = body.events.find(event => event.message_sid === resentSid && event.status === 'undelivered');
+    assert.equal(undelivered.error_code, '63024');
+
+    // Callbacks for the earlier message no longer change the coupon or send it again
+    await postStatus({ MessageSid: messageSid, MessageStatus: 'failed' });
+    assert.equal((await couponStatus()).delivery_channel, 'sms');
+    assert.equal(t.db.prepare('SELECT COUNT(*) as count FROM message_jobs WHERE coupon_id = ?').get(coupon.id).count, 3);
+  });
+
+  it('marks the coupon unsent when the last channel fails too', async () => {
+    const smsSid = t.twilio.messages[2].sid;
+    await postStatus({ MessageSid: smsSid, MessageStatus: 'failed', ErrorCode: '30006' });
+
+    // Email is next, but the customer gave no address
+    const lastJob = t.db.prepare('SELECT id FROM message_jobs WHERE coupon_id = ? ORDER BY id DESC').get(coupon.id);
+    const job = await t.waitForJob(lastJob.id);
+    assert.equal(job.status, 'dead');
+    assert.equal(job.last_error, 'email: No email address');
+
+    const current = await couponStatus();
+    assert.equal(current.whatsapp_status, 'failed');
+    assert.equal(current.whatsapp_sent, 0);
+    assert.equal(t.twilio.messages.length, 3);
+  });
+});
@@ -0,0 +1,35 @@
+require('./helpers/quiet');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { runMigrations, migrationStatus } = require('../database');
+
+describe('migrations', () => {
+  it('brings coupons written by older versions up to date once', () => {
+    const db = new Database(':memory:');
+    runMigrations(db);
+
+    // Rows as the versions before campaigns and expiry dates left them
+    const staff = db.prepare("INSERT INTO users (username, password, name, role) VALUES ('staff1', 'x', 'Staff', 'staff')").run();
+    const addCoupon = db.prepare(`
+      INSERT INTO coupons (coupon_code, customer_name, mobile_number, branch, staff_id, created_at)
+      VALUES (?, 'Fatma', ?, 'Muscat', ?, '2025-01-10 09:00:00')
+    `);
+    addCoupon.run('EXPO-OLD1', '+968 9123 4567', staff.lastInsertRowid);
+    addCoupon.run('EXPO-OLD2', '12345', staff.lastInsertRowid);
+    db.prepare('DELETE FROM schema_migrations WHERE version = 5').run();
+
+    assert.deepEqual(runMigrations(db), ['005_legacy_coupon_data']);
+    const coupons = db.prepare('SELECT mobile_number, campaign_id, expires_at FROM coupons ORDER BY id').all();
+    const campaign = db.prepare('SELECT id, name, validity_months FROM campaigns').get();
+    assert.equal(campaign.name, 'IDF EXPO 2026');
+    assert.deepEqual(coupons, [
+      { mobile_number: '91234567', campaign_id: campaign.id, expires_at: '2025-05-10 09:00:00' },
+      { mobile_number: '12345', campaign_id: campaign.id, expires_at: '2025-05-10 09:00:00' }
+    ]);
+
+    assert.deepEqual(runMigrations(db), []);
+    assert.ok(migrationStatus(db).every(migration => migration.applied_at));
+    db.close();
+  });
+});
@@ -0,0 +1,124 @@
+require('./helpers/quiet');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadConfig } = require('../config');
+const {
+  createOdooClient, OdooError, OdooUnavailableError, OdooAccessError, OdooValidationError
+} = require('../lib/odooClient');
+const { startFakeOdoo } = require('./helpers/fakeOdoo');
+
+describe('Odoo client', () => {
+  let odoo;
+  let client;
+
+  const clientFor = (env = {}) => createOdooClient(loadConfig({
+    ODOO_URL: odoo.url,
+    ...odoo.config,
+    ODOO_TIMEOUT_MS: '200',
+    ODOO_RETRY_DELAY_MS: '1',
+    ...env
+  }));
+
+  const countPartners = () => client.execute('res.partner', 'search_count', [[]]);
+
+  before(async () => {
+    odoo = await startFakeOdoo();
+    client = clientFor();
+  });
+
+  after(() => odoo.close());
+
+  it('logs in once and reuses the uid', async () => {
+    await Promise.all([countPartners(), countPartners()]);
+    await client.execute('res.partner', 'create', [{ name: 'FATMA 91234567 #IDF2026' }]);
+    assert.equal(await countPartners(), 1);
+    assert.equal(odoo.authentications(), 1);
+  });
+
+  it('logs in again when Odoo no longer accepts the uid', async () => {
+    odoo.expireSession();
+    assert.equal(await countPartners(), 1);
+    assert.equal(odoo.authentications(), 2);
+  });
+
+  it('retries reads after server errors and timeouts', async () => {
+    const before = odoo.calls.length;
+    odoo.failHttp(502, 2);
+    assert.equal(await countPartners(), 1);
+    assert.equal(odoo.calls.length - before, 3);
+
+    odoo.delayNext(500);
+    assert.equal(await countPartners(), 1);
+  });
+
+  it('gives up after ODOO_RETRIES attempts', async () => {
+    odoo.failHttp(502, 3);
+    await assert.rejects(countPartners(), (error) => {
+      assert.ok(error instanceof OdooUnavailableError);
+      assert.equal(error.status, 503);
+      assert.equal(error.message, 'Odoo unavailable (HTTP 502)');
+      return true;
+    });
+  });
+
+  it('does not repeat a write Odoo may already have made', async () => {
+    odoo.failHttp(500);
+    await assert.rejects(client.execute('res.partner', 'create', [{ name: 'SAID' }]), OdooUnavailableError);
+    assert.deepEqual(odoo.methodCalls().slice(-1), ['res.partner.create']);
+
+    odoo.delayNext(500);
+    await assert.rejects(client.execute('res.partner', 'create', [{ name: 'SAID' }]), OdooUnavailableError);
+
+    // 503 means Odoo turned the request away, so it is safe to send again
+    odoo.failHttp(503);
+    assert.ok(await client.execute('res.partner', 'create', [{ name: 'SAID' }]));
+  });
+
+  it('retries writes Odoo could not have received', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${closed.address().port}`;
+    await new Promise(resolve => closed.close(resolve));
+
+    await assert.rejects(clientFor({ ODOO_URL: url }).execute('res.partner', 'create', [{}]), {
+      name: 'OdooUnavailableError',
+      message: 'Odoo unavailable (ECONNREFUSED)'
+    });
+  });
+
+  it('maps Odoo faults to typed errors', async () => {
+    odoo.failNext('res.partner', 'create', { name: 'odoo.exceptions.ValidationError', message: 'Invalid branch' });
+    await assert.rejects(client.execute('res.partner', 'create', [{}]), (error) => {
+      assert.ok(error instanceof OdooValidationError);
+      assert.equal(error.status, 422);
+      assert.equal(error.message, 'Invalid branch');
+      assert.equal(error.fault, 'odoo.exceptions.ValidationError');
+      return true;
+    });
+
+    odoo.failNext('mail.message', 'search_read', { name: 'odoo.exceptions.AccessError', message: 'Not allowed' });
+    await assert.rejects(client.execute('mail.message', 'search_read', [[]]), (error) => {
+      assert.ok(error instanceof OdooAccessError);
+      assert.equal(error.status, 502);
+      return true;
+    });
+
+    await assert.rejects(client.execute('res.partner', 'unlink', [[1]]), (error) => {
+      assert.equal(error.constructor, OdooError);
+      assert.equal(error.fault, 'builtins.AttributeError');
+      return true;
+    });
+  });
+
+  it('reports rejected credentials and missing settings', async () => {
+    await assert.rejects(clientFor({ ODOO_API_KEY: 'rotated' }).authenticate(), {
+      name: 'OdooAccessError',
+      message: 'Odoo authentication failed'
+    });
+    await assert.rejects(clientFor({ ODOO_DATABASE: '' }).authenticate(), {
+      name: 'OdooUnavailableError',
+      message: 'Odoo credentials not configured'
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startTestApp } = require('./helpers/testApp');
+
+describe('public endpoints', () => {
+  let t;
+  let coupon;
+
+  before(async () => {
+    t = await startTestApp();
+    const adminToken = await t.loginAdmin();
+    const { body } = await t.request('POST', '/api/coupons', {
+      token: adminToken,
+      body: { customer_name: 'Ahmed  Al Balushi', mobile_number: '96000001', branch: 'Muscat' }
+    });
+    coupon = body.coupon;
+    await t.waitForJob(body.whatsapp.job_id);
+  });
+
+  after(() => t.close());
+
+  it('reports the health of the server', async () => {
+    const { status, body } = await t.request('GET', '/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+  });
+
+  it('checks a coupon without a login, masking the customer name', async () => {
+    const { status, body } = await t.request('GET', `/api/public/coupons/${coupon.coupon_code.toLowerCase()}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.coupon, {
+      coupon_code: coupon.coupon_code,
+      customer_name: 'A*** A*** B***',
+      expires_at: coupon.expires_at,
+      campaign_name: 'IDF EXPO 2026',
+      discount_percent: 15,
+      status: 'active'
+    });
+
+    const mistyped = `${coupon.coupon_code.slice(0, -1)}${coupon.coupon_code.endsWith('A') ? 'B' : 'A'}`;
+    assert.equal((await t.request('GET', `/api/public/coupons/${mistyped}`)).status, 400);
+    assert.equal((await t.request('GET', '/api/public/coupons/UNKNOWN')).status, 404);
+  });
+
+  it('publishes the key that verifies coupon tokens', async () => {
+    const { body } = await t.request('GET', '/api/public/coupon-signing-key');
+    assert.equal(body.algorithm, 'Ed25519');
+
+    const [payload, signature] = t.ctx.signCouponToken(coupon).split('.');
+    const publicKey = crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: body.public_key }, format: 'jwk' });
+    assert.ok(crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64url')));
+    assert.equal(JSON.parse(Buffer.from(payload, 'base64url')).c, coupon.coupon_code);
+  });
+});
+
+describe('client addresses behind a proxy', () => {
+  // The public coupon check allows 30 requests per 15 minutes from each address
+  const checkCouponsFrom = async (t, address, times) => {
+    let status;
+    for (let i = 0; i < times; i++) {
+      ({ status } = await t.request('GET', '/api/public/coupons/UNKNOWN', {
+        headers: { 'X-Forwarded-For': address }
+      }));
+    }
+    return status;
+  };
+
+  it('limits each forwarded client on its own when TRUST_PROXY is set', async () => {
+    const t = await startTestApp({ TRUST_PROXY: '1' });
+    try {
+      assert.equal(await checkCouponsFrom(t, '203.0.113.1', 31), 429);
+      assert.equal(await checkCouponsFrom(t, '203.0.113.2', 1), 404);
+
+      await t.request('POST', '/api/auth/login', {
+        body: { username: 'admin', password: 'wrong' },
+        headers: { 'X-Forwarded-For': '203.0.113.3' }
+      });
+      assert.equal(t.db.prepare('SELECT ip FROM login_attempts').get().ip, '203.0.113.3');
+    } finally {
+      await t.close();
+    }
+  });
+
+  it('ignores X-Forwarded-For from clients when TRUST_PROXY is unset', async () => {
+    const t = await startTestApp();
+    try {
+      assert.equal(await checkCouponsFrom(t, '203.0.113.1', 30), 404);
+      assert.equal(await checkCouponsFrom(t, '203.0.113.2', 1), 429);
+    } finally {
+      await t.close();
+    }
+  });
+});
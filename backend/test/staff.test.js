@@ -0,0 +1,118 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, STAFF_PASSWORD } = require('./helpers/testApp');
+
+describe('staff', () => {
+  let t;
+  let adminToken;
+
+  before(async () => {
+    t = await startTestApp();
+    adminToken = await t.loginAdmin();
+  });
+
+  after(() => t.close());
+
+  it('creates staff members with a valid role and unique username', async () => {
+    const missing = await t.request('POST', '/api/staff', { token: adminToken, body: { username: 'sara' } });
+    assert.equal(missing.status, 400);
+
+    const badRole = await t.request('POST', '/api/staff', {
+      token: adminToken,
+      body: { username: 'sara', password: STAFF_PASSWORD, name: 'Sara', role: 'owner' }
+    });
+    assert.equal(badRole.status, 400);
+
+    const created = await t.request('POST', '/api/staff', {
+      token: adminToken,
+      body: { username: 'sara', password: STAFF_PASSWORD, name: 'Sara', role: 'supervisor' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.staff.role, 'supervisor');
+
+    const duplicate = await t.request('POST', '/api/staff', {
+      token: adminToken,
+      body: { username: 'sara', password: STAFF_PASSWORD, name: 'Sara Again' }
+    });
+    assert.equal(duplicate.status, 400);
+    assert.equal(duplicate.body.error, 'Username already exists');
+
+    const { body } = await t.request('GET', '/api/staff', { token: adminToken });
+    const sara = body.staff.find(member => member.username === 'sara');
+    assert.deepEqual(sara.branches, []);
+  });
+
+  it('keeps staff management to admins', async () => {
+    const staff = await t.createUser(adminToken, { username: 'omar' });
+
+    assert.equal((await t.request('GET', '/api/staff', { token: staff.token })).status, 403);
+    const create = await t.request('POST', '/api/staff', {
+      token: staff.token,
+      body: { username: 'x', password: STAFF_PASSWORD, name: 'X' }
+    });
+    assert.equal(create.status, 403);
+  });
+
+  it('changes roles, but not your own', async () => {
+    const { id } = await t.createUser(adminToken, { username: 'layla' });
+
+    const invalid = await t.request('PATCH', `/api/staff/${id}/role`, { token: adminToken, body: { role: 'boss' } });
+    assert.equal(invalid.status, 400);
+
+    const changed = await t.request('PATCH', `/api/staff/${id}/role`, { token: adminToken, body: { role: 'viewer' } });
+    assert.equal(changed.status, 200);
+    const me = await t.login('layla', STAFF_PASSWORD);
+    assert.equal(me.user.role, 'viewer');
+
+    const own = await t.request('PATCH', '/api/staff/1/role', { token: adminToken, body: { role: 'staff' } });
+    assert.equal(own.status, 400);
+
+    const missing = await t.request('PATCH', '/api/staff/999/role', { token: adminToken, body: { role: 'staff' } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('assigns branches', async () => {
+    const { id, token } = await t.createUser(adminToken, { username: 'khalid' });
+
+    const invalid = await t.request('PATCH', `/api/staff/${id}/branches`, { token: adminToken, body: { branches: 'Muscat' } });
+    assert.equal(invalid.status, 400);
+
+    const assigned = await t.request('PATCH', `/api/staff/${id}/branches`, {
+      token: adminToken,
+      body: { branches: ['Sohar', ' Muscat', 'Sohar'] }
+    });
+    assert.equal(assigned.status, 200);
+    assert.deepEqual(assigned.body.branches, ['Muscat', 'Sohar']);
+
+    const me = await t.request('GET', '/api/auth/me', { token });
+    assert.deepEqual(me.body.user.branches, ['Muscat', 'Sohar']);
+  });
+
+  it('deactivates staff and ends their sessions', async () => {
+    const { id, token } = await t.createUser(adminToken, { username: 'huda' });
+
+    const off = await t.request('PATCH', `/api/staff/${id}/toggle`, { token: adminToken });
+    assert.equal(off.status, 200);
+    assert.equal(off.body.active, false);
+    assert.equal((await t.request('GET', '/api/auth/me', { token })).status, 401);
+    assert.equal((await t.request('POST', '/api/auth/login', { body: { username: 'huda', password: STAFF_PASSWORD } })).status, 401);
+
+    const on = await t.request('PATCH', `/api/staff/${id}/toggle`, { token: adminToken });
+    assert.equal(on.body.active, true);
+
+    const self = await t.request('PATCH', '/api/staff/1/toggle', { token: adminToken });
+    assert.equal(self.status, 400);
+  });
+
+  it('resets passwords and ends the old sessions', async () => {
+    const { id, token } = await t.createUser(adminToken, { username: 'nasser' });
+
+    const short = await t.request('PATCH', `/api/staff/${id}/password`, { token: adminToken, body: { password: '12' } });
+    assert.equal(short.status, 400);
+
+    const reset = await t.request('PATCH', `/api/staff/${id}/password`, { token: adminToken, body: { password: 'fresh-pass' } });
+    assert.equal(reset.status, 200);
+    assert.equal((await t.request('GET', '/api/auth/me', { token })).status, 401);
+    assert.ok((await t.login('nasser', 'fresh-pass')).token);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Service worker
+ * Caches the app shell and every built bundle so the entry form opens without a network.
+ * API calls are never cached; offline entries live in the IndexedDB outbox.
+ */
+
+// Filled in by the build with the hashed bundle names (precacheBuiltAssets in vite.config.js);
+// the dev server has none
+const BUILD = self.__BUILD__ || { id: 'dev', assets: [] };
+
+const CACHE_NAME = `idf-expo-${BUILD.id}`;
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg', ...BUILD.assets];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // Pages: network first so a new deploy is picked up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put('/index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Built assets have hashed names, so a cached copy is always current
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
+
+// Background Sync (Chromium): wake an open tab to flush the outbox
+self.addEventListener('sync', (event) => {
+  if (event.tag !== 'outbox') return;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' })
+      .then((clients) => clients.forEach((client) => client.postMessage('sync-outbox')))
+  );
+});
@@ -4,13 +4,55 @@ import {
   Ticket, LogOut, Users, BarChart3, Download, RefreshCw, 
   Search, ChevronRight, Menu, X, Check, AlertCircle,
   Smartphone, User, Building, Send, Eye, EyeOff, Plus,
-  Lock, ToggleLeft, ToggleRight
+  Lock, ToggleLeft, ToggleRight, ScanLine, Receipt, CalendarClock,
+  Megaphone, Pencil, CloudOff, MessageSquare, Ban, Mail, Languages, FileText, Trash2, Camera, QrCode,
+  Tablet, KeyRound, History, ChevronLeft
 } from 'lucide-react';
 import bellaLogo from './assets/bella_logo.webp';
+import {
+  OUTBOX_EVENT, newIdempotencyKey, addToOutbox, listOutbox, removeFromOutbox,
+  countOutbox, requestBackgroundSync, addOfflineRedemption, listOfflineRedemptions, removeOfflineRedemption
+} from './outbox';
+import { parseCouponScan, cacheSigningKey, verifyCouponToken } from './couponToken';
 
 // API Configuration
 const API_URL = import.meta.env.VITE_API_URL || '';
 
+// Branches come from Odoo as { id, name } or from BRANCHES as plain names
+const branchLabel = (branch) => (typeof branch === 'string' ? branch : branch.name);
+
+// Coupon delivery channels, in the names campaigns use for channel_order
+const channelLabels = { whatsapp: 'WhatsApp', sms: 'SMS', email: 'Email' };
+
+// Languages a customer can receive their coupon in
+const messageLanguages = [
+  { id: 'en', label: 'English' },
+  { id: 'ar', label: 'العربية' }
+];
+
+// Roles an admin can give, and what each means; the server decides what each may do
+const staffRoles = [
+  { id: 'staff', label: 'Staff', description: 'Creates coupons and sees their own entries' },
+  { id: 'supervisor', label: 'Supervisor', description: 'Also sees and resends coupons from their assigned branches' },
+  { id: 'cashier', label: 'Cashier', description: 'Looks up and redeems coupons only' },
+  { id: 'viewer', label: 'Viewer', description: 'Read-only dashboard and coupon list' },
+  { id: 'admin', label: 'Admin', description: 'Everything, including staff, campaigns and exports' }
+];
+
+const roleBadgeStyles = {
+  admin: 'bg-brand-100 text-brand-700',
+  supervisor: 'bg-sky-100 text-sky-700',
+  staff: 'bg-emerald-100 text-emerald-700',
+  cashier: 'bg-amber-100 text-amber-700',
+  viewer: 'bg-dark-800 text-dark-300'
+};
+
+// Permissions come with the user from the server (see ROLE_PERMISSIONS there)
+const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+// Registered shared devices sign the current user out after this many idle minutes
+const DEVICE_LOCK_MINUTES = 5;
+
 // Auth Context
 const AuthContext = createContext(null);
 
@@ -23,6 +65,7 @@ const useAuth = () => {
 // API Helper
 const api = {
   token: null,
+  refreshing: null,
   
   setToken(token) {
     this.token = token;
@@ -30,8 +73,15 @@ const api = {
       localStorage.setItem('token', token);
     } else {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
     }
   },
+
+  setSession({ token, refresh_token }) {
+    this.setToken(token);
+    localStorage.setItem('refreshToken', refresh_token);
+  },
   
   getToken() {
     if (!this.token) {
@@ -40,9 +90,38 @@ const api = {
     return this.token;
   },
   
-  async request(endpoint, options = {}) {
+  // Trades the refresh token for a new pair; resolves false when the session is over.
+  // Concurrent calls share one request, since each refresh token works only once.
+  refreshSession() {
+    this.refreshing ||= (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      const response = await fetch(`${API_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refresh_token: refreshToken })
+      });
+      if (response.ok) {
+        this.setSession(await response.json());
+        return true;
+      }
+
+      // Another tab rotated the token first and stored the new pair
+      if (localStorage.getItem('refreshToken') !== refreshToken && localStorage.getItem('token')) {
+        this.token = localStorage.getItem('token');
+        return true;
+      }
+      return false;
+    })().finally(() => {
+      this.refreshing = null;
+    });
+    return this.refreshing;
+  },
+
+  async request(endpoint, options = {}, retried = false) {
     const token = this.getToken();
-    const isLoginRequest = endpoint.startsWith('/api/auth/login');
+    const isLoginRequest = ['/api/auth/login', '/api/auth/pin-'].some(path => endpoint.startsWith(path));
     const headers = {
       'Content-Type': 'application/json',
       ...(!isLoginRequest && token && { Authorization: `Bearer ${token}` }),
@@ -54,7 +133,10 @@ const api = {
       headers
     });
     
-    if ((response.status === 401 || response.status === 403) && token && !isLoginRequest) {
+    if (response.status === 401 && token && !isLoginRequest) {
+      if (!retried && await this.refreshSession()) {
+        return this.request(endpoint, options, true);
+      }
       this.setToken(null);
       window.location.reload();
       throw new Error('Session expired');
@@ -63,14 +145,17 @@ const api = {
     const data = options.raw ? await response.blob() : await response.json();
     
     if (!response.ok) {
-      throw new Error(data.error || 'Request failed');
+      const error = new Error(data.error || 'Request failed');
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
     
     return data;
   },
   
   get: (endpoint) => api.request(endpoint),
-  post: (endpoint, body) => api.request(endpoint, { method: 'POST', body: JSON.stringify(body) }),
+  post: (endpoint, body, options = {}) => api.request(endpoint, { ...options, method: 'POST', body: JSON.stringify(body) }),
   patch: (endpoint, body) => api.request(endpoint, { method: 'PATCH', body: JSON.stringify(body) }),
   delete: (endpoint) => api.request(endpoint, { method: 'DELETE' }),
   download: (endpoint) => api.request(endpoint, { raw: true })
@@ -80,46 +165,206 @@ const api = {
 function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // { id, name, token } when an admin registered this browser for PIN login
+  const [device, setDevice] = useState(() => JSON.parse(localStorage.getItem('device') || 'null'));
 
   useEffect(() => {
     const token = localStorage.getItem('token');
     if (token) {
       api.setToken(token);
       api.get('/api/auth/me')
-        .then(data => setUser(data.user))
-        .catch(() => api.setToken(null))
+        .then(data => {
+          setUser(data.user);
+          localStorage.setItem('user', JSON.stringify(data.user));
+        })
+        .catch((error) => {
+          // Opened without a network: keep the session so entries can still be queued
+          const cachedUser = localStorage.getItem('user');
+          if (!error.status && cachedUser) {
+            setUser(JSON.parse(cachedUser));
+          } else {
+            api.setToken(null);
+          }
+        })
         .finally(() => setLoading(false));
     } else {
       setLoading(false);
     }
   }, []);
 
-  const login = async (username, password) => {
-    const data = await api.post('/api/auth/login', { username, password });
-    api.setToken(data.token);
+  const startSession = (data) => {
+    api.setSession(data);
+    localStorage.setItem('user', JSON.stringify(data.user));
     setUser(data.user);
     return data.user;
   };
 
-  const logout = () => {
+  const login = async (username, password) => startSession(await api.post('/api/auth/login', { username, password }));
+
+  const pinLogin = async (userId, pin) => startSession(
+    await api.post('/api/auth/pin-login', { device_token: device.token, user_id: userId, pin })
+  );
+
+  const registerDevice = async (name) => {
+    const data = await api.post('/api/devices', { name });
+    const registered = { ...data.device, token: data.device_token };
+    localStorage.setItem('device', JSON.stringify(registered));
+    setDevice(registered);
+  };
+
+  const forgetDevice = () => {
+    localStorage.removeItem('device');
+    setDevice(null);
+  };
+
+  // Reloads the user, e.g. after a required password change
+  const refreshUser = async () => {
+    const data = await api.get('/api/auth/me');
+    localStorage.setItem('user', JSON.stringify(data.user));
+    setUser(data.user);
+  };
+
+  // Ends the session on the server too; { everywhere } ends every session of this user
+  const logout = async ({ everywhere = false } = {}) => {
+    try {
+      await api.post(everywhere ? '/api/auth/logout-all' : '/api/auth/logout');
+    } catch (error) {
+      // Offline or already ended: forgetting the tokens here is what matters
+    }
     api.setToken(null);
     setUser(null);
   };
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, loading }}>
+    <AuthContext.Provider
+      value={{ user, login, pinLogin, logout, refreshUser, loading, device, registerDevice, forgetDevice }}
+    >
       {children}
     </AuthContext.Provider>
   );
 }
 
+// No connection, server trouble, an ended session or a rate limit: every later entry
+// would fail the same way, so the sync stops and tries again later
+const isOutboxUnreachable = (error) => (
+  !error.status || error.status >= 500 || [401, 408, 429].includes(error.status)
+);
+
+// A 409 without duplicate: an earlier attempt with this key is still being processed
+const isEntryInProgress = (error) => error.status === 409 && !error.data?.duplicate;
+
+// Offline outbox: pending count, and automatic sync when the network returns.
+// Only entries userId captured are counted and sent, under their own session
+function useOutbox(userId, onSynced) {
+  const [pending, setPending] = useState(0);
+  const syncingRef = useRef(false);
+  // Keys of entries already reported as still being processed, so each is reported once
+  const reportedRef = useRef(new Set());
+
+  const refreshPending = () => {
+    countOutbox(userId).then(setPending).catch(() => setPending(0));
+  };
+
+  const sync = async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+    syncingRef.current = true;
+    let synced = 0;
+
+    try {
+      const entries = await listOutbox(userId);
+      for (const entry of entries) {
+        try {
+          await api.post('/api/coupons', entry.data, {
+            headers: { 'Idempotency-Key': entry.idempotency_key }
+          });
+          await removeFromOutbox(entry.idempotency_key);
+          synced += 1;
+        } catch (error) {
+          if (isOutboxUnreachable(error)) break;
+
+          // Kept for a later sync; the entries behind it go on
+          if (isEntryInProgress(error)) {
+            if (!reportedRef.current.has(entry.idempotency_key)) {
+              reportedRef.current.add(entry.idempotency_key);
+              toast(`Offline entry for ${entry.data.customer_name} is still being processed. It will be retried.`);
+            }
+            continue;
+          }
+
+          // Refused for its data, a duplicate customer, or a branch the user is not assigned
+          // to; sending it again can never succeed
+          await removeFromOutbox(entry.idempotency_key);
+          toast.error(`Offline entry for ${entry.data.customer_name} rejected: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      console.error('Outbox sync failed', error);
+    } finally {
+      syncingRef.current = false;
+      refreshPending();
+    }
+
+    if (synced > 0) {
+      toast.success(`${synced} offline ${synced === 1 ? 'entry' : 'entries'} sent`);
+      onSynced?.();
+    }
+  };
+
+  useEffect(() => {
+    const handleWorkerMessage = (event) => {
+      if (event.data === 'sync-outbox') sync();
+    };
+
+    refreshPending();
+    sync();
+    window.addEventListener('online', sync);
+    window.addEventListener(OUTBOX_EVENT, refreshPending);
+    navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+    const retryTimer = setInterval(sync, 60 * 1000);
+
+    return () => {
+      window.removeEventListener('online', sync);
+      window.removeEventListener(OUTBOX_EVENT, refreshPending);
+      navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
+      clearInterval(retryTimer);
+    };
+  }, [userId]);
+
+  return { pending, sync };
+}
+
+// On a registered device, ends the session after DEVICE_LOCK_MINUTES without a touch or key press.
+// Checked on an interval rather than a single timeout so time asleep counts too.
+function useAutoLock(enabled, onLock) {
+  useEffect(() => {
+    if (!enabled) return;
+    let lastActivity = Date.now();
+    const markActive = () => {
+      lastActivity = Date.now();
+    };
+    const activityEvents = ['pointerdown', 'keydown', 'wheel'];
+
+    activityEvents.forEach(name => window.addEventListener(name, markActive, { passive: true }));
+    const lockTimer = setInterval(() => {
+      if (Date.now() - lastActivity >= DEVICE_LOCK_MINUTES * 60 * 1000) onLock();
+    }, 15 * 1000);
+
+    return () => {
+      activityEvents.forEach(name => window.removeEventListener(name, markActive));
+      clearInterval(lockTimer);
+    };
+  }, [enabled]);
+}
+
 // Login Screen
 function LoginScreen() {
-  const { login } = useAuth();
+  const { login, device } = useAuth();
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [usePassword, setUsePassword] = useState(false);
+  const showPinLogin = device && !usePassword;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -148,67 +393,82 @@ function LoginScreen() {
             <img src={bellaLogo} alt="IDF EXPO 2026 logo" className="w-14 h-14 object-contain" />
           </div>
           <h1 className="font-display text-3xl font-bold gradient-text">IDF EXPO 2026</h1>
-          <p className="text-dark-400 mt-2">Sign in to continue</p>
+          <p className="text-dark-400 mt-2">{showPinLogin ? `Who is at ${device.name}?` : 'Sign in to continue'}</p>
         </div>
 
-        {/* Login Form */}
-        <form onSubmit={handleSubmit} className="glass rounded-2xl p-6 space-y-5">
-          <div className="space-y-2">
-            <label htmlFor="login-username" className="text-sm font-medium text-dark-300">Username</label>
-            <div className="relative">
-              <User className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
-              <input
-                id="login-username"
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
-                placeholder="Enter username"
-                autoComplete="username"
-              />
-            </div>
-          </div>
+        {showPinLogin ? (
+          <PinLogin onUsePassword={() => setUsePassword(true)} />
+        ) : (
+          <>
+            {/* Login Form */}
+            <form onSubmit={handleSubmit} className="glass rounded-2xl p-6 space-y-5">
+              <div className="space-y-2">
+                <label htmlFor="login-username" className="text-sm font-medium text-dark-300">Username</label>
+                <div className="relative">
+                  <User className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="login-username"
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                    placeholder="Enter username"
+                    autoComplete="username"
+                  />
+                </div>
+              </div>
 
-          <div className="space-y-2">
-            <label htmlFor="login-password" className="text-sm font-medium text-dark-300">Password</label>
-            <div className="relative">
-              <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
-              <input
-                id="login-password"
-                type={showPassword ? 'text' : 'password'}
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-12 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
-                placeholder="Enter password"
-                autoComplete="current-password"
-              />
+              <div className="space-y-2">
+                <label htmlFor="login-password" className="text-sm font-medium text-dark-300">Password</label>
+                <div className="relative">
+                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="login-password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-12 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                    placeholder="Enter password"
+                    autoComplete="current-password"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-4 top-1/2 -translate-y-1/2 text-dark-500 hover:text-dark-300 focus-ring rounded-full"
+                    aria-label={showPassword ? 'Hide password' : 'Show password'}
+                    aria-pressed={showPassword}
+                  >
+                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-gradient-to-r from-brand-500 to-brand-600 hover:from-brand-600 hover:to-brand-700 text-white font-semibold py-3.5 rounded-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ripple shadow-lg shadow-brand-500/25 focus-ring"
+              >
+                {loading ? (
+                  <span className="flex items-center justify-center gap-2">
+                    <RefreshCw className="w-5 h-5 animate-spin" />
+                    Signing in...
+                  </span>
+                ) : (
+                  'Sign In'
+                )}
+              </button>
+            </form>
+            {device && (
               <button
                 type="button"
-                onClick={() => setShowPassword(!showPassword)}
-                className="absolute right-4 top-1/2 -translate-y-1/2 text-dark-500 hover:text-dark-300 focus-ring rounded-full"
-                aria-label={showPassword ? 'Hide password' : 'Show password'}
-                aria-pressed={showPassword}
+                onClick={() => setUsePassword(false)}
+                className="w-full mt-4 text-sm text-brand-600 hover:underline focus-ring rounded-lg"
               >
-                {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                Use a PIN instead
               </button>
-            </div>
-          </div>
-
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full bg-gradient-to-r from-brand-500 to-brand-600 hover:from-brand-600 hover:to-brand-700 text-white font-semibold py-3.5 rounded-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ripple shadow-lg shadow-brand-500/25 focus-ring"
-          >
-            {loading ? (
-              <span className="flex items-center justify-center gap-2">
-                <RefreshCw className="w-5 h-5 animate-spin" />
-                Signing in...
-              </span>
-            ) : (
-              'Sign In'
             )}
-          </button>
-        </form>
+          </>
+        )}
 
         <p className="text-center text-dark-500 text-sm mt-6">
           IDF EXPO 2026 Coupon Distribution System
@@ -218,15 +478,154 @@ function LoginScreen() {
   );
 }
 
+// Quick login on a registered device: pick your name, then enter your PIN
+function PinLogin({ onUsePassword }) {
+  const { device, pinLogin, forgetDevice } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [pin, setPin] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [listLoading, setListLoading] = useState(true);
+
+  useEffect(() => {
+    loadUsers();
+  }, []);
+
+  const loadUsers = async () => {
+    setListLoading(true);
+    try {
+      const data = await api.post('/api/auth/pin-users', { device_token: device.token });
+      setUsers(data.users);
+    } catch (error) {
+      if (error.status === 401) {
+        forgetDevice();
+        toast.error('This device is no longer registered for PIN login');
+      } else {
+        toast.error('Failed to load staff list');
+      }
+    } finally {
+      setListLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!/^\d{4,6}$/.test(pin)) {
+      toast.error('Please enter your 4 to 6 digit PIN');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await pinLogin(selected.id, pin);
+      toast.success(`Welcome, ${selected.name}!`);
+    } catch (error) {
+      setPin('');
+      toast.error(error.message || 'Login failed');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="glass rounded-2xl p-6 space-y-5">
+      {selected ? (
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-xl bg-emerald-100 flex items-center justify-center">
+              <User className="w-6 h-6 text-emerald-700" />
+            </div>
+            <p className="font-semibold text-lg">{selected.name}</p>
+          </div>
+          <div className="space-y-2">
+            <label htmlFor="pin-login-pin" className="text-sm font-medium text-dark-300">PIN</label>
+            <div className="relative">
+              <KeyRound className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+              <input
+                id="pin-login-pin"
+                type="password"
+                inputMode="numeric"
+                maxLength={6}
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 text-xl tracking-[0.5em] placeholder-dark-500 placeholder:tracking-normal placeholder:text-base focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                placeholder="Enter PIN"
+                autoComplete="off"
+                autoFocus
+              />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => {
+                setSelected(null);
+                setPin('');
+              }}
+              className="flex-1 py-3.5 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+            >
+              Back
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 bg-gradient-to-r from-brand-500 to-brand-600 hover:from-brand-600 hover:to-brand-700 text-white font-semibold py-3.5 rounded-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-brand-500/25 focus-ring"
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="grid grid-cols-2 gap-3" role="group" aria-label="Choose your name">
+          {users.map(member => (
+            <button
+              key={member.id}
+              onClick={() => setSelected(member)}
+              className="flex flex-col items-center gap-2 p-4 rounded-xl border border-dark-700 bg-white/70 hover:border-brand-500 hover:bg-brand-50 transition-colors focus-ring"
+            >
+              <User className="w-6 h-6 text-dark-400" />
+              <span className="font-medium text-center">{member.name}</span>
+            </button>
+          ))}
+          {users.length === 0 && !listLoading && (
+            <p className="col-span-2 text-center text-sm text-dark-400 py-4">
+              Nobody has set a PIN yet. Sign in with your password, then set one under Change Password.
+            </p>
+          )}
+          {listLoading && (
+            <RefreshCw className="col-span-2 w-6 h-6 text-brand-500 animate-spin mx-auto my-4" />
+          )}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={onUsePassword}
+        className="w-full text-sm text-brand-600 hover:underline focus-ring rounded-lg"
+      >
+        Sign in with a password instead
+      </button>
+    </div>
+  );
+}
+
 // Staff Entry Form
 function EntryForm() {
-  const { user, logout } = useAuth();
+  const { user, logout, device } = useAuth();
   const [branches, setBranches] = useState([]);
-  const [formData, setFormData] = useState({ customer_name: '', mobile_number: '', branch: '' });
+  const [formData, setFormData] = useState({ customer_name: '', mobile_number: '', customer_email: '', language: 'en', branch: '' });
   const [loading, setLoading] = useState(false);
   const [lastCoupon, setLastCoupon] = useState(null);
+  const [showCouponImage, setShowCouponImage] = useState(false);
+  const [duplicateCoupon, setDuplicateCoupon] = useState(null);
+  const [resendLoading, setResendLoading] = useState(false);
   const [stats, setStats] = useState({ today: 0, total: 0 });
   const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const viewItems = [
+    { id: 'entry', icon: Send, label: 'New Coupon', permission: 'coupons:create' },
+    { id: 'entries', icon: Ticket, label: user.role === 'supervisor' ? 'Branch' : 'My Entries', permission: 'coupons:view' },
+    { id: 'redeem', icon: ScanLine, label: 'Redeem', permission: 'coupons:redeem' }
+  ].filter(item => can(user, item.permission));
+  const [view, setView] = useState(viewItems[0]?.id);
   const normalizeOmanMobile = (value) => {
     let cleaned = value.replace(/\D/g, '');
 
@@ -248,21 +647,28 @@ function EntryForm() {
 
   useEffect(() => {
     loadBranches();
-    loadStats();
+    if (can(user, 'stats:view')) loadStats();
   }, []);
 
   const loadBranches = async () => {
+    let branchList;
     try {
       const data = await api.get('/api/branches');
-      setBranches(data.branches);
-      if (data.branches.length > 0 && !formData.branch) {
-        setFormData(prev => ({ ...prev, branch: data.branches[0] }));
-      }
+      branchList = data.branches;
+      localStorage.setItem('branches', JSON.stringify(branchList));
     } catch (error) {
       console.error('Failed to load branches');
+      branchList = JSON.parse(localStorage.getItem('branches') || '[]');
+    }
+
+    setBranches(branchList);
+    if (branchList.length > 0 && !formData.branch) {
+      setFormData(prev => ({ ...prev, branch: branchLabel(branchList[0]) }));
     }
   };
 
+  const outbox = useOutbox(user.id, () => loadStats());
+
   const loadStats = async () => {
     try {
       const today = new Date().toISOString().split('T')[0];
@@ -290,30 +696,123 @@ function EntryForm() {
       return;
     }
     
+    if (formData.customer_email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.customer_email.trim())) {
+      toast.error('Please enter a valid email address or leave it empty');
+      return;
+    }
+
     if (!formData.branch) {
       toast.error('Please select a branch');
       return;
     }
 
+    const entry = { ...formData };
+    const idempotencyKey = newIdempotencyKey();
+
+    const saveOffline = async () => {
+      try {
+        await addToOutbox({
+          idempotency_key: idempotencyKey,
+          data: entry,
+          captured_by: user.id,
+          queued_at: new Date().toISOString()
+        });
+        requestBackgroundSync();
+        setLastCoupon(null);
+        setFormData(prev => ({ ...prev, customer_name: '', mobile_number: '', customer_email: '', language: 'en' }));
+        toast.success('Saved offline. Coupon will be sent when back online.', { icon: '📥' });
+      } catch (error) {
+        toast.error('No connection and could not save offline');
+      }
+    };
+
     setLoading(true);
     try {
-      const data = await api.post('/api/coupons', formData);
+      if (!navigator.onLine) {
+        await saveOffline();
+        return;
+      }
+
+      const data = await api.post('/api/coupons', entry, {
+        headers: { 'Idempotency-Key': idempotencyKey }
+      });
+      setDuplicateCoupon(null);
       setLastCoupon(data.coupon);
-      setFormData(prev => ({ ...prev, customer_name: '', mobile_number: '' }));
+      setFormData(prev => ({ ...prev, customer_name: '', mobile_number: '', customer_email: '', language: 'en' }));
       loadStats();
       
-      if (data.coupon.whatsapp_sent) {
-        toast.success('Coupon sent via WhatsApp!', { icon: '✅' });
+      toast.success('Coupon created! Sending WhatsApp…', { icon: '✅' });
+    } catch (error) {
+      // No response at all: the request may or may not have landed, the key makes the retry safe
+      if (!error.status) {
+        await saveOffline();
+      } else if (error.data?.duplicate) {
+        setLastCoupon(null);
+        setDuplicateCoupon(error.data.coupon);
+        toast.error('This customer already has a coupon');
       } else {
-        toast.success('Coupon created! WhatsApp pending.', { icon: '⚠️' });
+        toast.error(error.message || 'Failed to create coupon');
       }
-    } catch (error) {
-      toast.error(error.message || 'Failed to create coupon');
     } finally {
       setLoading(false);
     }
   };
 
+  useEffect(() => {
+    setShowCouponImage(false);
+  }, [lastCoupon?.id]);
+
+  // WhatsApp goes out from the server's queue; check back after 5s, then 10s, 20s and so
+  // on up to every 2 minutes, until it is sent or given up or the form moves on. The
+  // growing delay keeps a busy stall within the API rate limit.
+  useEffect(() => {
+    if (!lastCoupon || lastCoupon.whatsapp_sent || lastCoupon.whatsapp_job_status === 'dead') return;
+
+    const couponId = lastCoupon.id;
+    const couponCode = lastCoupon.coupon_code;
+    let timer;
+    let cancelled = false;
+
+    const check = async (nextDelay) => {
+      let coupon = null;
+      try {
+        coupon = (await api.get(`/api/coupons/${encodeURIComponent(couponCode)}`)).coupon;
+      } catch (error) {
+        // Tried again at the next check; the admin queue shows the final outcome
+      }
+      if (cancelled) return;
+
+      setLastCoupon(prev => prev?.id === couponId ? { ...prev, ...coupon, whatsapp_checked: true } : prev);
+      if (!coupon?.whatsapp_sent && coupon?.whatsapp_job_status !== 'dead') {
+        timer = setTimeout(() => check(Math.min(nextDelay * 2, 120000)), nextDelay);
+      }
+    };
+
+    timer = setTimeout(() => check(10000), 5000);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [lastCoupon?.id]);
+
+  const handleResendDuplicate = async () => {
+    setResendLoading(true);
+    try {
+      const result = await api.post(`/api/coupons/${duplicateCoupon.id}/resend`);
+      if (result.success) {
+        toast.success('Existing coupon queued for WhatsApp', { icon: '✅' });
+        setDuplicateCoupon(null);
+        setFormData(prev => ({ ...prev, customer_name: '', mobile_number: '', customer_email: '', language: 'en' }));
+      } else {
+        toast.error(result.error || 'Resend failed');
+      }
+    } catch (error) {
+      toast.error(error.message || 'Resend failed');
+    } finally {
+      setResendLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen pattern-bg">
       {/* Header */}
@@ -328,6 +827,19 @@ function EntryForm() {
           </div>
         </div>
         <div className="flex items-center gap-2">
+          {outbox.pending > 0 && (
+            <button
+              onClick={outbox.sync}
+              className="relative p-2 rounded-lg hover:bg-dark-800 transition-colors focus-ring"
+              aria-label={`${outbox.pending} offline ${outbox.pending === 1 ? 'entry' : 'entries'} waiting. Sync now`}
+              title="Waiting to sync"
+            >
+              <CloudOff className="w-5 h-5 text-amber-700" />
+              <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-amber-500 text-white text-xs font-semibold flex items-center justify-center">
+                {outbox.pending}
+              </span>
+            </button>
+          )}
           <button
             onClick={() => setShowPasswordModal(true)}
             className="p-2 rounded-lg hover:bg-dark-800 transition-colors focus-ring"
@@ -335,128 +847,289 @@ function EntryForm() {
           >
             <Lock className="w-5 h-5 text-dark-400" />
           </button>
-          <button
-            onClick={logout}
-            className="p-2 rounded-lg hover:bg-dark-800 transition-colors focus-ring"
-            aria-label="Log out"
-          >
-            <LogOut className="w-5 h-5 text-dark-400" />
-          </button>
+          {device ? (
+            <button
+              onClick={() => logout()}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg border border-dark-700 hover:bg-dark-800 transition-colors text-sm focus-ring"
+            >
+              <Users className="w-4 h-4 text-dark-400" />
+              Switch User
+            </button>
+          ) : (
+            <button
+              onClick={() => logout()}
+              className="p-2 rounded-lg hover:bg-dark-800 transition-colors focus-ring"
+              aria-label="Log out"
+            >
+              <LogOut className="w-5 h-5 text-dark-400" />
+            </button>
+          )}
         </div>
       </header>
 
       <main className="p-4 max-w-lg mx-auto space-y-4 animate-fade-in">
-        {/* Stats Cards */}
-        <div className="grid grid-cols-2 gap-3">
-          <div className="glass rounded-xl p-4">
-            <p className="text-dark-400 text-sm">Today</p>
-            <p className="font-display text-2xl font-bold gradient-text">{stats.today}</p>
-          </div>
-          <div className="glass rounded-xl p-4">
-            <p className="text-dark-400 text-sm">Total</p>
-            <p className="font-display text-2xl font-bold text-dark-200">{stats.total}</p>
+        {/* View Switch (cashiers only redeem, so they get none) */}
+        {viewItems.length > 1 && (
+          <div
+            className={`glass rounded-xl p-1 grid gap-1 ${viewItems.length === 3 ? 'grid-cols-3' : 'grid-cols-2'}`}
+            role="tablist"
+            aria-label="Staff actions"
+          >
+            {viewItems.map(item => (
+              <button
+                key={item.id}
+                role="tab"
+                aria-selected={view === item.id}
+                onClick={() => setView(item.id)}
+                className={`flex items-center justify-center gap-2 py-2.5 rounded-lg text-sm font-medium transition-all focus-ring ${
+                  view === item.id ? 'bg-brand-500/20 text-brand-400' : 'text-dark-300 hover:bg-dark-800'
+                }`}
+              >
+                <item.icon className="w-4 h-4" />
+                {item.label}
+              </button>
+            ))}
           </div>
-        </div>
+        )}
 
-        {/* Entry Form */}
-        <form onSubmit={handleSubmit} className="glass rounded-2xl p-5 space-y-4">
-          <h2 className="font-display font-semibold text-lg flex items-center gap-2">
-            <Send className="w-5 h-5 text-brand-500" />
-            New Coupon
-          </h2>
+        {view === 'redeem' && <RedeemCoupon branches={branches} />}
 
-          <div className="space-y-2">
-            <label htmlFor="entry-customer-name" className="text-sm font-medium text-dark-300">Customer Name</label>
-            <div className="relative">
-              <User className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
-              <input
-                id="entry-customer-name"
-                type="text"
-                value={formData.customer_name}
-                onChange={(e) => setFormData(prev => ({ ...prev, customer_name: e.target.value }))}
-                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
-                placeholder="Enter customer name"
-              />
-            </div>
-          </div>
+        {view === 'entries' && <StaffEntries />}
 
-          <div className="space-y-2">
-            <label htmlFor="entry-mobile-number" className="text-sm font-medium text-dark-300">Mobile Number</label>
-            <div className="relative">
-              <Smartphone className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
-              <input
-                id="entry-mobile-number"
-                type="tel"
-                value={formData.mobile_number}
-                onChange={(e) => setFormData(prev => ({ ...prev, mobile_number: e.target.value }))}
-                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
-                placeholder="8-digit Oman mobile (7/9xxxxxxx)"
-                inputMode="tel"
-              />
+        {view === 'entry' && (
+          <>
+            {/* Stats Cards */}
+            <div className="grid grid-cols-2 gap-3">
+              <div className="glass rounded-xl p-4">
+                <p className="text-dark-400 text-sm">Today</p>
+                <p className="font-display text-2xl font-bold gradient-text">{stats.today}</p>
+              </div>
+              <div className="glass rounded-xl p-4">
+                <p className="text-dark-400 text-sm">Total</p>
+                <p className="font-display text-2xl font-bold text-dark-200">{stats.total}</p>
+              </div>
             </div>
-          </div>
 
-          <div className="space-y-2">
-            <label htmlFor="entry-branch" className="text-sm font-medium text-dark-300">Branch</label>
-            <div className="relative">
-              <Building className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
-              <select
-                id="entry-branch"
-                value={formData.branch}
-                onChange={(e) => setFormData(prev => ({ ...prev, branch: e.target.value }))}
-                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 appearance-none focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
-              >
-                {branches.map(branch => (
-                  <option key={branch} value={branch}>{branch}</option>
-                ))}
-              </select>
-              <ChevronRight className="absolute right-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500 rotate-90" />
-            </div>
-          </div>
+            {/* Entry Form */}
+            <form onSubmit={handleSubmit} className="glass rounded-2xl p-5 space-y-4">
+              <h2 className="font-display font-semibold text-lg flex items-center gap-2">
+                <Send className="w-5 h-5 text-brand-500" />
+                New Coupon
+              </h2>
 
-          <button
-            type="submit"
-            disabled={loading}
-            className="w-full bg-gradient-to-r from-brand-500 to-brand-600 hover:from-brand-600 hover:to-brand-700 text-white font-semibold py-4 rounded-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ripple shadow-lg shadow-brand-500/25 flex items-center justify-center gap-2 focus-ring"
-          >
-            {loading ? (
-              <>
-                <RefreshCw className="w-5 h-5 animate-spin" />
-                Sending...
-              </>
-            ) : (
-              <>
-                <Send className="w-5 h-5" />
-                Submit & Send Coupon
-              </>
-            )}
-          </button>
-        </form>
+              <div className="space-y-2">
+                <label htmlFor="entry-customer-name" className="text-sm font-medium text-dark-300">Customer Name</label>
+                <div className="relative">
+                  <User className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="entry-customer-name"
+                    type="text"
+                    value={formData.customer_name}
+                    onChange={(e) => setFormData(prev => ({ ...prev, customer_name: e.target.value }))}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                    placeholder="Enter customer name"
+                  />
+                </div>
+              </div>
 
-        {/* Last Coupon Success */}
-        {lastCoupon && (
-          <div className="glass rounded-2xl p-5 animate-slide-up border border-green-200/80 bg-green-50/80">
-            <div className="flex items-start gap-3">
-              <div className="w-10 h-10 rounded-full bg-green-100 flex items-center justify-center flex-shrink-0">
-                <Check className="w-5 h-5 text-green-600" />
+              <div className="space-y-2">
+                <label htmlFor="entry-mobile-number" className="text-sm font-medium text-dark-300">Mobile Number</label>
+                <div className="relative">
+                  <Smartphone className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="entry-mobile-number"
+                    type="tel"
+                    value={formData.mobile_number}
+                    onChange={(e) => setFormData(prev => ({ ...prev, mobile_number: e.target.value }))}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                    placeholder="8-digit Oman mobile (7/9xxxxxxx)"
+                    inputMode="tel"
+                  />
+                </div>
               </div>
-              <div className="flex-1 min-w-0">
-                <p className="font-semibold text-green-700">Coupon Created!</p>
-                <p className="text-sm text-dark-300 mt-1">{lastCoupon.customer_name}</p>
-                <p className="text-sm text-dark-400">{lastCoupon.mobile_number}</p>
-                <div className="mt-2 px-3 py-2 bg-white/70 border border-dark-700 rounded-lg">
-                  <p className="text-xs text-dark-400">Coupon Code</p>
-                  <p className="font-mono font-bold text-brand-500">{lastCoupon.coupon_code}</p>
+
+              <div className="space-y-2">
+                <label htmlFor="entry-email" className="text-sm font-medium text-dark-300">
+                  Email <span className="text-dark-500 font-normal">(optional, if WhatsApp and SMS fail)</span>
+                </label>
+                <div className="relative">
+                  <Mail className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="entry-email"
+                    type="email"
+                    value={formData.customer_email}
+                    onChange={(e) => setFormData(prev => ({ ...prev, customer_email: e.target.value }))}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                    placeholder="customer@example.com"
+                    autoComplete="off"
+                  />
                 </div>
-                {!lastCoupon.whatsapp_sent && (
-                  <p className="text-xs text-amber-700 mt-2 flex items-center gap-1">
-                    <AlertCircle className="w-3 h-3" />
-                    WhatsApp delivery pending
-                  </p>
+              </div>
+
+              <div className="space-y-2">
+                <p id="entry-language-label" className="text-sm font-medium text-dark-300 flex items-center gap-2">
+                  <Languages className="w-4 h-4 text-dark-500" />
+                  Message Language
+                </p>
+                <div className="grid grid-cols-2 gap-2" role="group" aria-labelledby="entry-language-label">
+                  {messageLanguages.map(language => (
+                    <button
+                      key={language.id}
+                      type="button"
+                      onClick={() => setFormData(prev => ({ ...prev, language: language.id }))}
+                      className={`py-3 rounded-xl border text-sm font-medium transition-all focus-ring ${
+                        formData.language === language.id
+                          ? 'border-brand-500 bg-brand-500/20 text-brand-400'
+                          : 'border-dark-700 bg-white/70 text-dark-300 hover:bg-dark-800'
+                      }`}
+                      aria-pressed={formData.language === language.id}
+                      lang={language.id}
+                    >
+                      {language.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <label htmlFor="entry-branch" className="text-sm font-medium text-dark-300">Branch</label>
+                <div className="relative">
+                  <Building className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <select
+                    id="entry-branch"
+                    value={formData.branch}
+                    onChange={(e) => setFormData(prev => ({ ...prev, branch: e.target.value }))}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 appearance-none focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                  >
+                    {branches.map(branch => (
+                      <option key={branchLabel(branch)} value={branchLabel(branch)}>{branchLabel(branch)}</option>
+                    ))}
+                  </select>
+                  <ChevronRight className="absolute right-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500 rotate-90" />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-gradient-to-r from-brand-500 to-brand-600 hover:from-brand-600 hover:to-brand-700 text-white font-semibold py-4 rounded-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ripple shadow-lg shadow-brand-500/25 flex items-center justify-center gap-2 focus-ring"
+              >
+                {loading ? (
+                  <>
+                    <RefreshCw className="w-5 h-5 animate-spin" />
+                    Sending...
+                  </>
+                ) : (
+                  <>
+                    <Send className="w-5 h-5" />
+                    Submit & Send Coupon
+                  </>
                 )}
+              </button>
+            </form>
+
+            {/* Existing Coupon For This Mobile */}
+            {duplicateCoupon && (
+              <div className="glass rounded-2xl p-5 animate-slide-up border border-amber-200/80 bg-amber-50/80">
+                <div className="flex items-start gap-3">
+                  <div className="w-10 h-10 rounded-full bg-amber-100 flex items-center justify-center flex-shrink-0">
+                    <AlertCircle className="w-5 h-5 text-amber-700" />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-amber-700">Already has a coupon</p>
+                    <p className="text-sm text-dark-300 mt-1">{duplicateCoupon.customer_name}</p>
+                    <p className="text-sm text-dark-400">{duplicateCoupon.mobile_number}</p>
+                    <div className="mt-2 px-3 py-2 bg-white/70 border border-dark-700 rounded-lg">
+                      <p className="text-xs text-dark-400">Coupon Code</p>
+                      <p className="font-mono font-bold text-brand-500">{duplicateCoupon.coupon_code}</p>
+                      <p className="text-xs text-dark-400 mt-1">
+                        Issued at {duplicateCoupon.branch} by {duplicateCoupon.staff_name} on {new Date(duplicateCoupon.created_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                    {duplicateCoupon.status === 'active' ? (
+                      <div className="flex gap-2 mt-3">
+                        <button
+                          onClick={handleResendDuplicate}
+                          disabled={resendLoading}
+                          className="flex-1 flex items-center justify-center gap-2 py-2.5 rounded-xl bg-brand-600 hover:bg-brand-700 text-white text-sm font-semibold transition-colors disabled:opacity-50 focus-ring"
+                        >
+                          <RefreshCw className={`w-4 h-4 ${resendLoading ? 'animate-spin' : ''}`} />
+                          Resend instead
+                        </button>
+                        <button
+                          onClick={() => setDuplicateCoupon(null)}
+                          className="px-4 py-2.5 rounded-xl border border-dark-600 hover:bg-dark-800 text-sm transition-colors focus-ring"
+                        >
+                          Dismiss
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="text-xs text-amber-700 mt-2">
+                        This coupon is {duplicateCoupon.status}. Ask an admin to issue a new one.
+                      </p>
+                    )}
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
+            )}
+
+            {/* Last Coupon Success */}
+            {lastCoupon && (
+              <div className="glass rounded-2xl p-5 animate-slide-up border border-green-200/80 bg-green-50/80">
+                <div className="flex items-start gap-3">
+                  <div className="w-10 h-10 rounded-full bg-green-100 flex items-center justify-center flex-shrink-0">
+                    <Check className="w-5 h-5 text-green-600" />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-green-700">Coupon Created!</p>
+                    <p className="text-xs text-dark-400">{lastCoupon.campaign_name} · {lastCoupon.discount_percent}% off</p>
+                    <p className="text-sm text-dark-300 mt-1">{lastCoupon.customer_name}</p>
+                    <p className="text-sm text-dark-400">{lastCoupon.mobile_number}</p>
+                    <div className="mt-2 px-3 py-2 bg-white/70 border border-dark-700 rounded-lg">
+                      <p className="text-xs text-dark-400">Coupon Code</p>
+                      <p className="font-mono font-bold text-brand-500">{lastCoupon.coupon_code}</p>
+                      <p className="text-xs text-dark-400 mt-1">Valid until {new Date(lastCoupon.expires_at).toLocaleDateString()}</p>
+                      {showCouponImage ? (
+                        <div className="mt-2">
+                          <CouponImage code={lastCoupon.coupon_code} />
+                        </div>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={() => setShowCouponImage(true)}
+                          className="mt-2 text-xs text-brand-500 hover:text-brand-600 flex items-center gap-1 focus-ring rounded"
+                        >
+                          <QrCode className="w-3 h-3" />
+                          Show QR code
+                        </button>
+                      )}
+                    </div>
+                    {lastCoupon.whatsapp_sent ? (
+                      <p className="text-xs text-emerald-700 mt-2 flex items-center gap-1">
+                        <Check className="w-3 h-3" />
+                        Sent via {channelLabels[lastCoupon.delivery_channel] || 'WhatsApp'}
+                      </p>
+                    ) : lastCoupon.whatsapp_job_status === 'dead' ? (
+                      <p className="text-xs text-red-600 mt-2 flex items-center gap-1" title={lastCoupon.whatsapp_error || ''}>
+                        <AlertCircle className="w-3 h-3" />
+                        Could not be sent, an admin can resend it
+                      </p>
+                    ) : lastCoupon.whatsapp_checked ? (
+                      <p className="text-xs text-amber-700 mt-2 flex items-center gap-1">
+                        <CalendarClock className="w-3 h-3" />
+                        Not sent yet, it will be retried automatically
+                      </p>
+                    ) : (
+                      <p className="text-xs text-amber-700 mt-2 flex items-center gap-1">
+                        <RefreshCw className="w-3 h-3 animate-spin" />
+                        Sending coupon…
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+          </>
         )}
       </main>
       <ChangePasswordModal
@@ -467,864 +1140,3656 @@ function EntryForm() {
   );
 }
 
-// Admin Dashboard
-function AdminDashboard() {
-  const { user, logout } = useAuth();
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [menuOpen, setMenuOpen] = useState(false);
-  const [coupons, setCoupons] = useState([]);
-  const [staff, setStaff] = useState([]);
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({ search: '', branch: '', date: '' });
-  const [branches, setBranches] = useState([]);
-  const [showPasswordModal, setShowPasswordModal] = useState(false);
-
-  useEffect(() => {
-    loadData();
-  }, []);
+// Coupon Redemption (showroom)
+// Offline redemptions: keeps the token key fresh and sends the redemptions userId
+// made offline when the network returns
+function useOfflineRedemptions(userId) {
+  const syncingRef = useRef(false);
 
-  useEffect(() => {
-    if (activeTab === 'coupons') loadCoupons();
-    if (activeTab === 'staff') loadStaff();
-  }, [activeTab, filters]);
+  const sync = async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+    syncingRef.current = true;
 
-  const loadData = async () => {
     try {
-      const [statsData, branchesData] = await Promise.all([
-        api.get('/api/stats'),
-        api.get('/api/branches')
-      ]);
-      setStats(statsData);
-      setBranches(branchesData.branches);
-      setLoading(false);
+      const entries = (await listOfflineRedemptions(userId)).slice(0, 200);
+      if (entries.length === 0) return;
+
+      const { results } = await api.post('/api/coupons/offline-redemptions', {
+        redemptions: entries.map(({ token, branch, invoice_amount, redeemed_at }) => ({
+          token, branch, invoice_amount, redeemed_at
+        }))
+      });
+      for (const [index, result] of results.entries()) {
+        await removeOfflineRedemption(entries[index].id);
+        if (result.status === 'duplicate') {
+          toast.error(
+            `${entries[index].code} was already redeemed at ${result.redeemed_branch}. It has been flagged for review.`,
+            { duration: 8000 }
+          );
+        } else if (result.status === 'invalid') {
+          toast.error(`Offline redemption of ${entries[index].code} rejected: ${result.error}`);
+        }
+      }
+
+      const redeemed = results.filter(result => result.status === 'redeemed').length;
+      if (redeemed > 0) {
+        toast.success(`${redeemed} offline ${redeemed === 1 ? 'redemption' : 'redemptions'} synced`);
+      }
     } catch (error) {
-      toast.error('Failed to load data');
-      setLoading(false);
+      console.error('Offline redemption sync failed', error);
+    } finally {
+      syncingRef.current = false;
     }
   };
 
-  const loadCoupons = async () => {
-    try {
-      const params = new URLSearchParams();
-      if (filters.search) params.append('search', filters.search);
-      if (filters.branch) params.append('branch', filters.branch);
-      if (filters.date) params.append('date', filters.date);
-      params.append('limit', '100');
-      
-      const data = await api.get(`/api/coupons?${params}`);
-      setCoupons(data.coupons);
-    } catch (error) {
-      toast.error('Failed to load coupons');
-    }
+  const refreshKey = () => {
+    if (!navigator.onLine) return;
+    api.get('/api/public/coupon-signing-key')
+      .then(data => cacheSigningKey(data.public_key))
+      .catch(() => {});
   };
 
-  const loadStaff = async () => {
-    try {
-      const data = await api.get('/api/staff');
-      setStaff(data.staff);
-    } catch (error) {
-      toast.error('Failed to load staff');
+  useEffect(() => {
+    const handleOnline = () => {
+      refreshKey();
+      sync();
+    };
+
+    handleOnline();
+    window.addEventListener('online', handleOnline);
+    const retryTimer = setInterval(sync, 60 * 1000);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      clearInterval(retryTimer);
+    };
+  }, [userId]);
+}
+
+function RedeemCoupon({ branches }) {
+  const { user } = useAuth();
+  const [code, setCode] = useState('');
+  const [coupon, setCoupon] = useState(null);
+  const [branch, setBranch] = useState('');
+  const [invoiceAmount, setInvoiceAmount] = useState('');
+  const [lookupLoading, setLookupLoading] = useState(false);
+  const [redeemLoading, setRedeemLoading] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+
+  useOfflineRedemptions(user.id);
+
+  useEffect(() => {
+    if (branches.length > 0 && !branch) {
+      setBranch(branchLabel(branches[0]));
     }
-  };
+  }, [branches]);
 
-  const handleExport = async () => {
+  // Without a network, a scanned QR code is checked against its signature instead
+  const checkOffline = async (token) => {
     try {
-      toast.loading('Preparing export...');
-      const params = new URLSearchParams();
-      if (filters.branch) params.append('branch', filters.branch);
-      if (filters.date) params.append('date_from', filters.date);
-      if (filters.date) params.append('date_to', filters.date);
-      
-      const response = await fetch(`${API_URL}/api/coupons/export?${params}`, {
-        headers: { Authorization: `Bearer ${api.getToken()}` }
+      const claims = await verifyCouponToken(token);
+      if (!claims) {
+        toast.error('This QR code was not issued by us');
+        return;
+      }
+
+      const redeemedHere = (await listOfflineRedemptions()).find(entry => entry.code === claims.coupon_code);
+      const status = redeemedHere ? 'redeemed' : new Date(claims.expires_at) <= new Date() ? 'expired' : 'active';
+      setCoupon({
+        ...claims,
+        status,
+        token,
+        offline: true,
+        ...(redeemedHere && {
+          redeemed_branch: redeemedHere.branch,
+          redeemed_at: redeemedHere.redeemed_at,
+          invoice_amount: redeemedHere.invoice_amount
+        })
       });
-      
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `coupons-export-${new Date().toISOString().split('T')[0]}.xlsx`;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      a.remove();
-      toast.dismiss();
-      toast.success('Export downloaded!');
+      setInvoiceAmount('');
     } catch (error) {
-      toast.dismiss();
-      toast.error('Export failed');
+      toast.error(error.message);
     }
   };
 
-  const handleResend = async (couponId) => {
+  const lookupCoupon = async (text) => {
+    const { code: trimmedCode, token } = parseCouponScan(text);
+    if (!trimmedCode) {
+      toast.error('Please enter a coupon code');
+      return;
+    }
+
+    setLookupLoading(true);
     try {
-      toast.loading('Resending...');
-      await api.post(`/api/coupons/${couponId}/resend`);
-      toast.dismiss();
-      toast.success('WhatsApp resent!');
-      loadCoupons();
+      const data = await api.get(`/api/coupons/${encodeURIComponent(trimmedCode)}`);
+      setCoupon(data.coupon);
+      setInvoiceAmount('');
     } catch (error) {
-      toast.dismiss();
-      toast.error('Resend failed');
+      setCoupon(null);
+      if (error.status) {
+        toast.error(error.message || 'Coupon not found');
+      } else if (token) {
+        await checkOffline(token);
+      } else {
+        toast.error('No connection. Scan the QR code to check the coupon offline.');
+      }
+    } finally {
+      setLookupLoading(false);
     }
   };
 
-  const menuItems = [
-    { id: 'dashboard', icon: BarChart3, label: 'Dashboard' },
-    { id: 'coupons', icon: Ticket, label: 'Coupons' },
-    { id: 'staff', icon: Users, label: 'Staff' }
-  ];
+  // Barcode scanners type the code and press Enter, so scanning goes through this form too
+  const handleLookup = (e) => {
+    e.preventDefault();
+    lookupCoupon(code);
+  };
 
-  if (loading) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <RefreshCw className="w-8 h-8 text-brand-500 animate-spin" />
-      </div>
-    );
-  }
+  const handleScan = (scannedText) => {
+    setShowScanner(false);
+    setCode(parseCouponScan(scannedText).code);
+    lookupCoupon(scannedText);
+  };
+
+  const handleRedeem = async (e) => {
+    e.preventDefault();
+    const amount = Number(invoiceAmount);
+    if (!invoiceAmount || !Number.isFinite(amount) || amount <= 0) {
+      toast.error('Please enter the invoice amount');
+      return;
+    }
+
+    if (!branch) {
+      toast.error('Please select a branch');
+      return;
+    }
+
+    setRedeemLoading(true);
+    try {
+      if (coupon.offline) {
+        const entry = {
+          id: newIdempotencyKey(),
+          code: coupon.coupon_code,
+          token: coupon.token,
+          branch,
+          invoice_amount: amount,
+          redeemed_at: new Date().toISOString(),
+          captured_by: user.id
+        };
+        await addOfflineRedemption(entry);
+        setCoupon({
+          ...coupon,
+          status: 'redeemed',
+          redeemed_branch: entry.branch,
+          redeemed_at: entry.redeemed_at,
+          invoice_amount: entry.invoice_amount
+        });
+        setCode('');
+        toast.success('Redeemed offline. It will sync when the connection returns.', { icon: '✅' });
+        return;
+      }
+
+      const data = await api.post(`/api/coupons/${encodeURIComponent(coupon.coupon_code)}/redeem`, {
+        branch,
+        invoice_amount: amount
+      });
+      setCoupon(data.coupon);
+      setCode('');
+      toast.success('Coupon redeemed!', { icon: '✅' });
+    } catch (error) {
+      toast.error(error.message || 'Failed to redeem coupon');
+    } finally {
+      setRedeemLoading(false);
+    }
+  };
 
   return (
-    <div className="min-h-screen pattern-bg">
-      {/* Mobile Menu Overlay */}
-      {menuOpen && (
-        <div className="fixed inset-0 bg-black/50 z-40 md:hidden" onClick={() => setMenuOpen(false)} />
-      )}
+    <div className="space-y-4">
+      <form onSubmit={handleLookup} className="glass rounded-2xl p-5 space-y-4">
+        <h2 className="font-display font-semibold text-lg flex items-center gap-2">
+          <ScanLine className="w-5 h-5 text-brand-500" />
+          Redeem Coupon
+        </h2>
 
-      {/* Sidebar */}
-      <aside className={`fixed inset-y-0 left-0 w-64 glass z-50 transform transition-transform duration-300 md:translate-x-0 ${menuOpen ? 'translate-x-0' : '-translate-x-full'}`}>
-        <div className="p-4 border-b border-dark-700">
-          <div className="flex items-center gap-3">
-            <div className="w-10 h-10 rounded-xl bg-brand-50 border border-brand-100 flex items-center justify-center shadow-sm">
-              <img src={bellaLogo} alt="IDF EXPO 2026 logo" className="w-8 h-8 object-contain" />
-            </div>
-            <div>
-              <h1 className="font-display font-bold">IDF EXPO 2026</h1>
-              <p className="text-xs text-dark-400">Admin Panel - {user.name}</p>
+        <div className="space-y-2">
+          <label htmlFor="redeem-code" className="text-sm font-medium text-dark-300">Coupon Code</label>
+          <div className="flex gap-2">
+            <div className="relative flex-1">
+              <Ticket className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+              <input
+                id="redeem-code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 font-mono uppercase placeholder:normal-case text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                placeholder="Type or scan code"
+                autoComplete="off"
+                autoCapitalize="characters"
+                autoFocus
+              />
             </div>
-          </div>
-        </div>
-        
-        <nav className="p-4 space-y-2">
-          {menuItems.map(item => (
             <button
-              key={item.id}
-              onClick={() => { setActiveTab(item.id); setMenuOpen(false); }}
-              className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-all focus-ring ${
-                activeTab === item.id 
-                  ? 'bg-brand-500/20 text-brand-400' 
-                  : 'text-dark-300 hover:bg-dark-800'
-              }`}
+              type="button"
+              onClick={() => setShowScanner(true)}
+              className="px-4 rounded-xl border border-dark-700 bg-white/70 hover:bg-dark-800 transition-colors focus-ring"
+              aria-label="Scan coupon with camera"
             >
-              <item.icon className="w-5 h-5" />
-              {item.label}
+              <Camera className="w-5 h-5 text-brand-500" />
             </button>
-          ))}
-        </nav>
-
-        <div className="absolute bottom-4 left-4 right-4 space-y-2">
-          <button
-            onClick={() => setShowPasswordModal(true)}
-            className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-dark-300 hover:bg-dark-800 transition-all focus-ring"
-            aria-label="Change password"
-          >
-            <Lock className="w-5 h-5" />
-            Change Password
-          </button>
-          <button
-            onClick={logout}
-            className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-dark-400 hover:bg-dark-800 transition-all focus-ring"
-            aria-label="Log out"
-          >
-            <LogOut className="w-5 h-5" />
-            Logout
-          </button>
+          </div>
         </div>
-      </aside>
 
-      {/* Main Content */}
-      <div className="md:pl-64">
-        {/* Mobile Header */}
-        <header className="glass sticky top-0 z-30 px-4 py-3 flex items-center justify-between md:hidden">
-          <button
-            onClick={() => setMenuOpen(true)}
-            className="p-2 rounded-lg hover:bg-dark-800 focus-ring"
-            aria-label="Open menu"
-            aria-expanded={menuOpen}
-          >
-            <Menu className="w-6 h-6" />
-          </button>
-          <h1 className="font-display font-bold">{menuItems.find(m => m.id === activeTab)?.label}</h1>
-          <div className="w-10" />
-        </header>
+        <button
+          type="submit"
+          disabled={lookupLoading}
+          className="w-full bg-gradient-to-r from-brand-500 to-brand-600 hover:from-brand-600 hover:to-brand-700 text-white font-semibold py-3.5 rounded-xl transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ripple shadow-lg shadow-brand-500/25 flex items-center justify-center gap-2 focus-ring"
+        >
+          {lookupLoading ? (
+            <>
+              <RefreshCw className="w-5 h-5 animate-spin" />
+              Checking...
+            </>
+          ) : (
+            <>
+              <Search className="w-5 h-5" />
+              Check Coupon
+            </>
+          )}
+        </button>
+      </form>
 
-        <main className="p-4 md:p-6 animate-fade-in">
-          {/* Dashboard Tab */}
-          {activeTab === 'dashboard' && stats && (
-            <div className="space-y-6">
-              <h2 className="font-display text-2xl font-bold hidden md:block">Dashboard</h2>
-              
-              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                <div className="glass rounded-xl p-5">
-                  <p className="text-dark-400 text-sm">Total Coupons</p>
-                  <p className="font-display text-3xl font-bold gradient-text mt-1">{stats.totalCoupons}</p>
-                </div>
-                <div className="glass rounded-xl p-5">
-                  <p className="text-dark-400 text-sm">WhatsApp Sent</p>
-                  <p className="font-display text-3xl font-bold text-emerald-700 mt-1">{stats.whatsappSent}</p>
-                </div>
-                <div className="glass rounded-xl p-5">
-                  <p className="text-dark-400 text-sm">Pending</p>
-                  <p className="font-display text-3xl font-bold text-amber-700 mt-1">{stats.whatsappFailed}</p>
-                </div>
-                <div className="glass rounded-xl p-5">
-                  <p className="text-dark-400 text-sm">Staff Active</p>
-                  <p className="font-display text-3xl font-bold text-sky-700 mt-1">{stats.byStaff?.length || 0}</p>
-                </div>
-              </div>
-
-              <div className="grid md:grid-cols-2 gap-6">
-                <div className="glass rounded-xl p-5">
-                  <h3 className="font-display font-semibold mb-4">By Branch</h3>
-                  <div className="space-y-3">
-                    {stats.byBranch?.map(item => (
-                      <div key={item.branch} className="flex items-center justify-between">
-                        <span className="text-dark-300">{item.branch}</span>
-                        <span className="font-semibold">{item.count}</span>
-                      </div>
-                    ))}
-                    {stats.byBranch?.length === 0 && (
-                      <p className="text-dark-500 text-center py-4">No data yet</p>
-                    )}
-                  </div>
-                </div>
+      {coupon && (
+        <div className={`glass rounded-2xl p-5 animate-slide-up border ${
+          coupon.status === 'active' ? 'border-green-200/80 bg-green-50/80' : 'border-red-200/80 bg-red-50/80'
+        }`}>
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="font-mono font-bold text-brand-500">{coupon.coupon_code}</p>
+              {coupon.offline ? (
+                <p className="text-sm text-amber-700 mt-1 flex items-center gap-1">
+                  <CloudOff className="w-4 h-4" />
+                  Checked offline · {coupon.discount_percent}% off
+                </p>
+              ) : (
+                <>
+                  <p className="text-sm text-dark-300 mt-1">{coupon.customer_name}</p>
+                  <p className="text-sm text-dark-400">{coupon.mobile_number}</p>
+                  <p className="text-xs text-dark-400 mt-1">
+                    Issued at {coupon.branch} by {coupon.staff_name} on {new Date(coupon.created_at).toLocaleDateString()}
+                  </p>
+                </>
+              )}
+              <p className={`text-xs mt-1 flex items-center gap-1 ${coupon.status === 'expired' ? 'text-red-600' : 'text-dark-400'}`}>
+                <CalendarClock className="w-3 h-3" />
+                {coupon.status === 'expired' ? 'Expired on' : 'Valid until'} {new Date(coupon.expires_at).toLocaleDateString()}
+              </p>
+            </div>
+            {coupon.status === 'active' ? (
+              <span className="inline-flex items-center gap-1 px-2 py-1 bg-emerald-100 text-emerald-700 rounded-lg text-sm flex-shrink-0">
+                <Check className="w-3 h-3" /> Valid
+              </span>
+            ) : (
+              <span className="inline-flex items-center gap-1 px-2 py-1 bg-red-100 text-red-700 rounded-lg text-sm flex-shrink-0">
+                <X className="w-3 h-3" /> {coupon.status === 'expired' ? 'Expired' : 'Redeemed'}
+              </span>
+            )}
+          </div>
 
-                <div className="glass rounded-xl p-5">
-                  <h3 className="font-display font-semibold mb-4">By Staff</h3>
-                  <div className="space-y-3">
-                    {stats.byStaff?.map(item => (
-                      <div key={item.name} className="flex items-center justify-between">
-                        <span className="text-dark-300">{item.name}</span>
-                        <span className="font-semibold">{item.count}</span>
-                      </div>
-                    ))}
-                    {stats.byStaff?.length === 0 && (
-                      <p className="text-dark-500 text-center py-4">No data yet</p>
-                    )}
-                  </div>
-                </div>
-              </div>
+          {coupon.status === 'redeemed' && (
+            <div className="mt-4 px-3 py-2 bg-white/70 border border-dark-700 rounded-lg text-sm text-dark-300">
+              <p>
+                Redeemed at <span className="font-semibold">{coupon.redeemed_branch}</span>
+                {coupon.offline ? ' on this device, waiting to sync' : ` by ${coupon.redeemed_by_name}`}
+              </p>
+              <p className="text-dark-400">
+                {new Date(coupon.redeemed_at).toLocaleString()} · Invoice {coupon.invoice_amount}
+              </p>
             </div>
           )}
 
-          {/* Coupons Tab */}
-          {activeTab === 'coupons' && (
-            <div className="space-y-4">
-              <div className="flex flex-col md:flex-row gap-4 items-start md:items-center justify-between">
-                <h2 className="font-display text-2xl font-bold hidden md:block">Coupons</h2>
-                <button
-                  onClick={handleExport}
-                  className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-xl transition-colors focus-ring"
-                >
-                  <Download className="w-4 h-4" />
-                  Export Excel
-                </button>
+          {coupon.status === 'active' && (
+            <form onSubmit={handleRedeem} className="mt-4 space-y-4">
+              <div className="space-y-2">
+                <label htmlFor="redeem-branch" className="text-sm font-medium text-dark-300">Redeeming Branch</label>
+                <div className="relative">
+                  <Building className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <select
+                    id="redeem-branch"
+                    value={branch}
+                    onChange={(e) => setBranch(e.target.value)}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 appearance-none focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                  >
+                    {branches.map(b => (
+                      <option key={branchLabel(b)} value={branchLabel(b)}>{branchLabel(b)}</option>
+                    ))}
+                  </select>
+                  <ChevronRight className="absolute right-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500 rotate-90" />
+                </div>
               </div>
 
-              {/* Filters */}
-              <div className="glass rounded-xl p-4 flex flex-col md:flex-row gap-4">
-                <div className="relative flex-1">
-                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+              <div className="space-y-2">
+                <label htmlFor="redeem-invoice" className="text-sm font-medium text-dark-300">Invoice Amount</label>
+                <div className="relative">
+                  <Receipt className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
                   <input
-                    type="text"
-                    value={filters.search}
-                    onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
-                    placeholder="Search name, mobile, code..."
-                    className="w-full bg-white/70 border border-dark-700 rounded-lg py-2.5 pl-10 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500"
+                    id="redeem-invoice"
+                    type="number"
+                    min="0"
+                    step="0.001"
+                    value={invoiceAmount}
+                    onChange={(e) => setInvoiceAmount(e.target.value)}
+                    className="w-full bg-white/70 border border-dark-700 rounded-xl py-3.5 pl-12 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500 focus:ring-2 focus:ring-brand-500/20 transition-all"
+                    placeholder="Invoice total"
+                    inputMode="decimal"
                   />
                 </div>
-                <select
-                  value={filters.branch}
-                  onChange={(e) => setFilters(prev => ({ ...prev, branch: e.target.value }))}
-                  className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                >
-                  <option value="">All Branches</option>
-                  {branches.map(b => <option key={b} value={b}>{b}</option>)}
-                </select>
-                <input
-                  type="date"
-                  value={filters.date}
-                  onChange={(e) => setFilters(prev => ({ ...prev, date: e.target.value }))}
-                  className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                />
               </div>
 
-              {/* Table */}
-              <div className="glass rounded-xl overflow-hidden">
-                <div className="overflow-x-auto">
-                  <table className="w-full">
-                    <thead>
-                      <tr className="border-b border-dark-700">
-                        <th className="text-left p-4 text-dark-400 font-medium">Customer</th>
-                        <th className="text-left p-4 text-dark-400 font-medium">Mobile</th>
-                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Branch</th>
-                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Code</th>
-                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Staff</th>
-                        <th className="text-left p-4 text-dark-400 font-medium">Status</th>
-                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Date</th>
-                        <th className="p-4"></th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {coupons.map(coupon => (
-                        <tr key={coupon.id} className="border-b border-dark-800 hover:bg-dark-800/50">
-                          <td className="p-4">
-                            <div>
-                              <p className="font-medium">{coupon.customer_name}</p>
-                              <p className="text-sm text-dark-400 md:hidden">{coupon.branch}</p>
-                            </div>
-                          </td>
-                          <td className="p-4 text-dark-300">{coupon.mobile_number}</td>
-                          <td className="p-4 text-dark-300 hidden md:table-cell">{coupon.branch}</td>
-                          <td className="p-4 hidden md:table-cell">
-                            <code className="text-brand-400 text-sm">{coupon.coupon_code}</code>
-                          </td>
-                          <td className="p-4 text-dark-300 hidden md:table-cell">{coupon.staff_name}</td>
-                          <td className="p-4">
-                            {coupon.whatsapp_sent ? (
-                              <span className="inline-flex items-center gap-1 px-2 py-1 bg-emerald-100 text-emerald-700 rounded-lg text-sm">
-                                <Check className="w-3 h-3" /> Sent
-                              </span>
-                            ) : (
-                              <span className="inline-flex items-center gap-1 px-2 py-1 bg-amber-100 text-amber-700 rounded-lg text-sm">
-                                <AlertCircle className="w-3 h-3" /> Pending
-                              </span>
-                            )}
-                          </td>
-                          <td className="p-4 text-dark-400 text-sm hidden md:table-cell">
-                            {new Date(coupon.created_at).toLocaleString()}
-                          </td>
-                          <td className="p-4">
-                            {!coupon.whatsapp_sent && (
-                              <button
-                                onClick={() => handleResend(coupon.id)}
-                                className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
-                                title="Resend WhatsApp"
-                                aria-label={`Resend WhatsApp for ${coupon.customer_name}`}
-                              >
-                                <RefreshCw className="w-4 h-4 text-dark-400" />
-                              </button>
-                            )}
-                          </td>
-                        </tr>
-                      ))}
-                      {coupons.length === 0 && (
-                        <tr>
-                          <td colSpan="8" className="p-8 text-center text-dark-500">
-                            No coupons found
-                          </td>
-                        </tr>
-                      )}
-                    </tbody>
-                  </table>
-                </div>
-              </div>
-            </div>
+              <button
+                type="submit"
+                disabled={redeemLoading}
+                className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3.5 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 focus-ring"
+              >
+                {redeemLoading ? (
+                  <>
+                    <RefreshCw className="w-5 h-5 animate-spin" />
+                    Redeeming...
+                  </>
+                ) : (
+                  <>
+                    <Check className="w-5 h-5" />
+                    Mark as Redeemed
+                  </>
+                )}
+              </button>
+            </form>
           )}
+        </div>
+      )}
 
-          {/* Staff Tab */}
-          {activeTab === 'staff' && (
-            <StaffManagement staff={staff} onRefresh={loadStaff} />
-          )}
-        </main>
-      </div>
-      <ChangePasswordModal
-        isOpen={showPasswordModal}
-        onClose={() => setShowPasswordModal(false)}
+      <CouponScanner
+        isOpen={showScanner}
+        onClose={() => setShowScanner(false)}
+        onScan={handleScan}
       />
     </div>
   );
 }
 
-function useModalFocusTrap(isOpen, modalRef, onClose) {
+// Camera scanner for coupon QR codes and barcodes. Uses the browser's own
+// BarcodeDetector where there is one and loads ZXing otherwise.
+function CouponScanner({ isOpen, onClose, onScan }) {
+  const [error, setError] = useState('');
+  const videoRef = useRef(null);
+  const modalRef = useRef(null);
+
+  useModalFocusTrap(isOpen, modalRef, onClose);
+
   useEffect(() => {
     if (!isOpen) return;
-    const previousFocus = document.activeElement;
-    const modal = modalRef.current;
-    if (!modal) return;
+    let stopped = false;
+    let stopCamera = () => {};
+    setError('');
 
-    const focusableSelectors = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
-    const focusableElements = Array.from(modal.querySelectorAll(focusableSelectors))
-      .filter((el) => !el.hasAttribute('disabled'));
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
+    const handleResult = (text) => {
+      if (stopped || !text) return;
+      stopped = true;
+      stopCamera();
+      onScan(text);
+    };
 
-    const handleKeyDown = (event) => {
-      if (event.key === 'Escape') {
-        event.preventDefault();
-        onClose();
-        return;
-      }
+    const scanWithBarcodeDetector = async () => {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      stopCamera = () => stream.getTracks().forEach(track => track.stop());
+      if (stopped) return stopCamera();
 
-      if (event.key !== 'Tab' || focusableElements.length === 0) return;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      const detector = new window.BarcodeDetector({ formats: ['qr_code', 'code_128'] });
+      const detect = async () => {
+        if (stopped) return;
+        try {
+          const [barcode] = await detector.detect(videoRef.current);
+          if (barcode) return handleResult(barcode.rawValue);
+        } catch (error) {
+          // The video can be between frames; try again on the next tick
+        }
+        setTimeout(detect, 250);
+      };
+      detect();
+    };
 
-      if (event.shiftKey && document.activeElement === firstElement) {
-        event.preventDefault();
-        lastElement.focus();
-      } else if (!event.shiftKey && document.activeElement === lastElement) {
-        event.preventDefault();
-        firstElement.focus();
-      }
+    const scanWithZxing = async () => {
+      const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+        import('@zxing/browser'),
+        import('@zxing/library')
+      ]);
+      const hints = new Map([[DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.QR_CODE, BarcodeFormat.CODE_128]]]);
+      const reader = new BrowserMultiFormatReader(hints);
+      const controls = await reader.decodeFromConstraints(
+        { video: { facingMode: 'environment' } },
+        videoRef.current,
+        (result) => result && handleResult(result.getText())
+      );
+      stopCamera = () => controls.stop();
+      if (stopped) stopCamera();
     };
 
-    document.body.style.overflow = 'hidden';
-    document.addEventListener('keydown', handleKeyDown);
-    if (firstElement) firstElement.focus();
+    const scan = 'BarcodeDetector' in window ? scanWithBarcodeDetector : scanWithZxing;
+    scan().catch((err) => {
+      setError(err?.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in the browser settings and try again.'
+        : 'No camera is available on this device.');
+    });
 
     return () => {
-      document.body.style.overflow = '';
-      document.removeEventListener('keydown', handleKeyDown);
-      if (previousFocus && previousFocus.focus) {
-        previousFocus.focus();
-      }
+      stopped = true;
+      stopCamera();
     };
-  }, [isOpen, modalRef, onClose]);
-}
-
-function ChangePasswordModal({ isOpen, onClose }) {
-  const [currentPassword, setCurrentPassword] = useState('');
-  const [newPassword, setNewPassword] = useState('');
-  const [confirmPassword, setConfirmPassword] = useState('');
-  const [loading, setLoading] = useState(false);
-  const modalRef = useRef(null);
-
-  const handleClose = () => {
-    setCurrentPassword('');
-    setNewPassword('');
-    setConfirmPassword('');
-    setLoading(false);
-    onClose();
-  };
-
-  useModalFocusTrap(isOpen, modalRef, handleClose);
+  }, [isOpen]);
 
   if (!isOpen) return null;
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
-
-    if (!currentPassword || !newPassword) {
-      toast.error('Please fill all fields');
-      return;
-    }
-
-    if (newPassword.length < 4) {
-      toast.error('Password must be at least 4 characters');
-      return;
-    }
-
-    if (newPassword !== confirmPassword) {
-      toast.error('Passwords do not match');
-      return;
-    }
-
-    setLoading(true);
-    try {
-      await api.patch('/api/auth/password', {
-        current_password: currentPassword,
-        new_password: newPassword
-      });
-      toast.success('Password updated');
-      handleClose();
-    } catch (error) {
-      toast.error(error.message || 'Failed to update password');
-    } finally {
-      setLoading(false);
-    }
-  };
-
   return (
     <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
       <div
         ref={modalRef}
         role="dialog"
         aria-modal="true"
-        aria-labelledby="change-password-title"
+        aria-labelledby="scanner-title"
         className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
       >
-        <div className="flex items-center justify-between mb-6">
-          <h3 id="change-password-title" className="font-display text-xl font-bold">Change Password</h3>
+        <div className="flex items-center justify-between mb-4">
+          <h3 id="scanner-title" className="font-display text-xl font-bold">Scan Coupon</h3>
           <button
-            onClick={handleClose}
+            onClick={onClose}
             className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
-            aria-label="Close change password dialog"
+            aria-label="Close scanner"
           >
             <X className="w-5 h-5" />
           </button>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label htmlFor="current-password" className="text-sm font-medium text-dark-300">Current Password</label>
-            <input
-              id="current-password"
-              type="password"
-              value={currentPassword}
-              onChange={(e) => setCurrentPassword(e.target.value)}
-              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-              autoComplete="current-password"
-              placeholder="Enter current password"
+        {error ? (
+          <p className="text-sm text-red-600 flex items-center gap-2" role="alert">
+            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+            {error}
+          </p>
+        ) : (
+          <>
+            <video
+              ref={videoRef}
+              className="w-full aspect-square object-cover rounded-xl bg-black"
+              muted
+              playsInline
             />
+            <p className="text-sm text-dark-400 mt-3 text-center">
+              Point the camera at the QR code or barcode
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Coupon QR code and barcode, rendered by the server
+function CouponImage({ code, type = 'card' }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+    api.download(`/api/coupons/${encodeURIComponent(code)}/image?type=${type}`)
+      .then(blob => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setSrc(url);
+      })
+      .catch(() => toast.error('Failed to load coupon QR code'));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [code, type]);
+
+  if (!src) {
+    return <RefreshCw className="w-6 h-6 text-brand-500 animate-spin mx-auto my-4" />;
+  }
+
+  return <img src={src} alt={`QR code and barcode for ${code}`} className="w-full rounded-lg bg-white" />;
+}
+
+// Offline redemptions that lost to an earlier redemption of the same coupon (admin)
+function RedemptionConflicts() {
+  const [conflicts, setConflicts] = useState([]);
+
+  useEffect(() => {
+    api.get('/api/coupons/redemption-conflicts')
+      .then(data => setConflicts(data.conflicts))
+      .catch(() => toast.error('Failed to load redemption conflicts'));
+  }, []);
+
+  if (conflicts.length === 0) return null;
+
+  return (
+    <div className="glass rounded-2xl p-5 mt-4">
+      <h3 className="font-display font-semibold text-lg flex items-center gap-2 mb-3">
+        <AlertCircle className="w-5 h-5 text-red-500" />
+        Offline Redemption Conflicts
+      </h3>
+      <p className="text-sm text-dark-400 mb-4">
+        These coupons were redeemed again by a branch that was offline. The first redemption stands.
+      </p>
+      <ul className="space-y-3">
+        {conflicts.map(conflict => (
+          <li key={conflict.id} className="rounded-xl border border-dark-700 bg-white/70 p-3 text-sm">
+            <p className="font-mono font-semibold text-brand-500">{conflict.coupon_code}</p>
+            <p className="text-dark-300">{conflict.customer_name} · {conflict.mobile_number}</p>
+            <p className="text-dark-400 mt-1">
+              First: {conflict.first_redeemed_branch} by {conflict.first_redeemed_by_name},{' '}
+              {new Date(conflict.first_redeemed_at).toLocaleString()} · Invoice {conflict.first_invoice_amount}
+            </p>
+            <p className="text-red-600">
+              Again offline: {conflict.branch} by {conflict.redeemed_by_name},{' '}
+              {new Date(conflict.redeemed_at).toLocaleString()} · Invoice {conflict.invoice_amount}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Coupons the signed-in user may see: their own entries, or their branch's for supervisors
+function StaffEntries() {
+  const { user } = useAuth();
+  const [coupons, setCoupons] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [search]);
+
+  const loadCoupons = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: '50' });
+      if (search) params.append('search', search);
+      const data = await api.get(`/api/coupons?${params}`);
+      setCoupons(data.coupons);
+    } catch (error) {
+      toast.error('Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async (coupon) => {
+    try {
+      await api.post(`/api/coupons/${coupon.id}/resend`);
+      toast.success(`Coupon queued again for ${coupon.customer_name}`);
+      loadCoupons();
+    } catch (error) {
+      toast.error(error.message || 'Resend failed');
+    }
+  };
+
+  return (
+    <div className="glass rounded-2xl p-5 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-display font-semibold text-lg flex items-center gap-2">
+          <Ticket className="w-5 h-5 text-brand-500" />
+          {user.role === 'supervisor' && user.branches ? `${user.branches.join(', ')} Coupons` : 'My Entries'}
+        </h2>
+        <button
+          onClick={loadCoupons}
+          className="p-2 rounded-lg hover:bg-dark-800 transition-colors focus-ring"
+          aria-label="Refresh coupons"
+        >
+          <RefreshCw className={`w-4 h-4 text-dark-400 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search name, mobile, code..."
+          aria-label="Search coupons"
+          className="w-full bg-white/70 border border-dark-700 rounded-lg py-2.5 pl-10 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500"
+        />
+      </div>
+
+      <ul className="space-y-3">
+        {coupons.map(coupon => (
+          <li key={coupon.id} className="rounded-xl border border-dark-700 bg-white/70 p-3 text-sm">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="font-medium">{coupon.customer_name}</p>
+                <p className="text-dark-400">{coupon.mobile_number} · {coupon.branch}</p>
+              </div>
+              <code className="text-brand-400">{coupon.coupon_code}</code>
+            </div>
+            <div className="mt-2 flex items-center justify-between gap-3">
+              <p className="text-dark-400">
+                {coupon.status === 'redeemed'
+                  ? `Redeemed at ${coupon.redeemed_branch}`
+                  : coupon.status === 'expired'
+                    ? 'Expired'
+                    : coupon.whatsapp_sent
+                      ? `Sent${coupon.delivery_channel ? ` via ${channelLabels[coupon.delivery_channel]}` : ''}`
+                      : coupon.whatsapp_job_status === 'dead' ? 'Sending failed' : 'Sending...'}
+                {user.role === 'supervisor' && coupon.staff_name && ` · ${coupon.staff_name}`}
+                {' · '}{new Date(coupon.created_at).toLocaleString()}
+              </p>
+              {!coupon.whatsapp_sent && coupon.status === 'active' && can(user, 'coupons:resend') && (
+                <button
+                  onClick={() => handleResend(coupon)}
+                  className="flex items-center gap-1 px-2 py-1 rounded-lg border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+                  aria-label={`Resend coupon to ${coupon.customer_name}`}
+                >
+                  <RefreshCw className="w-3 h-3" />
+                  Resend
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+        {coupons.length === 0 && !loading && (
+          <li className="text-center text-dark-500 py-6">No coupons found</li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+// Admin Dashboard
+function AdminDashboard() {
+  const { user, logout } = useAuth();
+  const [activeTab, setActiveTab] = useState('dashboard');
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [coupons, setCoupons] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ search: '', branch: '', date: '', campaign_id: '' });
+  const [campaigns, setCampaigns] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [activeCampaignId, setActiveCampaignId] = useState(null);
+  const [statsCampaignId, setStatsCampaignId] = useState('');
+  const [branches, setBranches] = useState([]);
+  const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [overrideTarget, setOverrideTarget] = useState(null);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [overrideLoading, setOverrideLoading] = useState(false);
+  const overrideModalRef = useRef(null);
+  const [timelineCoupon, setTimelineCoupon] = useState(null);
+  const [showExtendModal, setShowExtendModal] = useState(false);
+  const [extendMonths, setExtendMonths] = useState('1');
+  const [extendLoading, setExtendLoading] = useState(false);
+  const extendModalRef = useRef(null);
+
+  const closeExtendModal = () => {
+    setShowExtendModal(false);
+    setExtendMonths('1');
+  };
+
+  useModalFocusTrap(showExtendModal, extendModalRef, closeExtendModal);
+
+  const closeOverrideModal = () => {
+    setOverrideTarget(null);
+    setOverrideReason('');
+  };
+
+  useModalFocusTrap(!!overrideTarget, overrideModalRef, closeOverrideModal);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'coupons') loadCoupons();
+    if (activeTab === 'staff') loadStaff();
+    if (activeTab === 'campaigns') loadCampaigns();
+  }, [activeTab, filters]);
+
+  const loadData = async () => {
+    try {
+      const [statsData, branchesData, campaignsData] = await Promise.all([
+        api.get('/api/stats'),
+        api.get('/api/branches'),
+        api.get('/api/campaigns')
+      ]);
+      setStats(statsData);
+      setBranches(branchesData.branches);
+      setCampaigns(campaignsData.campaigns);
+      setActiveCampaignId(campaignsData.active_campaign_id);
+      setLoading(false);
+    } catch (error) {
+      toast.error('Failed to load data');
+      setLoading(false);
+    }
+  };
+
+  const loadStats = async (campaignId) => {
+    setStatsCampaignId(campaignId);
+    try {
+      const params = new URLSearchParams();
+      if (campaignId) params.append('campaign_id', campaignId);
+      setStats(await api.get(`/api/stats?${params}`));
+    } catch (error) {
+      toast.error('Failed to load stats');
+    }
+  };
+
+  const loadCampaigns = async () => {
+    try {
+      const [data, templatesData] = await Promise.all([
+        api.get('/api/campaigns'),
+        api.get('/api/message-templates')
+      ]);
+      setCampaigns(data.campaigns);
+      setActiveCampaignId(data.active_campaign_id);
+      setTemplates(templatesData.templates);
+    } catch (error) {
+      toast.error('Failed to load campaigns');
+    }
+  };
+
+  const loadCoupons = async () => {
+    try {
+      const params = new URLSearchParams();
+      if (filters.search) params.append('search', filters.search);
+      if (filters.branch) params.append('branch', filters.branch);
+      if (filters.date) params.append('date', filters.date);
+      if (filters.campaign_id) params.append('campaign_id', filters.campaign_id);
+      params.append('limit', '100');
+      
+      const data = await api.get(`/api/coupons?${params}`);
+      setCoupons(data.coupons);
+    } catch (error) {
+      toast.error('Failed to load coupons');
+    }
+  };
+
+  const loadStaff = async () => {
+    try {
+      const data = await api.get('/api/staff');
+      setStaff(data.staff);
+    } catch (error) {
+      toast.error('Failed to load staff');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      toast.loading('Preparing export...');
+      const params = new URLSearchParams();
+      if (filters.branch) params.append('branch', filters.branch);
+      if (filters.campaign_id) params.append('campaign_id', filters.campaign_id);
+      if (filters.date) params.append('date_from', filters.date);
+      if (filters.date) params.append('date_to', filters.date);
+      
+      const response = await fetch(`${API_URL}/api/coupons/export?${params}`, {
+        headers: { Authorization: `Bearer ${api.getToken()}` }
+      });
+      
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `coupons-export-${new Date().toISOString().split('T')[0]}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+      toast.dismiss();
+      toast.success('Export downloaded!');
+    } catch (error) {
+      toast.dismiss();
+      toast.error('Export failed');
+    }
+  };
+
+  // Extends every unredeemed coupon matching the current filters
+  const handleExtendValidity = async (e) => {
+    e.preventDefault();
+    const months = parseInt(extendMonths, 10);
+    if (!months || months < 1 || months > 24) {
+      toast.error('Months must be between 1 and 24');
+      return;
+    }
+
+    setExtendLoading(true);
+    try {
+      const data = await api.post('/api/coupons/extend', {
+        months,
+        campaign_id: filters.campaign_id || undefined,
+        branch: filters.branch || undefined,
+        date_from: filters.date || undefined,
+        date_to: filters.date || undefined,
+        search: filters.search || undefined
+      });
+      toast.success(`Extended ${data.updated} coupon${data.updated === 1 ? '' : 's'}`);
+      closeExtendModal();
+      loadCoupons();
+    } catch (error) {
+      toast.error(error.message || 'Failed to extend validity');
+    } finally {
+      setExtendLoading(false);
+    }
+  };
+
+  // Issues another coupon to a customer who already has one, bypassing the duplicate rule
+  const handleOverride = async (e) => {
+    e.preventDefault();
+    if (!overrideReason.trim()) {
+      toast.error('Please enter a reason');
+      return;
+    }
+
+    setOverrideLoading(true);
+    try {
+      const data = await api.post('/api/coupons', {
+        customer_name: overrideTarget.customer_name,
+        mobile_number: overrideTarget.mobile_number,
+        branch: overrideTarget.branch,
+        override_reason: overrideReason.trim()
+      });
+      toast.success(`New coupon ${data.coupon.coupon_code} issued`);
+      closeOverrideModal();
+      loadCoupons();
+    } catch (error) {
+      toast.error(error.message || 'Failed to issue coupon');
+    } finally {
+      setOverrideLoading(false);
+    }
+  };
+
+  const handleResend = async (couponId) => {
+    try {
+      toast.loading('Resending...');
+      await api.post(`/api/coupons/${couponId}/resend`);
+      toast.dismiss();
+      toast.success('WhatsApp queued');
+      loadCoupons();
+    } catch (error) {
+      toast.dismiss();
+      toast.error('Resend failed');
+    }
+  };
+
+  const menuItems = [
+    { id: 'dashboard', icon: BarChart3, label: 'Dashboard', permission: 'dashboard:view' },
+    { id: 'coupons', icon: Ticket, label: 'Coupons', permission: 'coupons:view' },
+    { id: 'redeem', icon: ScanLine, label: 'Redeem', permission: 'coupons:redeem' },
+    { id: 'campaigns', icon: Megaphone, label: 'Campaigns', permission: 'campaigns:manage' },
+    { id: 'templates', icon: FileText, label: 'Templates', permission: 'campaigns:manage' },
+    { id: 'messages', icon: MessageSquare, label: 'Messages', permission: 'messages:manage' },
+    { id: 'staff', icon: Users, label: 'Staff', permission: 'staff:manage' },
+    { id: 'activity', icon: History, label: 'Activity', permission: 'audit:view' }
+  ].filter(item => can(user, item.permission));
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <RefreshCw className="w-8 h-8 text-brand-500 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen pattern-bg">
+      {/* Mobile Menu Overlay */}
+      {menuOpen && (
+        <div className="fixed inset-0 bg-black/50 z-40 md:hidden" onClick={() => setMenuOpen(false)} />
+      )}
+
+      {/* Sidebar */}
+      <aside className={`fixed inset-y-0 left-0 w-64 glass z-50 transform transition-transform duration-300 md:translate-x-0 ${menuOpen ? 'translate-x-0' : '-translate-x-full'}`}>
+        <div className="p-4 border-b border-dark-700">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl bg-brand-50 border border-brand-100 flex items-center justify-center shadow-sm">
+              <img src={bellaLogo} alt="IDF EXPO 2026 logo" className="w-8 h-8 object-contain" />
+            </div>
+            <div>
+              <h1 className="font-display font-bold">IDF EXPO 2026</h1>
+              <p className="text-xs text-dark-400">
+                {user.role === 'admin' ? 'Admin Panel' : 'Read-only'} - {user.name}
+              </p>
+            </div>
+          </div>
+        </div>
+        
+        <nav className="p-4 space-y-2">
+          {menuItems.map(item => (
+            <button
+              key={item.id}
+              onClick={() => { setActiveTab(item.id); setMenuOpen(false); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-all focus-ring ${
+                activeTab === item.id 
+                  ? 'bg-brand-500/20 text-brand-400' 
+                  : 'text-dark-300 hover:bg-dark-800'
+              }`}
+            >
+              <item.icon className="w-5 h-5" />
+              {item.label}
+            </button>
+          ))}
+        </nav>
+
+        <div className="absolute bottom-4 left-4 right-4 space-y-2">
+          <button
+            onClick={() => setShowPasswordModal(true)}
+            className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-dark-300 hover:bg-dark-800 transition-all focus-ring"
+            aria-label="Change password"
+          >
+            <Lock className="w-5 h-5" />
+            Change Password
+          </button>
+          <button
+            onClick={() => logout()}
+            className="w-full flex items-center gap-3 px-4 py-3 rounded-xl text-dark-400 hover:bg-dark-800 transition-all focus-ring"
+            aria-label="Log out"
+          >
+            <LogOut className="w-5 h-5" />
+            Logout
+          </button>
+        </div>
+      </aside>
+
+      {/* Main Content */}
+      <div className="md:pl-64">
+        {/* Mobile Header */}
+        <header className="glass sticky top-0 z-30 px-4 py-3 flex items-center justify-between md:hidden">
+          <button
+            onClick={() => setMenuOpen(true)}
+            className="p-2 rounded-lg hover:bg-dark-800 focus-ring"
+            aria-label="Open menu"
+            aria-expanded={menuOpen}
+          >
+            <Menu className="w-6 h-6" />
+          </button>
+          <h1 className="font-display font-bold">{menuItems.find(m => m.id === activeTab)?.label}</h1>
+          <div className="w-10" />
+        </header>
+
+        <main className="p-4 md:p-6 animate-fade-in">
+          {/* Dashboard Tab */}
+          {activeTab === 'dashboard' && stats && (
+            <div className="space-y-6">
+              <div className="flex flex-col md:flex-row gap-4 items-start md:items-center justify-between">
+                <h2 className="font-display text-2xl font-bold hidden md:block">Dashboard</h2>
+                <select
+                  value={statsCampaignId}
+                  onChange={(e) => loadStats(e.target.value)}
+                  className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  aria-label="Campaign"
+                >
+                  <option value="">Current campaign</option>
+                  {campaigns.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+              </div>
+              
+              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                <div className="glass rounded-xl p-5">
+                  <p className="text-dark-400 text-sm">Total Coupons</p>
+                  <p className="font-display text-3xl font-bold gradient-text mt-1">{stats.totalCoupons}</p>
+                </div>
+                <div className="glass rounded-xl p-5">
+                  <p className="text-dark-400 text-sm">WhatsApp Sent</p>
+                  <p className="font-display text-3xl font-bold text-emerald-700 mt-1">{stats.whatsappSent}</p>
+                </div>
+                <div className="glass rounded-xl p-5">
+                  <p className="text-dark-400 text-sm">Pending</p>
+                  <p className="font-display text-3xl font-bold text-amber-700 mt-1">{stats.whatsappFailed}</p>
+                </div>
+                <div className="glass rounded-xl p-5">
+                  <p className="text-dark-400 text-sm">Staff Active</p>
+                  <p className="font-display text-3xl font-bold text-sky-700 mt-1">{stats.byStaff?.length || 0}</p>
+                </div>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-6">
+                <div className="glass rounded-xl p-5">
+                  <h3 className="font-display font-semibold mb-4">By Branch</h3>
+                  <div className="space-y-3">
+                    {stats.byBranch?.map(item => (
+                      <div key={item.branch} className="flex items-center justify-between">
+                        <span className="text-dark-300">{item.branch}</span>
+                        <span className="font-semibold">{item.count}</span>
+                      </div>
+                    ))}
+                    {stats.byBranch?.length === 0 && (
+                      <p className="text-dark-500 text-center py-4">No data yet</p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="glass rounded-xl p-5">
+                  <h3 className="font-display font-semibold mb-4">By Staff</h3>
+                  <div className="space-y-3">
+                    {stats.byStaff?.map(item => (
+                      <div key={item.name} className="flex items-center justify-between">
+                        <span className="text-dark-300">{item.name}</span>
+                        <span className="font-semibold">{item.count}</span>
+                      </div>
+                    ))}
+                    {stats.byStaff?.length === 0 && (
+                      <p className="text-dark-500 text-center py-4">No data yet</p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Coupons Tab */}
+          {activeTab === 'coupons' && (
+            <div className="space-y-4">
+              <div className="flex flex-col md:flex-row gap-4 items-start md:items-center justify-between">
+                <h2 className="font-display text-2xl font-bold hidden md:block">Coupons</h2>
+                <div className="flex items-center gap-2">
+                  {can(user, 'coupons:manage') && (
+                    <button
+                      onClick={() => setShowExtendModal(true)}
+                      className="flex items-center gap-2 px-4 py-2 rounded-xl border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+                      aria-haspopup="dialog"
+                    >
+                      <CalendarClock className="w-4 h-4" />
+                      Extend Validity
+                    </button>
+                  )}
+                  {can(user, 'data:export') && (
+                    <button
+                      onClick={handleExport}
+                      className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-xl transition-colors focus-ring"
+                    >
+                      <Download className="w-4 h-4" />
+                      Export Excel
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Filters */}
+              <div className="glass rounded-xl p-4 flex flex-col md:flex-row gap-4">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    type="text"
+                    value={filters.search}
+                    onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+                    placeholder="Search name, mobile, code..."
+                    className="w-full bg-white/70 border border-dark-700 rounded-lg py-2.5 pl-10 pr-4 text-dark-100 placeholder-dark-500 focus:outline-none focus:border-brand-500"
+                  />
+                </div>
+                <select
+                  value={filters.branch}
+                  onChange={(e) => setFilters(prev => ({ ...prev, branch: e.target.value }))}
+                  className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                >
+                  <option value="">All Branches</option>
+                  {branches.map(b => <option key={branchLabel(b)} value={branchLabel(b)}>{branchLabel(b)}</option>)}
+                </select>
+                <select
+                  value={filters.campaign_id}
+                  onChange={(e) => setFilters(prev => ({ ...prev, campaign_id: e.target.value }))}
+                  className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                >
+                  <option value="">All Campaigns</option>
+                  {campaigns.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+                <input
+                  type="date"
+                  value={filters.date}
+                  onChange={(e) => setFilters(prev => ({ ...prev, date: e.target.value }))}
+                  className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                />
+              </div>
+
+              {/* Table */}
+              <div className="glass rounded-xl overflow-hidden">
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr className="border-b border-dark-700">
+                        <th className="text-left p-4 text-dark-400 font-medium">Customer</th>
+                        <th className="text-left p-4 text-dark-400 font-medium">Mobile</th>
+                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Branch</th>
+                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Code</th>
+                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Staff</th>
+                        <th className="text-left p-4 text-dark-400 font-medium">Status</th>
+                        <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Date</th>
+                        <th className="p-4"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {coupons.map(coupon => (
+                        <tr key={coupon.id} className="border-b border-dark-800 hover:bg-dark-800/50">
+                          <td className="p-4">
+                            <div>
+                              <p className="font-medium">{coupon.customer_name}</p>
+                              <p className="text-sm text-dark-400 md:hidden">{coupon.branch}</p>
+                            </div>
+                          </td>
+                          <td className="p-4 text-dark-300">
+                            {coupon.mobile_number}
+                            {coupon.customer_email && (
+                              <p className="text-xs text-dark-400">{coupon.customer_email}</p>
+                            )}
+                          </td>
+                          <td className="p-4 text-dark-300 hidden md:table-cell">{coupon.branch}</td>
+                          <td className="p-4 hidden md:table-cell">
+                            <code className="text-brand-400 text-sm">{coupon.coupon_code}</code>
+                            {coupon.override_reason && (
+                              <p className="text-xs text-amber-700 mt-1" title={coupon.override_reason}>
+                                Override: {coupon.override_reason}
+                              </p>
+                            )}
+                          </td>
+                          <td className="p-4 text-dark-300 hidden md:table-cell">{coupon.staff_name}</td>
+                          <td className="p-4">
+                            {coupon.whatsapp_status && coupon.whatsapp_sent ? (
+                              <button
+                                onClick={() => setTimelineCoupon(coupon)}
+                                className="inline-flex items-center gap-1 px-2 py-1 bg-emerald-100 text-emerald-700 rounded-lg text-sm focus-ring"
+                                aria-haspopup="dialog"
+                                aria-label={`WhatsApp ${coupon.whatsapp_status}, show delivery timeline`}
+                              >
+                                <Check className="w-3 h-3" /> {deliveryStatusLabels[coupon.whatsapp_status] || coupon.whatsapp_status}
+                              </button>
+                            ) : coupon.whatsapp_sent ? (
+                              <span className="inline-flex items-center gap-1 px-2 py-1 bg-emerald-100 text-emerald-700 rounded-lg text-sm">
+                                <Check className="w-3 h-3" /> Sent
+                              </span>
+                            ) : coupon.whatsapp_status ? (
+                              <button
+                                onClick={() => setTimelineCoupon(coupon)}
+                                className="inline-flex items-center gap-1 px-2 py-1 bg-red-100 text-red-700 rounded-lg text-sm focus-ring"
+                                title={coupon.whatsapp_error || ''}
+                                aria-haspopup="dialog"
+                                aria-label={`WhatsApp ${coupon.whatsapp_status}, show delivery timeline`}
+                              >
+                                <AlertCircle className="w-3 h-3" /> {deliveryStatusLabels[coupon.whatsapp_status] || coupon.whatsapp_status}
+                              </button>
+                            ) : coupon.whatsapp_job_status === 'dead' ? (
+                              <span
+                                className="inline-flex items-center gap-1 px-2 py-1 bg-red-100 text-red-700 rounded-lg text-sm"
+                                title={coupon.whatsapp_error || ''}
+                              >
+                                <AlertCircle className="w-3 h-3" /> Failed
+                              </span>
+                            ) : (
+                              <span
+                                className="inline-flex items-center gap-1 px-2 py-1 bg-amber-100 text-amber-700 rounded-lg text-sm"
+                                title={coupon.whatsapp_error ? `Retrying: ${coupon.whatsapp_error}` : ''}
+                              >
+                                <AlertCircle className="w-3 h-3" /> Pending
+                              </span>
+                            )}
+                            {coupon.whatsapp_sent && coupon.delivery_channel ? (
+                              <p className="text-xs text-dark-400 mt-1">via {channelLabels[coupon.delivery_channel]}</p>
+                            ) : null}
+                            {coupon.status === 'expired' && (
+                              <span
+                                className="mt-1 inline-flex items-center gap-1 px-2 py-1 bg-red-100 text-red-700 rounded-lg text-sm"
+                                title={`Expired on ${new Date(coupon.expires_at).toLocaleDateString()}`}
+                              >
+                                <CalendarClock className="w-3 h-3" /> Expired
+                              </span>
+                            )}
+                            {coupon.redeemed_at && (
+                              <span
+                                className="mt-1 inline-flex items-center gap-1 px-2 py-1 bg-sky-100 text-sky-700 rounded-lg text-sm"
+                                title={`Redeemed at ${coupon.redeemed_branch} on ${new Date(coupon.redeemed_at).toLocaleString()}`}
+                              >
+                                <Receipt className="w-3 h-3" /> Redeemed
+                              </span>
+                            )}
+                          </td>
+                          <td className="p-4 text-dark-400 text-sm hidden md:table-cell">
+                            {new Date(coupon.created_at).toLocaleString()}
+                          </td>
+                          <td className="p-4">
+                            <div className="flex items-center gap-1">
+                              {!coupon.whatsapp_sent && can(user, 'coupons:resend') && (
+                                <button
+                                  onClick={() => handleResend(coupon.id)}
+                                  className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                                  title="Resend WhatsApp"
+                                  aria-label={`Resend WhatsApp for ${coupon.customer_name}`}
+                                >
+                                  <RefreshCw className="w-4 h-4 text-dark-400" />
+                                </button>
+                              )}
+                              {can(user, 'coupons:manage') && (
+                                <button
+                                  onClick={() => setOverrideTarget(coupon)}
+                                  className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                                  title="Issue another coupon"
+                                  aria-label={`Issue another coupon for ${coupon.customer_name}`}
+                                  aria-haspopup="dialog"
+                                >
+                                  <Plus className="w-4 h-4 text-dark-400" />
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                      {coupons.length === 0 && (
+                        <tr>
+                          <td colSpan="8" className="p-8 text-center text-dark-500">
+                            No coupons found
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Redeem Tab */}
+          {activeTab === 'redeem' && (
+            <div className="max-w-lg">
+              <RedeemCoupon branches={branches} />
+              {can(user, 'coupons:manage') && <RedemptionConflicts />}
+            </div>
+          )}
+
+          {/* Campaigns Tab */}
+          {activeTab === 'campaigns' && (
+            <CampaignManagement
+              campaigns={campaigns}
+              templates={templates}
+              activeCampaignId={activeCampaignId}
+              onRefresh={loadCampaigns}
+            />
+          )}
+
+          {/* Templates Tab */}
+          {activeTab === 'templates' && <TemplateManagement />}
+
+          {/* Messages Tab */}
+          {activeTab === 'messages' && <MessageQueue />}
+
+          {/* Staff Tab */}
+          {activeTab === 'staff' && (
+            <div className="space-y-8">
+              <StaffManagement staff={staff} branches={branches} onRefresh={loadStaff} />
+              <DeviceManagement />
+              <LoginHistory />
+            </div>
+          )}
+
+          {/* Activity Tab */}
+          {activeTab === 'activity' && <ActivityLog />}
+        </main>
+      </div>
+
+      <MessageTimelineModal coupon={timelineCoupon} onClose={() => setTimelineCoupon(null)} />
+
+      {/* Duplicate Override Modal */}
+      {overrideTarget && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={overrideModalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="override-title"
+            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="override-title" className="font-display text-xl font-bold">Issue Another Coupon</h3>
+              <button
+                onClick={closeOverrideModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close issue coupon dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleOverride} className="space-y-4">
+              <div className="rounded-xl border border-dark-700 bg-white/70 p-4">
+                <p className="text-sm text-dark-400">New coupon for</p>
+                <p className="font-semibold">{overrideTarget.customer_name}</p>
+                <p className="text-sm text-dark-400">{overrideTarget.mobile_number} · {overrideTarget.branch}</p>
+              </div>
+              <div>
+                <label htmlFor="override-reason" className="text-sm font-medium text-dark-300">Reason</label>
+                <input
+                  id="override-reason"
+                  type="text"
+                  value={overrideReason}
+                  onChange={(e) => setOverrideReason(e.target.value)}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  placeholder="Why this customer gets another coupon"
+                />
+              </div>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeOverrideModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={overrideLoading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {overrideLoading ? 'Issuing...' : 'Issue Coupon'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Extend Validity Modal */}
+      {showExtendModal && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={extendModalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="extend-validity-title"
+            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="extend-validity-title" className="font-display text-xl font-bold">Extend Validity</h3>
+              <button
+                onClick={closeExtendModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close extend validity dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleExtendValidity} className="space-y-4">
+              <div className="rounded-xl border border-dark-700 bg-white/70 p-4 text-sm text-dark-300">
+                <p>Applies to all unredeemed coupons</p>
+                <p className="text-dark-400">
+                  {campaigns.find(c => String(c.id) === String(filters.campaign_id))?.name || 'All campaigns'}
+                  {' · '}{filters.branch || 'All branches'} · {filters.date || 'All dates'}
+                  {filters.search && ` · Matching "${filters.search}"`}
+                </p>
+              </div>
+              <div>
+                <label htmlFor="extend-months" className="text-sm font-medium text-dark-300">Extend by (months)</label>
+                <input
+                  id="extend-months"
+                  type="number"
+                  min="1"
+                  max="24"
+                  value={extendMonths}
+                  onChange={(e) => setExtendMonths(e.target.value)}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  inputMode="numeric"
+                />
+              </div>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeExtendModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={extendLoading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {extendLoading ? 'Extending...' : 'Extend'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      <ChangePasswordModal
+        isOpen={showPasswordModal}
+        onClose={() => setShowPasswordModal(false)}
+      />
+    </div>
+  );
+}
+
+function useModalFocusTrap(isOpen, modalRef, onClose) {
+  useEffect(() => {
+    if (!isOpen) return;
+    const previousFocus = document.activeElement;
+    const modal = modalRef.current;
+    if (!modal) return;
+
+    const focusableSelectors = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+    const focusableElements = Array.from(modal.querySelectorAll(focusableSelectors))
+      .filter((el) => !el.hasAttribute('disabled'));
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onClose();
+        return;
+      }
+
+      if (event.key !== 'Tab' || focusableElements.length === 0) return;
+
+      if (event.shiftKey && document.activeElement === firstElement) {
+        event.preventDefault();
+        lastElement.focus();
+      } else if (!event.shiftKey && document.activeElement === lastElement) {
+        event.preventDefault();
+        firstElement.focus();
+      }
+    };
+
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', handleKeyDown);
+    if (firstElement) firstElement.focus();
+
+    return () => {
+      document.body.style.overflow = '';
+      document.removeEventListener('keydown', handleKeyDown);
+      if (previousFocus && previousFocus.focus) {
+        previousFocus.focus();
+      }
+    };
+  }, [isOpen, modalRef, onClose]);
+}
+
+// required: first login on a default password; the dialog cannot be dismissed
+function ChangePasswordModal({ isOpen, onClose, required = false }) {
+  const { user, logout, refreshUser } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [pin, setPin] = useState('');
+  const [pinPassword, setPinPassword] = useState('');
+  const [pinLoading, setPinLoading] = useState(false);
+  const modalRef = useRef(null);
+
+  const handleClose = () => {
+    setCurrentPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+    setLoading(false);
+    setPin('');
+    setPinPassword('');
+    onClose();
+  };
+
+  useModalFocusTrap(isOpen, modalRef, required ? () => {} : handleClose);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    if (!currentPassword || !newPassword) {
+      toast.error('Please fill all fields');
+      return;
+    }
+
+    if (newPassword.length < 4) {
+      toast.error('Password must be at least 4 characters');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.patch('/api/auth/password', {
+        current_password: currentPassword,
+        new_password: newPassword
+      });
+      toast.success('Password updated');
+      handleClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSavePin = async (event) => {
+    event.preventDefault();
+
+    if (!/^\d{4,6}$/.test(pin)) {
+      toast.error('PIN must be 4 to 6 digits');
+      return;
+    }
+
+    if (!pinPassword) {
+      toast.error('Please enter your current password');
+      return;
+    }
+
+    setPinLoading(true);
+    try {
+      await api.patch('/api/auth/pin', { current_password: pinPassword, pin });
+      toast.success('PIN saved');
+      setPin('');
+      setPinPassword('');
+      refreshUser();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save PIN');
+    } finally {
+      setPinLoading(false);
+    }
+  };
+
+  const handleRemovePin = async () => {
+    try {
+      await api.delete('/api/auth/pin');
+      toast.success('PIN removed');
+      refreshUser();
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove PIN');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+      <div
+        ref={modalRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="change-password-title"
+        className="glass rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto animate-bounce-in"
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 id="change-password-title" className="font-display text-xl font-bold">
+            {required ? 'Choose a New Password' : 'Change Password'}
+          </h3>
+          {!required && (
+            <button
+              onClick={handleClose}
+              className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+              aria-label="Close change password dialog"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+
+        {required && (
+          <p className="text-sm text-dark-400 mb-4 flex items-start gap-2">
+            <AlertCircle className="w-4 h-4 text-amber-600 flex-shrink-0 mt-0.5" />
+            This account still uses the default password. Choose a new one to continue.
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="current-password" className="text-sm font-medium text-dark-300">Current Password</label>
+            <input
+              id="current-password"
+              type="password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+              autoComplete="current-password"
+              placeholder="Enter current password"
+            />
+          </div>
+          <div>
+            <label htmlFor="new-password" className="text-sm font-medium text-dark-300">New Password</label>
+            <input
+              id="new-password"
+              type="password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+              autoComplete="new-password"
+              placeholder="Minimum 4 characters"
+            />
+          </div>
+          <div>
+            <label htmlFor="confirm-password" className="text-sm font-medium text-dark-300">Confirm New Password</label>
+            <input
+              id="confirm-password"
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+              autoComplete="new-password"
+              placeholder="Re-enter new password"
+            />
+          </div>
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={required ? () => logout() : handleClose}
+              className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+            >
+              {required ? 'Log Out' : 'Cancel'}
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+            >
+              {loading ? 'Updating...' : 'Update Password'}
+            </button>
+          </div>
+        </form>
+
+        {!required && user.can_use_pin && (
+          <form onSubmit={handleSavePin} className="mt-6 pt-4 border-t border-dark-700 space-y-3">
+            <div className="flex items-center justify-between">
+              <h4 className="font-semibold flex items-center gap-2">
+                <KeyRound className="w-4 h-4 text-brand-500" />
+                Quick Login PIN
+              </h4>
+              {user.has_pin ? (
+                <button
+                  type="button"
+                  onClick={handleRemovePin}
+                  className="text-sm text-red-600 hover:underline focus-ring rounded-lg"
+                >
+                  Remove PIN
+                </button>
+              ) : null}
+            </div>
+            <p className="text-sm text-dark-400">
+              {user.has_pin
+                ? 'You can sign in with your PIN on shared stall tablets. Enter a new one to change it.'
+                : 'Set a PIN to sign in quickly on shared stall tablets.'}
+            </p>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="quick-pin" className="text-sm font-medium text-dark-300">
+                  {user.has_pin ? 'New PIN' : 'PIN'}
+                </label>
+                <input
+                  id="quick-pin"
+                  type="password"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  autoComplete="off"
+                  placeholder="4-6 digits"
+                />
+              </div>
+              <div>
+                <label htmlFor="quick-pin-password" className="text-sm font-medium text-dark-300">Current Password</label>
+                <input
+                  id="quick-pin-password"
+                  type="password"
+                  value={pinPassword}
+                  onChange={(e) => setPinPassword(e.target.value)}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  autoComplete="current-password"
+                  placeholder="To confirm"
+                />
+              </div>
+            </div>
+            <button
+              type="submit"
+              disabled={pinLoading}
+              className="w-full py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors disabled:opacity-50 focus-ring"
+            >
+              {pinLoading ? 'Saving...' : 'Save PIN'}
+            </button>
+          </form>
+        )}
+
+        {!required && (
+          <div className="mt-6 pt-4 border-t border-dark-700">
+            <p className="text-sm text-dark-400">Lost a device, or signed in somewhere you shouldn't be?</p>
+            <button
+              type="button"
+              onClick={() => {
+                if (window.confirm('Log out on every device, including this one?')) {
+                  logout({ everywhere: true });
+                }
+              }}
+              className="mt-2 w-full py-3 rounded-xl border border-red-200 text-red-600 hover:bg-red-50 transition-colors flex items-center justify-center gap-2 focus-ring"
+            >
+              <LogOut className="w-4 h-4" />
+              Log Out Everywhere
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Staff Management Component
+function StaffManagement({ staff, branches, onRefresh }) {
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [showResetModal, setShowResetModal] = useState(false);
+  const [newStaff, setNewStaff] = useState({ username: '', password: '', name: '', role: 'staff' });
+  const [resetTarget, setResetTarget] = useState(null);
+  const [resetPassword, setResetPassword] = useState('');
+  const [roleTarget, setRoleTarget] = useState(null);
+  const [roleValue, setRoleValue] = useState('staff');
+  const [branchTarget, setBranchTarget] = useState(null);
+  const [branchSelection, setBranchSelection] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [resetLoading, setResetLoading] = useState(false);
+  const [roleLoading, setRoleLoading] = useState(false);
+  const [branchLoading, setBranchLoading] = useState(false);
+  const addModalRef = useRef(null);
+  const resetModalRef = useRef(null);
+  const roleModalRef = useRef(null);
+  const branchModalRef = useRef(null);
+
+  const closeResetModal = () => {
+    setShowResetModal(false);
+    setResetTarget(null);
+    setResetPassword('');
+  };
+
+  const closeRoleModal = () => setRoleTarget(null);
+  const closeBranchModal = () => setBranchTarget(null);
+
+  useModalFocusTrap(showAddModal, addModalRef, () => setShowAddModal(false));
+  useModalFocusTrap(showResetModal, resetModalRef, closeResetModal);
+  useModalFocusTrap(!!roleTarget, roleModalRef, closeRoleModal);
+  useModalFocusTrap(!!branchTarget, branchModalRef, closeBranchModal);
+
+  const handleAddStaff = async (e) => {
+    e.preventDefault();
+    if (!newStaff.username || !newStaff.password || !newStaff.name) {
+      toast.error('Please fill all fields');
+      return;
+    }
+    
+    setLoading(true);
+    try {
+      await api.post('/api/staff', newStaff);
+      toast.success('Staff member added!');
+      setShowAddModal(false);
+      setNewStaff({ username: '', password: '', name: '', role: 'staff' });
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to add staff');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleStatus = async (id) => {
+    try {
+      await api.patch(`/api/staff/${id}/toggle`);
+      toast.success('Status updated');
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update status');
+    }
+  };
+
+  const handleChangeRole = async (e) => {
+    e.preventDefault();
+    setRoleLoading(true);
+    try {
+      await api.patch(`/api/staff/${roleTarget.id}/role`, { role: roleValue });
+      toast.success('Role updated');
+      closeRoleModal();
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update role');
+    } finally {
+      setRoleLoading(false);
+    }
+  };
+
+  const handleSaveBranches = async (e) => {
+    e.preventDefault();
+    setBranchLoading(true);
+    try {
+      await api.patch(`/api/staff/${branchTarget.id}/branches`, { branches: branchSelection });
+      toast.success('Branches updated');
+      closeBranchModal();
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update branches');
+    } finally {
+      setBranchLoading(false);
+    }
+  };
+
+  // Assigned names no longer in the branch list stay selectable so they can be removed
+  const branchOptions = [...new Set([...branches.map(branchLabel), ...(branchTarget?.branches || [])])];
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    if (!resetPassword || resetPassword.length < 4) {
+      toast.error('Password must be at least 4 characters');
+      return;
+    }
+
+    if (!resetTarget) {
+      toast.error('Select a staff member');
+      return;
+    }
+
+    setResetLoading(true);
+    try {
+      await api.patch(`/api/staff/${resetTarget.id}/password`, { password: resetPassword });
+      toast.success('Password updated');
+      closeResetModal();
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update password');
+    } finally {
+      setResetLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-display text-2xl font-bold hidden md:block">Staff Management</h2>
+        <button
+          onClick={() => setShowAddModal(true)}
+          className="flex items-center gap-2 px-4 py-2 bg-brand-600 hover:bg-brand-700 rounded-xl transition-colors focus-ring"
+          aria-haspopup="dialog"
+        >
+          <Plus className="w-4 h-4" />
+          Add Staff
+        </button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {staff.map(member => (
+          <div key={member.id} className="glass rounded-xl p-5">
+            <div className="flex items-start justify-between">
+              <div className="flex items-center gap-3">
+                <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${roleBadgeStyles[member.role]}`}>
+                  <User className="w-6 h-6" />
+                </div>
+                <div>
+                  <p className="font-semibold">{member.name}</p>
+                  <p className="text-sm text-dark-400">@{member.username}</p>
+                </div>
+              </div>
+              <button
+                onClick={() => {
+                  setRoleTarget(member);
+                  setRoleValue(member.role);
+                }}
+                className={`px-2 py-1 rounded-lg text-xs font-medium focus-ring ${roleBadgeStyles[member.role]}`}
+                aria-label={`Change role of ${member.name}, now ${member.role}`}
+                aria-haspopup="dialog"
+              >
+                {member.role}
+              </button>
+            </div>
+
+            {member.role !== 'admin' && (
+              <button
+                onClick={() => {
+                  setBranchTarget(member);
+                  setBranchSelection(member.branches);
+                }}
+                className="mt-3 flex items-center gap-2 text-sm text-dark-300 hover:text-brand-600 focus-ring rounded-lg"
+                aria-label={`Change branches of ${member.name}`}
+                aria-haspopup="dialog"
+              >
+                <Building className="w-4 h-4 flex-shrink-0" />
+                {member.branches.length > 0 ? member.branches.join(', ') : 'All branches'}
+                <Pencil className="w-3 h-3" />
+              </button>
+            )}
+            
+            <div className="mt-4 pt-4 border-t border-dark-700 flex items-center justify-between gap-3">
+              <span className={`text-sm ${member.active ? 'text-emerald-700' : 'text-red-600'}`}>
+                {member.active ? 'Active' : 'Inactive'}
+                {member.has_pin ? <span className="text-dark-400"> · PIN set</span> : null}
+              </span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => {
+                    setResetTarget(member);
+                    setResetPassword('');
+                    setShowResetModal(true);
+                  }}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+                  aria-label={`Reset password for ${member.name}`}
+                >
+                  <Lock className="w-4 h-4" />
+                  Reset Password
+                </button>
+                <button
+                  onClick={() => handleToggleStatus(member.id)}
+                  className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                  aria-label={`Set ${member.name} ${member.active ? 'inactive' : 'active'}`}
+                  aria-pressed={member.active}
+                >
+                  {member.active ? (
+                    <ToggleRight className="w-6 h-6 text-emerald-600" />
+                  ) : (
+                    <ToggleLeft className="w-6 h-6 text-dark-500" />
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Add Staff Modal */}
+      {showAddModal && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={addModalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="add-staff-title"
+            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="add-staff-title" className="font-display text-xl font-bold">Add Staff Member</h3>
+              <button
+                onClick={() => setShowAddModal(false)}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close add staff dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            
+            <form onSubmit={handleAddStaff} className="space-y-4">
+              <div>
+                <label htmlFor="staff-name" className="text-sm font-medium text-dark-300">Full Name</label>
+                <input
+                  id="staff-name"
+                  type="text"
+                  value={newStaff.name}
+                  onChange={(e) => setNewStaff(prev => ({ ...prev, name: e.target.value }))}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  placeholder="John Doe"
+                />
+              </div>
+              <div>
+                <label htmlFor="staff-username" className="text-sm font-medium text-dark-300">Username</label>
+                <input
+                  id="staff-username"
+                  type="text"
+                  value={newStaff.username}
+                  onChange={(e) => setNewStaff(prev => ({ ...prev, username: e.target.value.toLowerCase() }))}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  placeholder="johndoe"
+                />
+              </div>
+              <div>
+                <label htmlFor="staff-password" className="text-sm font-medium text-dark-300">Password</label>
+                <input
+                  id="staff-password"
+                  type="text"
+                  value={newStaff.password}
+                  onChange={(e) => setNewStaff(prev => ({ ...prev, password: e.target.value }))}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  placeholder="Minimum 4 characters"
+                />
+              </div>
+              <div>
+                <label htmlFor="staff-role" className="text-sm font-medium text-dark-300">Role</label>
+                <select
+                  id="staff-role"
+                  value={newStaff.role}
+                  onChange={(e) => setNewStaff(prev => ({ ...prev, role: e.target.value }))}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                >
+                  {staffRoles.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                </select>
+                <p className="text-xs text-dark-400 mt-1">
+                  {staffRoles.find(role => role.id === newStaff.role).description}
+                </p>
+              </div>
+              
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowAddModal(false)}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {loading ? 'Adding...' : 'Add Staff'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {showResetModal && resetTarget && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={resetModalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="reset-password-title"
+            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="reset-password-title" className="font-display text-xl font-bold">Reset Password</h3>
+              <button
+                onClick={closeResetModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close reset password dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleResetPassword} className="space-y-4">
+              <div className="rounded-xl border border-dark-700 bg-white/70 p-4">
+                <p className="text-sm text-dark-400">Resetting password for</p>
+                <p className="font-semibold">{resetTarget.name}</p>
+                <p className="text-sm text-dark-400">@{resetTarget.username}</p>
+              </div>
+              <div>
+                <label htmlFor="reset-password" className="text-sm font-medium text-dark-300">New Password</label>
+                <input
+                  id="reset-password"
+                  type="text"
+                  value={resetPassword}
+                  onChange={(e) => setResetPassword(e.target.value)}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  placeholder="Minimum 4 characters"
+                />
+              </div>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeResetModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={resetLoading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {resetLoading ? 'Updating...' : 'Update Password'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {roleTarget && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={roleModalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="change-role-title"
+            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="change-role-title" className="font-display text-xl font-bold">Change Role</h3>
+              <button
+                onClick={closeRoleModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close change role dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleChangeRole} className="space-y-4">
+              <div className="rounded-xl border border-dark-700 bg-white/70 p-4">
+                <p className="font-semibold">{roleTarget.name}</p>
+                <p className="text-sm text-dark-400">@{roleTarget.username}</p>
+              </div>
+              <fieldset className="space-y-2">
+                <legend className="text-sm font-medium text-dark-300 mb-1">Role</legend>
+                {staffRoles.map(role => (
+                  <label
+                    key={role.id}
+                    className={`flex items-start gap-3 p-3 rounded-xl border cursor-pointer transition-colors ${
+                      roleValue === role.id ? 'border-brand-500 bg-brand-50' : 'border-dark-700 bg-white/70'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="staff-role"
+                      value={role.id}
+                      checked={roleValue === role.id}
+                      onChange={() => setRoleValue(role.id)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium">{role.label}</span>
+                      <span className="block text-xs text-dark-400">{role.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </fieldset>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeRoleModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={roleLoading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {roleLoading ? 'Saving...' : 'Save Role'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {branchTarget && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={branchModalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="staff-branches-title"
+            className="glass rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="staff-branches-title" className="font-display text-xl font-bold">Branches</h3>
+              <button
+                onClick={closeBranchModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close branches dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveBranches} className="space-y-4">
+              <p className="text-sm text-dark-400">
+                {branchTarget.name} can create and redeem coupons only for the ticked branches. Leave all unticked
+                to allow any branch.
+              </p>
+              <fieldset className="space-y-2">
+                <legend className="sr-only">Assigned branches</legend>
+                {branchOptions.map(branch => (
+                  <label
+                    key={branch}
+                    className="flex items-center gap-3 p-3 rounded-xl border border-dark-700 bg-white/70 cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={branchSelection.includes(branch)}
+                      onChange={(e) => setBranchSelection(prev => (
+                        e.target.checked ? [...prev, branch] : prev.filter(name => name !== branch)
+                      ))}
+                    />
+                    {branch}
+                  </label>
+                ))}
+                {branchOptions.length === 0 && (
+                  <p className="text-sm text-dark-500">No branches available</p>
+                )}
+              </fieldset>
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeBranchModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={branchLoading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {branchLoading ? 'Saving...' : 'Save Branches'}
+                </button>
+              </div>
+            </form>
           </div>
-          <div>
-            <label htmlFor="new-password" className="text-sm font-medium text-dark-300">New Password</label>
-            <input
-              id="new-password"
-              type="password"
-              value={newPassword}
-              onChange={(e) => setNewPassword(e.target.value)}
-              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-              autoComplete="new-password"
-              placeholder="Minimum 4 characters"
-            />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Campaign Management Component
+const emptyCampaign = {
+  name: '', tag: '', code_prefix: '', discount_percent: '15', validity_months: '4',
+  coupons_per_mobile: '1', channel_order: 'whatsapp,sms,email', message_template_id: '', whatsapp_template: '',
+  starts_at: '', ends_at: ''
+};
+
+function CampaignManagement({ campaigns, templates, activeCampaignId, onRefresh }) {
+  const [showModal, setShowModal] = useState(false);
+  const [editTarget, setEditTarget] = useState(null);
+  const [form, setForm] = useState(emptyCampaign);
+  const [loading, setLoading] = useState(false);
+  const modalRef = useRef(null);
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditTarget(null);
+    setForm(emptyCampaign);
+  };
+
+  useModalFocusTrap(showModal, modalRef, closeModal);
+
+  const openAdd = () => {
+    setEditTarget(null);
+    setForm(emptyCampaign);
+    setShowModal(true);
+  };
+
+  const openEdit = (campaign) => {
+    setEditTarget(campaign);
+    setForm({
+      name: campaign.name,
+      tag: campaign.tag,
+      code_prefix: campaign.code_prefix,
+      discount_percent: String(campaign.discount_percent),
+      validity_months: String(campaign.validity_months),
+      coupons_per_mobile: String(campaign.coupons_per_mobile),
+      channel_order: campaign.channel_order || '',
+      message_template_id: campaign.message_template_id ? String(campaign.message_template_id) : '',
+      whatsapp_template: campaign.whatsapp_template || '',
+      starts_at: campaign.starts_at || '',
+      ends_at: campaign.ends_at || ''
+    });
+    setShowModal(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name || !form.tag || !form.code_prefix) {
+      toast.error('Please fill name, tag and code prefix');
+      return;
+    }
+
+    const payload = {
+      ...form,
+      discount_percent: Number(form.discount_percent),
+      validity_months: Number(form.validity_months),
+      coupons_per_mobile: Number(form.coupons_per_mobile),
+      message_template_id: form.message_template_id ? Number(form.message_template_id) : null
+    };
+
+    setLoading(true);
+    try {
+      if (editTarget) {
+        await api.patch(`/api/campaigns/${editTarget.id}`, payload);
+        toast.success('Campaign updated');
+      } else {
+        await api.post('/api/campaigns', payload);
+        toast.success('Campaign added!');
+      }
+      closeModal();
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save campaign');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleActive = async (campaign) => {
+    try {
+      await api.patch(`/api/campaigns/${campaign.id}`, { active: !campaign.active });
+      toast.success('Status updated');
+      onRefresh();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update status');
+    }
+  };
+
+  const fields = [
+    { id: 'name', label: 'Name', placeholder: 'IDF EXPO 2026' },
+    { id: 'tag', label: 'Odoo Tag', placeholder: '#IDF2026', disabled: editTarget?.coupon_count > 0 },
+    { id: 'code_prefix', label: 'Code Prefix', placeholder: 'EXPO' },
+    { id: 'discount_percent', label: 'Discount (%)', type: 'number' },
+    { id: 'validity_months', label: 'Validity (months)', type: 'number' },
+    { id: 'coupons_per_mobile', label: 'Coupons per mobile (0 = no limit)', type: 'number' },
+    { id: 'channel_order', label: 'Delivery order (tried until one works)', placeholder: 'whatsapp,sms,email' },
+    { id: 'message_template_id', label: 'Message Text', type: 'select' },
+    { id: 'whatsapp_template', label: 'WhatsApp Template (Odoo/Meta)', placeholder: 'idf_2026' },
+    { id: 'starts_at', label: 'Starts', type: 'date' },
+    { id: 'ends_at', label: 'Ends', type: 'date' }
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-display text-2xl font-bold hidden md:block">Campaigns</h2>
+        <button
+          onClick={openAdd}
+          className="flex items-center gap-2 px-4 py-2 bg-brand-600 hover:bg-brand-700 rounded-xl transition-colors focus-ring"
+          aria-haspopup="dialog"
+        >
+          <Plus className="w-4 h-4" />
+          Add Campaign
+        </button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {campaigns.map(campaign => (
+          <div key={campaign.id} className="glass rounded-xl p-5">
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="font-semibold">{campaign.name}</p>
+                <p className="text-sm text-dark-400">
+                  {campaign.tag} · <span className="font-mono">{campaign.code_prefix}-</span>
+                </p>
+              </div>
+              {campaign.id === activeCampaignId && (
+                <span className="px-2 py-1 rounded-lg text-xs font-medium bg-emerald-100 text-emerald-700">
+                  issuing now
+                </span>
+              )}
+            </div>
+
+            <div className="mt-3 grid grid-cols-2 gap-2 text-sm text-dark-300">
+              <p>{campaign.discount_percent}% off</p>
+              <p>Valid {campaign.validity_months} months</p>
+              <p>{campaign.starts_at || 'No start'} → {campaign.ends_at || 'No end'}</p>
+              <p>{campaign.coupon_count} coupons</p>
+              <p>{campaign.coupons_per_mobile ? `${campaign.coupons_per_mobile} per mobile` : 'No per-mobile limit'}</p>
+              <p className="col-span-2">
+                Sends via {(campaign.channel_order || 'whatsapp').split(',').map(c => channelLabels[c] || c).join(' → ')}
+              </p>
+            </div>
+
+            <div className="mt-4 pt-4 border-t border-dark-700 flex items-center justify-between gap-3">
+              <span className={`text-sm ${campaign.active ? 'text-emerald-700' : 'text-red-600'}`}>
+                {campaign.active ? 'Active' : 'Inactive'}
+              </span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => openEdit(campaign)}
+                  className="flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+                  aria-label={`Edit ${campaign.name}`}
+                >
+                  <Pencil className="w-4 h-4" />
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleToggleActive(campaign)}
+                  className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                  aria-label={`Set ${campaign.name} ${campaign.active ? 'inactive' : 'active'}`}
+                  aria-pressed={!!campaign.active}
+                >
+                  {campaign.active ? (
+                    <ToggleRight className="w-6 h-6 text-emerald-600" />
+                  ) : (
+                    <ToggleLeft className="w-6 h-6 text-dark-500" />
+                  )}
+                </button>
+              </div>
+            </div>
           </div>
-          <div>
-            <label htmlFor="confirm-password" className="text-sm font-medium text-dark-300">Confirm New Password</label>
-            <input
-              id="confirm-password"
-              type="password"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
-              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-              autoComplete="new-password"
-              placeholder="Re-enter new password"
-            />
+        ))}
+        {campaigns.length === 0 && (
+          <p className="text-dark-500 text-center py-8 md:col-span-2">No campaigns yet</p>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={modalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="campaign-modal-title"
+            className="glass rounded-2xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="campaign-modal-title" className="font-display text-xl font-bold">
+                {editTarget ? 'Edit Campaign' : 'Add Campaign'}
+              </h3>
+              <button
+                onClick={closeModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close campaign dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSave} className="grid grid-cols-2 gap-4">
+              {fields.map(field => (
+                <div key={field.id} className={['name', 'whatsapp_template', 'coupons_per_mobile', 'channel_order', 'message_template_id'].includes(field.id) ? 'col-span-2' : ''}>
+                  <label htmlFor={`campaign-${field.id}`} className="text-sm font-medium text-dark-300">{field.label}</label>
+                  {field.type === 'select' ? (
+                    <select
+                      id={`campaign-${field.id}`}
+                      value={form[field.id]}
+                      onChange={(e) => setForm(prev => ({ ...prev, [field.id]: e.target.value }))}
+                      className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                    >
+                      <option value="">Default ({templates[0]?.name || 'built-in text'})</option>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      id={`campaign-${field.id}`}
+                      type={field.type || 'text'}
+                      value={form[field.id]}
+                      onChange={(e) => setForm(prev => ({ ...prev, [field.id]: e.target.value }))}
+                      disabled={field.disabled}
+                      className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500 disabled:opacity-50"
+                      placeholder={field.placeholder}
+                    />
+                  )}
+                </div>
+              ))}
+
+              <div className="col-span-2 flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {loading ? 'Saving...' : 'Save Campaign'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Message Templates (admin)
+const emptyTemplate = { name: '', variants: { en: '', ar: '' } };
+
+// Same substitution the server does when it sends a coupon
+const renderMessageTemplate = (body, values) =>
+  body.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (values[key] ?? match));
+
+// Sample customer for the live preview
+const templatePreviewValues = (language) => ({
+  name: language === 'ar' ? 'فاطمة البلوشي' : 'Fatma Al Balushi',
+  code: 'EXPO-8K2PQ7XM',
+  discount: 15,
+  expiry: new Date(Date.now() + 120 * 24 * 60 * 60 * 1000).toLocaleDateString(
+    language === 'ar' ? 'ar-OM' : 'en-GB',
+    { day: '2-digit', month: 'short', year: 'numeric' }
+  ),
+  branch: 'Muscat',
+  link: `${window.location.origin}/verify/EXPO-8K2PQ7XM`
+});
+
+// WhatsApp-style preview: *text* shows bold
+function MessagePreview({ body, language }) {
+  const text = renderMessageTemplate(body, templatePreviewValues(language));
+  return (
+    <div
+      dir={language === 'ar' ? 'rtl' : 'ltr'}
+      lang={language}
+      className="rounded-xl rounded-tl-none bg-emerald-50 border border-emerald-200 p-3 text-sm text-dark-100 whitespace-pre-wrap"
+    >
+      {text.split(/(\*[^*\n]+\*)/).map((part, index) => (
+        part.startsWith('*') && part.endsWith('*') && part.length > 2
+          ? <strong key={index}>{part.slice(1, -1)}</strong>
+          : <React.Fragment key={index}>{part}</React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+function TemplateManagement() {
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [showModal, setShowModal] = useState(false);
+  const [editTarget, setEditTarget] = useState(null);
+  const [form, setForm] = useState(emptyTemplate);
+  const [language, setLanguage] = useState('en');
+  const [loading, setLoading] = useState(false);
+  const modalRef = useRef(null);
+  const bodyRef = useRef(null);
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      const data = await api.get('/api/message-templates');
+      setTemplates(data.templates);
+      setPlaceholders(data.placeholders);
+    } catch (error) {
+      toast.error('Failed to load templates');
+    }
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditTarget(null);
+    setForm(emptyTemplate);
+    setLanguage('en');
+  };
+
+  useModalFocusTrap(showModal, modalRef, closeModal);
+
+  const openAdd = () => {
+    setEditTarget(null);
+    setForm(emptyTemplate);
+    setShowModal(true);
+  };
+
+  const openEdit = (template) => {
+    setEditTarget(template);
+    setForm({ name: template.name, variants: { en: template.variants.en || '', ar: template.variants.ar || '' } });
+    setShowModal(true);
+  };
+
+  const setBody = (body) => {
+    setForm(prev => ({ ...prev, variants: { ...prev.variants, [language]: body } }));
+  };
+
+  // Insert a placeholder where the cursor is
+  const insertPlaceholder = (key) => {
+    const textarea = bodyRef.current;
+    const body = form.variants[language];
+    const start = textarea ? textarea.selectionStart : body.length;
+    const end = textarea ? textarea.selectionEnd : body.length;
+    const token = `{{${key}}}`;
+    setBody(body.slice(0, start) + token + body.slice(end));
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(start + token.length, start + token.length);
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim() || !form.variants.en.trim()) {
+      toast.error('Please fill the name and the English text');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (editTarget) {
+        await api.patch(`/api/message-templates/${editTarget.id}`, form);
+        toast.success('Template updated');
+      } else {
+        await api.post('/api/message-templates', form);
+        toast.success('Template added!');
+      }
+      closeModal();
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save template');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+    try {
+      await api.delete(`/api/message-templates/${template.id}`);
+      toast.success('Template deleted');
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete template');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-display text-2xl font-bold hidden md:block">Message Templates</h2>
+        <button
+          onClick={openAdd}
+          className="flex items-center gap-2 px-4 py-2 bg-brand-600 hover:bg-brand-700 rounded-xl transition-colors focus-ring"
+          aria-haspopup="dialog"
+        >
+          <Plus className="w-4 h-4" />
+          Add Template
+        </button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {templates.map(template => (
+          <div key={template.id} className="glass rounded-xl p-5 space-y-3">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="font-semibold">{template.name}</p>
+                <p className="text-sm text-dark-400">
+                  {template.campaign_count ? `Used by ${template.campaign_count} campaign(s)` : 'Not used by a campaign'}
+                </p>
+              </div>
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => openEdit(template)}
+                  className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                  aria-label={`Edit ${template.name}`}
+                  aria-haspopup="dialog"
+                >
+                  <Pencil className="w-4 h-4 text-dark-400" />
+                </button>
+                {!template.campaign_count && (
+                  <button
+                    onClick={() => handleDelete(template)}
+                    className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                    aria-label={`Delete ${template.name}`}
+                  >
+                    <Trash2 className="w-4 h-4 text-dark-400" />
+                  </button>
+                )}
+              </div>
+            </div>
+            {messageLanguages.filter(l => template.variants[l.id]).map(l => (
+              <div key={l.id}>
+                <p className="text-xs text-dark-400 mb-1">{l.label}</p>
+                <MessagePreview body={template.variants[l.id]} language={l.id} />
+              </div>
+            ))}
           </div>
+        ))}
+      </div>
+
+      {showModal && (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+          <div
+            ref={modalRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="template-modal-title"
+            className="glass rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto animate-bounce-in"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h3 id="template-modal-title" className="font-display text-xl font-bold">
+                {editTarget ? 'Edit Template' : 'Add Template'}
+              </h3>
+              <button
+                onClick={closeModal}
+                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+                aria-label="Close template dialog"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label htmlFor="template-name" className="text-sm font-medium text-dark-300">Name</label>
+                <input
+                  id="template-name"
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                  placeholder="Coupon welcome"
+                />
+              </div>
+
+              <div className="glass rounded-xl p-1 grid grid-cols-2 gap-1" role="tablist" aria-label="Template language">
+                {messageLanguages.map(l => (
+                  <button
+                    key={l.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={language === l.id}
+                    onClick={() => setLanguage(l.id)}
+                    className={`py-2 rounded-lg text-sm font-medium transition-all focus-ring ${
+                      language === l.id ? 'bg-brand-500/20 text-brand-400' : 'text-dark-300 hover:bg-dark-800'
+                    }`}
+                    lang={l.id}
+                  >
+                    {l.label}{l.id === 'en' ? ' (required)' : ''}
+                  </button>
+                ))}
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <label htmlFor="template-body" className="text-sm font-medium text-dark-300">Message</label>
+                  <textarea
+                    id="template-body"
+                    ref={bodyRef}
+                    rows={7}
+                    dir={language === 'ar' ? 'rtl' : 'ltr'}
+                    lang={language}
+                    value={form.variants[language]}
+                    onChange={(e) => setBody(e.target.value)}
+                    className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+                    placeholder={language === 'ar' ? 'اترك فارغاً لإرسال النص الإنجليزي' : 'Your {{discount}}% coupon: *{{code}}*'}
+                  />
+                  <div className="flex flex-wrap gap-1 mt-2" aria-label="Insert placeholder">
+                    {placeholders.map(key => (
+                      <button
+                        key={key}
+                        type="button"
+                        onClick={() => insertPlaceholder(key)}
+                        className="px-2 py-1 rounded-lg border border-dark-700 text-xs font-mono hover:bg-dark-800 focus-ring"
+                      >
+                        {`{{${key}}}`}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-dark-300 mb-1">Preview</p>
+                  {form.variants[language].trim() ? (
+                    <MessagePreview body={form.variants[language]} language={language} />
+                  ) : (
+                    <p className="text-sm text-dark-500">
+                      {language === 'en' ? 'Type a message to see the preview' : 'Customers choosing this language get the English text'}
+                    </p>
+                  )}
+                </div>
+              </div>
 
-          <div className="flex gap-3 pt-4">
-            <button
-              type="button"
-              onClick={handleClose}
-              className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              disabled={loading}
-              className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
-            >
-              {loading ? 'Updating...' : 'Update Password'}
-            </button>
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={closeModal}
+                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
+                >
+                  {loading ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </form>
           </div>
-        </form>
-      </div>
+        </div>
+      )}
     </div>
   );
 }
 
-// Staff Management Component
-function StaffManagement({ staff, onRefresh }) {
-  const [showAddModal, setShowAddModal] = useState(false);
-  const [showResetModal, setShowResetModal] = useState(false);
-  const [newStaff, setNewStaff] = useState({ username: '', password: '', name: '', role: 'staff' });
-  const [resetTarget, setResetTarget] = useState(null);
-  const [resetPassword, setResetPassword] = useState('');
+// Twilio delivery statuses as shown to admins
+const deliveryStatusLabels = {
+  accepted: 'Accepted',
+  queued: 'Queued',
+  sending: 'Sending',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+  undelivered: 'Undelivered',
+  failed: 'Failed'
+};
+
+// WhatsApp delivery timeline for one coupon
+function MessageTimelineModal({ coupon, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [currentSid, setCurrentSid] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [resetLoading, setResetLoading] = useState(false);
-  const addModalRef = useRef(null);
-  const resetModalRef = useRef(null);
+  const modalRef = useRef(null);
 
-  const closeResetModal = () => {
-    setShowResetModal(false);
-    setResetTarget(null);
-    setResetPassword('');
+  useModalFocusTrap(!!coupon, modalRef, onClose);
+
+  useEffect(() => {
+    if (!coupon) return;
+    setLoading(true);
+    api.get(`/api/coupons/${coupon.id}/message-events`)
+      .then(data => {
+        setEvents(data.events);
+        setCurrentSid(data.current_sid);
+      })
+      .catch(() => toast.error('Failed to load delivery timeline'))
+      .finally(() => setLoading(false));
+  }, [coupon?.id]);
+
+  if (!coupon) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
+      <div
+        ref={modalRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="timeline-title"
+        className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 id="timeline-title" className="font-display text-xl font-bold">WhatsApp Delivery</h3>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
+            aria-label="Close delivery timeline"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="rounded-xl border border-dark-700 bg-white/70 p-4 mb-4">
+          <p className="font-semibold">{coupon.customer_name}</p>
+          <p className="text-sm text-dark-400">{coupon.mobile_number} · <code>{coupon.coupon_code}</code></p>
+        </div>
+
+        {loading ? (
+          <RefreshCw className="w-6 h-6 text-brand-500 animate-spin mx-auto" />
+        ) : (
+          <ol className="space-y-3">
+            {events.map(event => (
+              <li key={event.id} className={`flex gap-3 ${event.message_sid === currentSid ? '' : 'opacity-60'}`}>
+                <span
+                  className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${
+                    ['failed', 'undelivered'].includes(event.status) ? 'bg-red-500' : 'bg-emerald-500'
+                  }`}
+                />
+                <div>
+                  <p className="font-medium">{deliveryStatusLabels[event.status] || event.status}</p>
+                  <p className="text-xs text-dark-400">
+                    {new Date(event.created_at).toLocaleString()}
+                    {event.message_sid !== currentSid && ' · earlier message'}
+                  </p>
+                  {(event.error_message || event.error_code) && (
+                    <p className="text-xs text-red-600">{event.error_message || `Error ${event.error_code}`}</p>
+                  )}
+                </div>
+              </li>
+            ))}
+            {events.length === 0 && (
+              <li className="text-center text-dark-500">No delivery updates yet</li>
+            )}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Outbound WhatsApp queue (admin)
+const jobStatusStyles = {
+  pending: 'bg-amber-100 text-amber-700',
+  sending: 'bg-sky-100 text-sky-700',
+  sent: 'bg-emerald-100 text-emerald-700',
+  dead: 'bg-red-100 text-red-700',
+  cancelled: 'bg-dark-800 text-dark-400'
+};
+
+function MessageQueue() {
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const statusFilters = [
+    { id: '', label: 'All' },
+    { id: 'pending', label: 'Queued' },
+    { id: 'sent', label: 'Sent' },
+    { id: 'dead', label: 'Failed' },
+    { id: 'cancelled', label: 'Cancelled' }
+  ];
+
+  useEffect(() => {
+    loadJobs();
+  }, [status]);
+
+  const loadJobs = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (status) params.append('status', status);
+      const data = await api.get(`/api/message-jobs?${params}`);
+      setJobs(data.jobs);
+      setCounts(data.counts);
+    } catch (error) {
+      toast.error('Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
   };
 
-  useModalFocusTrap(showAddModal, addModalRef, () => setShowAddModal(false));
-  useModalFocusTrap(showResetModal, resetModalRef, closeResetModal);
+  const handleAction = async (job, action) => {
+    try {
+      const data = await api.post(`/api/message-jobs/${job.id}/${action}`);
+      toast.success(data.message);
+      loadJobs();
+    } catch (error) {
+      toast.error(error.message || `Failed to ${action} message`);
+    }
+  };
 
-  const handleAddStaff = async (e) => {
+  const recipient = (job) => job.customer_name
+    ? `${job.customer_name} · ${job.mobile_number}`
+    : job.payload?.phone || '-';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-display text-2xl font-bold hidden md:block">Messages</h2>
+        <button
+          onClick={loadJobs}
+          className="flex items-center gap-2 px-4 py-2 rounded-xl border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Filter by status">
+        {statusFilters.map(filter => (
+          <button
+            key={filter.id}
+            onClick={() => setStatus(filter.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors focus-ring ${
+              status === filter.id ? 'bg-brand-600 text-white' : 'border border-dark-700 hover:bg-dark-800'
+            }`}
+            aria-pressed={status === filter.id}
+          >
+            {filter.label}
+            {filter.id && counts[filter.id] ? ` (${counts[filter.id]})` : ''}
+          </button>
+        ))}
+      </div>
+
+      <div className="glass rounded-xl overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-dark-700">
+                <th className="text-left p-4 text-dark-400 font-medium">Recipient</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Coupon</th>
+                <th className="text-left p-4 text-dark-400 font-medium">Status</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Attempts</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Updated</th>
+                <th className="p-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.id} className="border-b border-dark-800 hover:bg-dark-800/50">
+                  <td className="p-4">
+                    <p>{recipient(job)}</p>
+                    <p className="text-xs text-dark-400">{job.kind === 'odoo_whatsapp' ? 'Odoo contact' : 'Coupon'}</p>
+                  </td>
+                  <td className="p-4 hidden md:table-cell">
+                    {job.coupon_code ? <code className="text-brand-400 text-sm">{job.coupon_code}</code> : '-'}
+                  </td>
+                  <td className="p-4">
+                    <span className={`px-2 py-1 rounded-lg text-sm ${jobStatusStyles[job.status]}`}>{job.status}</span>
+                    {job.last_error && job.status !== 'sent' && (
+                      <p className="text-xs text-red-600 mt-1 max-w-xs truncate" title={job.last_error}>{job.last_error}</p>
+                    )}
+                    {job.status === 'pending' && job.attempts > 0 && (
+                      <p className="text-xs text-dark-400 mt-1">
+                        Next try {new Date(job.next_attempt_at).toLocaleTimeString()}
+                      </p>
+                    )}
+                  </td>
+                  <td className="p-4 text-dark-300 hidden md:table-cell">{job.attempts} / {job.max_attempts}</td>
+                  <td className="p-4 text-dark-400 text-sm hidden md:table-cell">
+                    {new Date(job.updated_at).toLocaleString()}
+                  </td>
+                  <td className="p-4">
+                    {['dead', 'cancelled'].includes(job.status) && (
+                      <button
+                        onClick={() => handleAction(job, 'retry')}
+                        className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                        title="Retry"
+                        aria-label={`Retry message to ${recipient(job)}`}
+                      >
+                        <RefreshCw className="w-4 h-4 text-dark-400" />
+                      </button>
+                    )}
+                    {job.status === 'pending' && (
+                      <button
+                        onClick={() => handleAction(job, 'cancel')}
+                        className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                        title="Cancel"
+                        aria-label={`Cancel message to ${recipient(job)}`}
+                      >
+                        <Ban className="w-4 h-4 text-dark-400" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {jobs.length === 0 && !loading && (
+                <tr>
+                  <td colSpan="6" className="p-8 text-center text-dark-500">No messages</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Shared tablets registered for PIN login (admin)
+function DeviceManagement() {
+  const { device, registerDevice, forgetDevice } = useAuth();
+  const [devices, setDevices] = useState([]);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadDevices();
+  }, []);
+
+  const loadDevices = async () => {
+    try {
+      const data = await api.get('/api/devices');
+      setDevices(data.devices);
+    } catch (error) {
+      toast.error('Failed to load devices');
+    }
+  };
+
+  const handleRegister = async (e) => {
     e.preventDefault();
-    if (!newStaff.username || !newStaff.password || !newStaff.name) {
-      toast.error('Please fill all fields');
+    if (!name.trim()) {
+      toast.error('Please name this device, e.g. "Stall 3 tablet"');
       return;
     }
-    
+
     setLoading(true);
     try {
-      await api.post('/api/staff', newStaff);
-      toast.success('Staff member added!');
-      setShowAddModal(false);
-      setNewStaff({ username: '', password: '', name: '', role: 'staff' });
-      onRefresh();
+      await registerDevice(name.trim());
+      toast.success('Device registered for PIN login');
+      setName('');
+      loadDevices();
     } catch (error) {
-      toast.error(error.message || 'Failed to add staff');
+      toast.error(error.message || 'Failed to register device');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleToggleStatus = async (id) => {
+  const handleRemove = async (target) => {
+    if (!window.confirm(`Remove ${target.name}? Anyone signed in on it with a PIN is logged out.`)) return;
     try {
-      await api.patch(`/api/staff/${id}/toggle`);
-      toast.success('Status updated');
-      onRefresh();
+      await api.delete(`/api/devices/${target.id}`);
+      if (device?.id === target.id) forgetDevice();
+      toast.success('Device removed');
+      loadDevices();
     } catch (error) {
-      toast.error(error.message || 'Failed to update status');
+      toast.error(error.message || 'Failed to remove device');
     }
   };
 
-  const handleResetPassword = async (e) => {
-    e.preventDefault();
-    if (!resetPassword || resetPassword.length < 4) {
-      toast.error('Password must be at least 4 characters');
-      return;
+  return (
+    <div className="space-y-4">
+      <h2 className="font-display text-2xl font-bold">Stall Devices</h2>
+      <p className="text-sm text-dark-400">
+        Staff can switch between themselves with a PIN on a registered device, which locks after {DEVICE_LOCK_MINUTES} idle minutes.
+      </p>
+
+      {device ? (
+        <div className="glass rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+          <p className="text-sm flex items-center gap-2">
+            <Tablet className="w-4 h-4 text-brand-500" />
+            This browser is registered as <span className="font-semibold">{device.name}</span>
+          </p>
+          <button
+            onClick={() => {
+              forgetDevice();
+              toast.success('PIN login turned off on this browser');
+            }}
+            className="px-3 py-1.5 text-sm rounded-lg border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+          >
+            Forget on This Browser
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleRegister} className="glass rounded-xl p-4 flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[12rem]">
+            <label htmlFor="device-name" className="text-sm font-medium text-dark-300">Register this browser</label>
+            <input
+              id="device-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={60}
+              className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+              placeholder="e.g. Stall 3 tablet"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-3 bg-brand-600 hover:bg-brand-700 rounded-xl transition-colors disabled:opacity-50 focus-ring"
+          >
+            <Tablet className="w-4 h-4" />
+            {loading ? 'Registering...' : 'Register Device'}
+          </button>
+        </form>
+      )}
+
+      <div className="glass rounded-xl overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-dark-700">
+                <th className="text-left p-4 text-dark-400 font-medium">Device</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Registered</th>
+                <th className="text-left p-4 text-dark-400 font-medium">Last PIN Login</th>
+                <th className="text-right p-4 text-dark-400 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {devices.map(item => (
+                <tr key={item.id} className="border-b border-dark-800 hover:bg-dark-800/50">
+                  <td className="p-4">
+                    <p>{item.name}</p>
+                    <p className="text-xs text-dark-400">
+                      {item.open_sessions} signed in{device?.id === item.id ? ' · this browser' : ''}
+                    </p>
+                  </td>
+                  <td className="p-4 text-dark-400 text-sm hidden md:table-cell">
+                    {new Date(item.created_at).toLocaleString()}
+                    {item.registered_by_name && <span className="block text-xs">by {item.registered_by_name}</span>}
+                  </td>
+                  <td className="p-4 text-dark-400 text-sm">
+                    {item.last_used_at ? new Date(item.last_used_at).toLocaleString() : 'Never'}
+                  </td>
+                  <td className="p-4 text-right">
+                    <button
+                      onClick={() => handleRemove(item)}
+                      className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
+                      aria-label={`Remove ${item.name}`}
+                    >
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {devices.length === 0 && (
+                <tr>
+                  <td colSpan="4" className="p-8 text-center text-dark-500">No devices registered</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Login attempts for all usernames, newest first (admin)
+const loginResultStyles = {
+  success: 'bg-emerald-100 text-emerald-700',
+  failed: 'bg-red-100 text-red-700',
+  locked: 'bg-amber-100 text-amber-700'
+};
+
+function LoginHistory() {
+  const [attempts, setAttempts] = useState([]);
+  const [locked, setLocked] = useState([]);
+  const [result, setResult] = useState('');
+  const [loading, setLoading] = useState(true);
+  const resultFilters = [
+    { id: '', label: 'All' },
+    { id: 'success', label: 'Signed in' },
+    { id: 'failed', label: 'Failed' },
+    { id: 'locked', label: 'Blocked' }
+  ];
+
+  useEffect(() => {
+    loadHistory();
+  }, [result]);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (result) params.append('result', result);
+      const data = await api.get(`/api/auth/login-history?${params}`);
+      setAttempts(data.attempts);
+      setLocked(data.locked);
+    } catch (error) {
+      toast.error('Failed to load login history');
+    } finally {
+      setLoading(false);
     }
+  };
 
-    if (!resetTarget) {
-      toast.error('Select a staff member');
-      return;
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="font-display text-2xl font-bold">Login History</h2>
+        <button
+          onClick={loadHistory}
+          className="flex items-center gap-2 px-4 py-2 rounded-xl border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {locked.length > 0 && (
+        <p className="glass rounded-xl p-4 text-sm text-amber-700 flex items-center gap-2" role="status">
+          <Lock className="w-4 h-4 flex-shrink-0" />
+          Locked out after too many failed attempts: {locked.join(', ')}
+        </p>
+      )}
+
+      <div className="flex flex-wrap gap-2" role="group" aria-label="Filter by result">
+        {resultFilters.map(filter => (
+          <button
+            key={filter.id}
+            onClick={() => setResult(filter.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm transition-colors focus-ring ${
+              result === filter.id ? 'bg-brand-600 text-white' : 'border border-dark-700 hover:bg-dark-800'
+            }`}
+            aria-pressed={result === filter.id}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="glass rounded-xl overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-dark-700">
+                <th className="text-left p-4 text-dark-400 font-medium">Username</th>
+                <th className="text-left p-4 text-dark-400 font-medium">Result</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Address</th>
+                <th className="text-left p-4 text-dark-400 font-medium">Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {attempts.map(attempt => (
+                <tr key={attempt.id} className="border-b border-dark-800 hover:bg-dark-800/50">
+                  <td className="p-4">
+                    <p>{attempt.username}</p>
+                    {attempt.name && <p className="text-xs text-dark-400">{attempt.name}</p>}
+                  </td>
+                  <td className="p-4">
+                    <span className={`px-2 py-1 rounded-lg text-sm ${loginResultStyles[attempt.result]}`}>
+                      {resultFilters.find(filter => filter.id === attempt.result).label}
+                    </span>
+                  </td>
+                  <td className="p-4 text-dark-400 text-sm hidden md:table-cell" title={attempt.user_agent || ''}>
+                    {attempt.ip || '-'}
+                  </td>
+                  <td className="p-4 text-dark-400 text-sm">{new Date(attempt.created_at).toLocaleString()}</td>
+                </tr>
+              ))}
+              {attempts.length === 0 && !loading && (
+                <tr>
+                  <td colSpan="4" className="p-8 text-center text-dark-500">No login attempts</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Audit log of staff and admin actions (admin)
+const auditActionLabels = {
+  'auth.password_change': 'Changed own password',
+  'auth.pin_set': 'Set own PIN',
+  'auth.pin_remove': 'Removed own PIN',
+  'staff.create': 'Added staff member',
+  'staff.toggle': 'Activated or deactivated staff',
+  'staff.role': 'Changed role',
+  'staff.branches': 'Changed branches',
+  'staff.password_reset': 'Reset password',
+  'device.register': 'Registered device',
+  'device.remove': 'Removed device',
+  'campaign.create': 'Created campaign',
+  'campaign.update': 'Updated campaign',
+  'campaign.delete': 'Deleted campaign',
+  'template.create': 'Created template',
+  'template.update': 'Updated template',
+  'template.delete': 'Deleted template',
+  'coupon.export': 'Exported coupons',
+  'contact.export': 'Exported contacts',
+  'coupon.override': 'Overrode duplicate rule',
+  'coupon.resend': 'Resent coupon',
+  'coupon.extend': 'Extended validity',
+  'job.retry': 'Retried message',
+  'job.cancel': 'Cancelled message',
+  'audit.export': 'Exported activity'
+};
+
+const formatAuditValue = (value) => (
+  value === null ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+);
+
+function ActivityLog() {
+  const [events, setEvents] = useState([]);
+  const [actors, setActors] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [filters, setFilters] = useState({ actor_id: '', action: '', date_from: '', date_to: '' });
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadEvents();
+  }, [filters, page]);
+
+  const filterParams = () => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    return params;
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const loadEvents = async () => {
+    setLoading(true);
+    try {
+      const params = filterParams();
+      params.append('page', page);
+      const data = await api.get(`/api/audit-events?${params}`);
+      setEvents(data.events);
+      setActors(data.actors);
+      setActions(data.actions);
+      setPagination(data.pagination);
+    } catch (error) {
+      toast.error('Failed to load activity');
+    } finally {
+      setLoading(false);
     }
+  };
 
-    setResetLoading(true);
+  const handleExport = async () => {
     try {
-      await api.patch(`/api/staff/${resetTarget.id}/password`, { password: resetPassword });
-      toast.success('Password updated');
-      closeResetModal();
-      onRefresh();
+      const blob = await api.download(`/api/audit-events/export?${filterParams()}`);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `activity-export-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+      toast.success('Export downloaded!');
     } catch (error) {
-      toast.error(error.message || 'Failed to update password');
-    } finally {
-      setResetLoading(false);
+      toast.error('Export failed');
     }
   };
 
   return (
     <div className="space-y-4">
       <div className="flex items-center justify-between">
-        <h2 className="font-display text-2xl font-bold hidden md:block">Staff Management</h2>
-        <button
-          onClick={() => setShowAddModal(true)}
-          className="flex items-center gap-2 px-4 py-2 bg-brand-600 hover:bg-brand-700 rounded-xl transition-colors focus-ring"
-          aria-haspopup="dialog"
+        <h2 className="font-display text-2xl font-bold hidden md:block">Activity</h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={loadEvents}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={handleExport}
+            className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 rounded-xl transition-colors focus-ring"
+          >
+            <Download className="w-4 h-4" />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="glass rounded-xl p-4 flex flex-col md:flex-row gap-4">
+        <select
+          value={filters.actor_id}
+          onChange={(e) => updateFilter('actor_id', e.target.value)}
+          className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+          aria-label="Filter by person"
         >
-          <Plus className="w-4 h-4" />
-          Add Staff
-        </button>
+          <option value="">Everyone</option>
+          {actors.map(actor => <option key={actor.id} value={actor.id}>{actor.name}</option>)}
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          className="flex-1 bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+          aria-label="Filter by action"
+        >
+          <option value="">All Actions</option>
+          {actions.map(action => <option key={action} value={action}>{auditActionLabels[action] || action}</option>)}
+        </select>
+        <input
+          type="date"
+          value={filters.date_from}
+          onChange={(e) => updateFilter('date_from', e.target.value)}
+          className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={filters.date_to}
+          onChange={(e) => updateFilter('date_to', e.target.value)}
+          className="bg-white/70 border border-dark-700 rounded-lg py-2.5 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
+          aria-label="To date"
+        />
       </div>
 
-      <div className="grid gap-4 md:grid-cols-2">
-        {staff.map(member => (
-          <div key={member.id} className="glass rounded-xl p-5">
-            <div className="flex items-start justify-between">
-              <div className="flex items-center gap-3">
-                <div className={`w-12 h-12 rounded-xl flex items-center justify-center ${
-                  member.role === 'admin' ? 'bg-brand-100' : 'bg-emerald-100'
-                }`}>
-                  <User className={`w-6 h-6 ${member.role === 'admin' ? 'text-brand-700' : 'text-emerald-700'}`} />
-                </div>
-                <div>
-                  <p className="font-semibold">{member.name}</p>
-                  <p className="text-sm text-dark-400">@{member.username}</p>
-                </div>
-              </div>
-              <span className={`px-2 py-1 rounded-lg text-xs font-medium ${
-                member.role === 'admin' ? 'bg-brand-100 text-brand-700' : 'bg-emerald-100 text-emerald-700'
-              }`}>
-                {member.role}
-              </span>
-            </div>
-            
-            <div className="mt-4 pt-4 border-t border-dark-700 flex items-center justify-between gap-3">
-              <span className={`text-sm ${member.active ? 'text-emerald-700' : 'text-red-600'}`}>
-                {member.active ? 'Active' : 'Inactive'}
-              </span>
-              <div className="flex items-center gap-2">
-                <button
-                  onClick={() => {
-                    setResetTarget(member);
-                    setResetPassword('');
-                    setShowResetModal(true);
-                  }}
-                  className="flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg border border-dark-700 hover:bg-dark-800 transition-colors focus-ring"
-                  aria-label={`Reset password for ${member.name}`}
-                >
-                  <Lock className="w-4 h-4" />
-                  Reset Password
-                </button>
-                <button
-                  onClick={() => handleToggleStatus(member.id)}
-                  className="p-2 hover:bg-dark-700 rounded-lg transition-colors focus-ring"
-                  aria-label={`Set ${member.name} ${member.active ? 'inactive' : 'active'}`}
-                  aria-pressed={member.active}
-                >
-                  {member.active ? (
-                    <ToggleRight className="w-6 h-6 text-emerald-600" />
-                  ) : (
-                    <ToggleLeft className="w-6 h-6 text-dark-500" />
-                  )}
-                </button>
-              </div>
-            </div>
-          </div>
-        ))}
+      <div className="glass rounded-xl overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-dark-700">
+                <th className="text-left p-4 text-dark-400 font-medium">Who</th>
+                <th className="text-left p-4 text-dark-400 font-medium">Action</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Changes</th>
+                <th className="text-left p-4 text-dark-400 font-medium hidden md:table-cell">Address</th>
+                <th className="text-left p-4 text-dark-400 font-medium">Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={event.id} className="border-b border-dark-800 hover:bg-dark-800/50 align-top">
+                  <td className="p-4">
+                    <p>{event.actor_name || '-'}</p>
+                    {event.actor_username && <p className="text-xs text-dark-400">@{event.actor_username}</p>}
+                  </td>
+                  <td className="p-4">
+                    <p>{auditActionLabels[event.action] || event.action}</p>
+                    {event.target_type && (
+                      <p className="text-xs text-dark-400">{event.target_type} #{event.target_id}</p>
+                    )}
+                  </td>
+                  <td className="p-4 text-sm hidden md:table-cell">
+                    {event.changes && Object.entries(event.changes).map(([field, change]) => (
+                      <p key={field} className="break-all">
+                        <span className="text-dark-400">{field}:</span> {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+                      </p>
+                    ))}
+                    {event.details && Object.entries(event.details).map(([key, value]) => (
+                      <p key={key} className="break-all">
+                        <span className="text-dark-400">{key}:</span> {formatAuditValue(value)}
+                      </p>
+                    ))}
+                  </td>
+                  <td className="p-4 text-dark-400 text-sm hidden md:table-cell" title={event.user_agent || ''}>
+                    {event.ip || '-'}
+                  </td>
+                  <td className="p-4 text-dark-400 text-sm">{new Date(event.created_at).toLocaleString()}</td>
+                </tr>
+              ))}
+              {events.length === 0 && !loading && (
+                <tr>
+                  <td colSpan="5" className="p-8 text-center text-dark-500">No activity</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
       </div>
 
-      {/* Add Staff Modal */}
-      {showAddModal && (
-        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
-          <div
-            ref={addModalRef}
-            role="dialog"
-            aria-modal="true"
-            aria-labelledby="add-staff-title"
-            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
-          >
-            <div className="flex items-center justify-between mb-6">
-              <h3 id="add-staff-title" className="font-display text-xl font-bold">Add Staff Member</h3>
-              <button
-                onClick={() => setShowAddModal(false)}
-                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
-                aria-label="Close add staff dialog"
-              >
-                <X className="w-5 h-5" />
-              </button>
-            </div>
-            
-            <form onSubmit={handleAddStaff} className="space-y-4">
-              <div>
-                <label htmlFor="staff-name" className="text-sm font-medium text-dark-300">Full Name</label>
-                <input
-                  id="staff-name"
-                  type="text"
-                  value={newStaff.name}
-                  onChange={(e) => setNewStaff(prev => ({ ...prev, name: e.target.value }))}
-                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                  placeholder="John Doe"
-                />
-              </div>
-              <div>
-                <label htmlFor="staff-username" className="text-sm font-medium text-dark-300">Username</label>
-                <input
-                  id="staff-username"
-                  type="text"
-                  value={newStaff.username}
-                  onChange={(e) => setNewStaff(prev => ({ ...prev, username: e.target.value.toLowerCase() }))}
-                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                  placeholder="johndoe"
-                />
-              </div>
-              <div>
-                <label htmlFor="staff-password" className="text-sm font-medium text-dark-300">Password</label>
-                <input
-                  id="staff-password"
-                  type="text"
-                  value={newStaff.password}
-                  onChange={(e) => setNewStaff(prev => ({ ...prev, password: e.target.value }))}
-                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                  placeholder="Minimum 4 characters"
-                />
-              </div>
-              <div>
-                <label htmlFor="staff-role" className="text-sm font-medium text-dark-300">Role</label>
-                <select
-                  id="staff-role"
-                  value={newStaff.role}
-                  onChange={(e) => setNewStaff(prev => ({ ...prev, role: e.target.value }))}
-                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                >
-                  <option value="staff">Staff</option>
-                  <option value="admin">Admin</option>
-                </select>
-              </div>
-              
-              <div className="flex gap-3 pt-4">
-                <button
-                  type="button"
-                  onClick={() => setShowAddModal(false)}
-                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
-                >
-                  {loading ? 'Adding...' : 'Add Staff'}
-                </button>
-              </div>
-            </form>
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-dark-400">
+          <span>Page {pagination.page} of {pagination.pages} · {pagination.total} events</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="p-2 rounded-lg border border-dark-700 hover:bg-dark-800 disabled:opacity-50 focus-ring"
+              aria-label="Previous page"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= pagination.pages}
+              className="p-2 rounded-lg border border-dark-700 hover:bg-dark-800 disabled:opacity-50 focus-ring"
+              aria-label="Next page"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
           </div>
         </div>
       )}
+    </div>
+  );
+}
 
-      {showResetModal && resetTarget && (
-        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4">
-          <div
-            ref={resetModalRef}
-            role="dialog"
-            aria-modal="true"
-            aria-labelledby="reset-password-title"
-            className="glass rounded-2xl p-6 w-full max-w-md animate-bounce-in"
-          >
-            <div className="flex items-center justify-between mb-6">
-              <h3 id="reset-password-title" className="font-display text-xl font-bold">Reset Password</h3>
-              <button
-                onClick={closeResetModal}
-                className="p-2 hover:bg-dark-700 rounded-lg focus-ring"
-                aria-label="Close reset password dialog"
-              >
-                <X className="w-5 h-5" />
-              </button>
-            </div>
+// Public coupon check, opened from the QR code or the link in the coupon message
+const couponStatusStyles = {
+  active: { label: 'Valid', className: 'border-green-200/80 bg-green-50/80', text: 'text-green-700' },
+  redeemed: { label: 'Already redeemed', className: 'border-amber-200/80 bg-amber-50/80', text: 'text-amber-700' },
+  expired: { label: 'Expired', className: 'border-red-200/80 bg-red-50/80', text: 'text-red-600' }
+};
 
-            <form onSubmit={handleResetPassword} className="space-y-4">
-              <div className="rounded-xl border border-dark-700 bg-white/70 p-4">
-                <p className="text-sm text-dark-400">Resetting password for</p>
-                <p className="font-semibold">{resetTarget.name}</p>
-                <p className="text-sm text-dark-400">@{resetTarget.username}</p>
+function VerifyCoupon({ code }) {
+  const [coupon, setCoupon] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    api.get(`/api/public/coupons/${encodeURIComponent(code)}`)
+      .then(data => setCoupon(data.coupon))
+      .catch(err => setError(err))
+      .finally(() => setLoading(false));
+  }, [code]);
+
+  const style = coupon && couponStatusStyles[coupon.status];
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4 pattern-bg">
+      <div className="w-full max-w-md animate-bounce-in">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-20 h-20 rounded-2xl bg-brand-50 border border-brand-100 mb-4 glow shadow-sm">
+            <img src={bellaLogo} alt="IDF EXPO 2026 logo" className="w-14 h-14 object-contain" />
+          </div>
+          <h1 className="font-display text-3xl font-bold gradient-text">Coupon Check</h1>
+          <p className="font-mono text-dark-400 mt-2">{code}</p>
+        </div>
+
+        {loading ? (
+          <RefreshCw className="w-8 h-8 text-brand-500 animate-spin mx-auto" />
+        ) : coupon ? (
+          <div className={`glass rounded-2xl p-6 border ${style.className}`}>
+            <p className={`font-display text-2xl font-bold flex items-center gap-2 ${style.text}`}>
+              {coupon.status === 'active' ? <Check className="w-6 h-6" /> : <AlertCircle className="w-6 h-6" />}
+              {style.label}
+            </p>
+            <dl className="mt-4 space-y-2 text-sm">
+              <div className="flex justify-between gap-4">
+                <dt className="text-dark-400">Customer</dt>
+                <dd className="font-medium">{coupon.customer_name}</dd>
               </div>
-              <div>
-                <label htmlFor="reset-password" className="text-sm font-medium text-dark-300">New Password</label>
-                <input
-                  id="reset-password"
-                  type="text"
-                  value={resetPassword}
-                  onChange={(e) => setResetPassword(e.target.value)}
-                  className="w-full mt-1 bg-white/70 border border-dark-700 rounded-xl py-3 px-4 text-dark-100 focus:outline-none focus:border-brand-500"
-                  placeholder="Minimum 4 characters"
-                />
+              <div className="flex justify-between gap-4">
+                <dt className="text-dark-400">Campaign</dt>
+                <dd className="font-medium">{coupon.campaign_name}</dd>
               </div>
-
-              <div className="flex gap-3 pt-4">
-                <button
-                  type="button"
-                  onClick={closeResetModal}
-                  className="flex-1 py-3 rounded-xl border border-dark-600 hover:bg-dark-800 transition-colors focus-ring"
-                >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  disabled={resetLoading}
-                  className="flex-1 py-3 rounded-xl bg-brand-600 hover:bg-brand-700 transition-colors disabled:opacity-50 focus-ring"
-                >
-                  {resetLoading ? 'Updating...' : 'Update Password'}
-                </button>
+              <div className="flex justify-between gap-4">
+                <dt className="text-dark-400">Discount</dt>
+                <dd className="font-medium">{coupon.discount_percent}% off</dd>
               </div>
-            </form>
+              <div className="flex justify-between gap-4">
+                <dt className="text-dark-400">{coupon.status === 'expired' ? 'Expired on' : 'Valid until'}</dt>
+                <dd className="font-medium">{new Date(coupon.expires_at).toLocaleDateString()}</dd>
+              </div>
+            </dl>
           </div>
-        </div>
-      )}
+        ) : (
+          <div className="glass rounded-2xl p-6 border border-red-200/80 bg-red-50/80" role="alert">
+            <p className="font-semibold text-red-600 flex items-center gap-2">
+              <AlertCircle className="w-5 h-5" />
+              {error.message || 'Coupon not found'}
+            </p>
+            {error.status === 404 && (
+              <p className="text-sm text-dark-400 mt-2">This code was not issued by us. Please check it and try again.</p>
+            )}
+          </div>
+        )}
+
+        <p className="text-center text-dark-500 text-sm mt-6">
+          IDF EXPO 2026 Coupon Distribution System
+        </p>
+      </div>
     </div>
   );
 }
 
 // Main App Component
 function App() {
-  const { user, loading } = useAuth();
+  const { user, loading, refreshUser, device, logout } = useAuth();
+  const { pathname } = window.location;
+
+  useAutoLock(Boolean(device && user), () => {
+    logout();
+    toast('Locked after inactivity', { icon: '🔒' });
+  });
+
+  if (pathname.startsWith('/verify/')) {
+    return <VerifyCoupon code={parseCouponScan(pathname).code} />;
+  }
 
   if (loading) {
     return (
@@ -1341,7 +4806,15 @@ function App() {
     return <LoginScreen />;
   }
 
-  return user.role === 'admin' ? <AdminDashboard /> : <EntryForm />;
+  if (user.must_change_password) {
+    return (
+      <div className="min-h-screen pattern-bg">
+        <ChangePasswordModal isOpen required onClose={refreshUser} />
+      </div>
+    );
+  }
+
+  return can(user, 'dashboard:view') ? <AdminDashboard /> : <EntryForm />;
 }
 
 // Wrapped App with Providers
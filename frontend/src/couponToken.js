@@ -0,0 +1,72 @@
+/**
+ * Signed coupon tokens
+ * Coupon QR codes carry a token the server signed with Ed25519. With the
+ * server's public key cached on the device, a branch can check a coupon while
+ * offline; redemptions made that way are reconciled on the next sync.
+ */
+
+const KEY_STORAGE = 'couponSigningKey';
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+const decodeBase64Url = (value) =>
+  Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+const readTokenPayload = (token) => {
+  try {
+    return JSON.parse(new TextDecoder().decode(decodeBase64Url(token.split('.')[0])));
+  } catch (error) {
+    return null;
+  }
+};
+
+// QR codes hold "<verify link>#<token>" or just the token; barcodes, USB
+// scanners and cashiers give the plain code
+export const parseCouponScan = (text) => {
+  const trimmed = text.trim();
+  const [beforeHash, fragment = ''] = trimmed.split('#');
+  const link = beforeHash.match(/\/verify\/([^/?\s]+)/);
+  const token = [fragment, trimmed].find((value) => TOKEN_PATTERN.test(value)) || null;
+  const code = link ? decodeURIComponent(link[1]) : (token && readTokenPayload(token)?.c) || trimmed;
+  return { code: code.toUpperCase(), token };
+};
+
+export const cacheSigningKey = (publicKey) => localStorage.setItem(KEY_STORAGE, publicKey);
+
+// Resolves to { coupon_code, campaign_id, discount_percent, expires_at } when the
+// token was signed by the server, null when it was not. Throws when this device
+// cannot check tokens (no cached key yet, or no Ed25519 in the browser).
+export const verifyCouponToken = async (token) => {
+  const publicKey = localStorage.getItem(KEY_STORAGE);
+  if (!publicKey || !crypto.subtle) {
+    throw new Error('This device cannot check coupons offline yet. Connect once to set it up.');
+  }
+
+  let key;
+  try {
+    key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: 'OKP', crv: 'Ed25519', x: publicKey },
+      { name: 'Ed25519' },
+      false,
+      ['verify']
+    );
+  } catch (error) {
+    throw new Error('This browser cannot check coupons offline. Please update it.');
+  }
+  const [payload, signature] = token.split('.');
+  const valid = await crypto.subtle.verify(
+    { name: 'Ed25519' },
+    key,
+    decodeBase64Url(signature),
+    new TextEncoder().encode(payload)
+  );
+  const claims = valid && readTokenPayload(token);
+  if (!claims) return null;
+
+  return {
+    coupon_code: claims.c,
+    campaign_id: claims.k,
+    discount_percent: claims.d,
+    expires_at: new Date(claims.e * 1000).toISOString()
+  };
+};
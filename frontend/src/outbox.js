@@ -0,0 +1,96 @@
+/**
+ * Offline outbox
+ * Coupon entries captured without a network are kept in IndexedDB until they
+ * can be posted. Each entry carries the idempotency key it was captured with,
+ * so retrying an entry the server already saved never creates a second coupon.
+ * Coupons redeemed offline against a signed token wait in a second store.
+ * Both record who captured them (captured_by, a user id) and are only sent from
+ * that user's session, so a shared tablet never credits them to the next user.
+ */
+
+const DB_NAME = 'expo-coupons';
+const STORE_NAME = 'outbox';
+const REDEMPTION_STORE = 'redemptions';
+
+export const OUTBOX_EVENT = 'outbox-change';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 2);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      db.createObjectStore(STORE_NAME, { keyPath: 'idempotency_key' });
+    }
+    if (!db.objectStoreNames.contains(REDEMPTION_STORE)) {
+      db.createObjectStore(REDEMPTION_STORE, { keyPath: 'id' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one store operation and resolves with its result once the transaction commits
+const withStore = async (mode, operation, storeName = STORE_NAME) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+const notifyChange = () => window.dispatchEvent(new Event(OUTBOX_EVENT));
+
+// crypto.randomUUID needs a secure context; stall tablets may reach the app over plain http
+export const newIdempotencyKey = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Entries queued before captured_by was recorded go with whoever is signed in
+const capturedBy = (userId) => (entry) => entry.captured_by === undefined || entry.captured_by === userId;
+
+export const addToOutbox = async (entry) => {
+  await withStore('readwrite', (store) => store.put(entry));
+  notifyChange();
+};
+
+export const listOutbox = async (userId) => {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return entries.filter(capturedBy(userId)).sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+};
+
+export const removeFromOutbox = async (idempotencyKey) => {
+  await withStore('readwrite', (store) => store.delete(idempotencyKey));
+  notifyChange();
+};
+
+export const countOutbox = async (userId) => (await listOutbox(userId)).length;
+
+// Offline redemptions: { id, code, token, branch, invoice_amount, redeemed_at, captured_by }
+export const addOfflineRedemption = (entry) => withStore('readwrite', (store) => store.put(entry), REDEMPTION_STORE);
+
+// Without userId, every redemption made on this device
+export const listOfflineRedemptions = async (userId) => {
+  const entries = await withStore('readonly', (store) => store.getAll(), REDEMPTION_STORE);
+  return (userId === undefined ? entries : entries.filter(capturedBy(userId)))
+    .sort((a, b) => a.redeemed_at.localeCompare(b.redeemed_at));
+};
+
+export const removeOfflineRedemption = (id) => withStore('readwrite', (store) => store.delete(id), REDEMPTION_STORE);
+
+// Ask the service worker to wake us when connectivity returns (Chromium only)
+export const requestBackgroundSync = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.sync?.register('outbox'))
+    .catch(() => {});
+};
@@ -1,8 +1,28 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Writes the built file names into dist/sw.js, so the service worker precaches every
+// bundle when it installs and starts a new cache for each build
+const precacheBuiltAssets = () => ({
+  name: 'precache-built-assets',
+  apply: 'build',
+  writeBundle(options, bundle) {
+    const assets = Object.keys(bundle).filter(name => name.startsWith('assets/')).sort().map(name => `/${name}`);
+    const id = crypto.createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12);
+    const workerPath = path.join(options.dir, 'sw.js');
+    const worker = fs.readFileSync(workerPath, 'utf8');
+    if (!worker.includes('self.__BUILD__')) {
+      throw new Error('sw.js has no self.__BUILD__ placeholder');
+    }
+    fs.writeFileSync(workerPath, worker.replace('self.__BUILD__', JSON.stringify({ id, assets })));
+  }
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheBuiltAssets()],
   server: {
     port: 3000,
     proxy: {